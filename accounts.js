@@ -0,0 +1,105 @@
+/**
+ * accounts.js
+ *
+ * Which Microsoft accounts are signed in to a session (user_id). The account a
+ * session first signs in with is its primary one; its tokens stay under the
+ * user_id itself. /login?user_id=...&link=true adds more accounts, each with
+ * its own token record under "<user_id>~<object id>" (see tokenStore.js), so
+ * signing in to the same account again just replaces its tokens.
+ *
+ * Account identity (UPN, display name, object id, tenant) comes from the
+ * id_token of the sign-in, which is why auth.js always asks for openid/profile.
+ */
+
+const db = require("./db");
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS accounts (
+  token_key TEXT PRIMARY KEY,   -- tokens.user_id of this account's token record
+  user_id TEXT NOT NULL,        -- session the account is linked to
+  username TEXT,                -- preferred_username (usually the UPN)
+  display_name TEXT,
+  oid TEXT,
+  tenant_id TEXT,
+  is_primary INTEGER NOT NULL,
+  linked_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_accounts_user ON accounts(user_id);
+`);
+
+const upsertStmt = db.prepare(`
+INSERT INTO accounts (token_key, user_id, username, display_name, oid, tenant_id, is_primary, linked_at)
+VALUES (@token_key, @user_id, @username, @display_name, @oid, @tenant_id, @is_primary, @ts)
+ON CONFLICT(token_key) DO UPDATE SET
+  username = excluded.username,
+  display_name = excluded.display_name,
+  oid = excluded.oid,
+  tenant_id = excluded.tenant_id
+`);
+const listStmt = db.prepare(`SELECT * FROM accounts WHERE user_id = ? ORDER BY is_primary DESC, linked_at`);
+const getStmt = db.prepare(`SELECT * FROM accounts WHERE token_key = ?`);
+const allStmt = db.prepare(`SELECT * FROM accounts`);
+const findStmt = db.prepare(`SELECT * FROM accounts WHERE user_id = ? AND lower(username) = lower(?)`);
+const deleteStmt = db.prepare(`DELETE FROM accounts WHERE token_key = ?`);
+
+/**
+ * Identity claims from an id_token. The token comes straight from the token
+ * endpoint over TLS, so its payload is read without verifying the signature.
+ */
+function identityFromIdToken(id_token) {
+  if (!id_token) return {};
+  try {
+    const claims = JSON.parse(Buffer.from(String(id_token).split(".")[1], "base64url").toString("utf8"));
+    return {
+      username: claims.preferred_username || claims.upn || claims.email || null,
+      display_name: claims.name || null,
+      oid: claims.oid || claims.sub || null,
+      tenant_id: claims.tid || null
+    };
+  } catch (_) {
+    return {};
+  }
+}
+
+/** Token record key for a linked account. */
+const linkedKey = (user_id, oid) => `${user_id}~${oid}`;
+
+/** Remember (or refresh) who is signed in under token_key. */
+function record(user_id, token_key, identity) {
+  upsertStmt.run({
+    token_key,
+    user_id,
+    username: identity.username || null,
+    display_name: identity.display_name || null,
+    oid: identity.oid || null,
+    tenant_id: identity.tenant_id || null,
+    is_primary: token_key === user_id ? 1 : 0,
+    ts: Date.now()
+  });
+}
+
+/** Accounts of a session, primary first. */
+function list(user_id) {
+  return listStmt.all(user_id);
+}
+
+/** The session's account signed in as `username` (case-insensitive), or null. */
+function find(user_id, username) {
+  return findStmt.get(user_id, username) || null;
+}
+
+/** The account whose tokens are stored under token_key, or null. */
+function get(token_key) {
+  return getStmt.get(token_key) || null;
+}
+
+function all() {
+  return allStmt.all();
+}
+
+function remove(token_key) {
+  deleteStmt.run(token_key);
+}
+
+module.exports = { identityFromIdToken, linkedKey, record, list, get, find, all, remove };
@@ -0,0 +1,1255 @@
+/**
+ * actions.js
+ *
+ * Declarative action registry behind /execute_tool, the MCP tools and openapi.json.
+ * Each action declares:
+ *   name         what clients send as `action` (and the MCP tool name)
+ *   description  one line for humans and LLMs
+ *   inputSchema  JSON Schema for `inputs` (bounds + defaults live here, nowhere else)
+ *   scopes       delegated Graph scopes the signed-in user must have granted
+ *   handler      async (input, ctx) → plain JSON; `input` is already validated
+ *   write        optional; true when the action changes anything (mail, sign-ins,
+ *                subscriptions, the local cache), so read-tier API keys can't run it
+ *   allowSignedOut  optional; the transports run it without a Microsoft token too
+ *                (ctx.token null) instead of answering requires_login
+ *
+ * runAction() looks the action up, validates, routes `mailbox`, checks scopes and
+ * runs the handler.
+ * Problems are thrown as errors with { code, status } for the transports to map.
+ */
+
+const graph = require("./graph");
+const { computeRange } = require("./dates");
+const { validate } = require("./validate");
+const crypto = require("crypto");
+const { htmlToText, stripQuoted, sliceText } = require("./text");
+const { extractText, detectFormat } = require("./extract");
+const attachmentCache = require("./attachmentCache");
+const { buildThread } = require("./thread");
+const sendGuard = require("./sendGuard");
+const mailCache = require("./mailCache");
+const { freeSlots, DAY_NAMES } = require("./calendar");
+const { compileQuery, passes } = require("./query");
+const { mailboxAnalytics } = require("./analytics");
+const folderCache = require("./folderCache");
+const cursors = require("./cursors");
+const shape = require("./shape");
+const accounts = require("./accounts");
+const subscriptions = require("./subscriptions");
+const audit = require("./audit");
+
+const ATTACHMENT_MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES || 25 * 1024 * 1024);
+
+/* -------------------- Schema helpers -------------------- */
+
+const object = (properties = {}, required = []) => ({ type: "object", properties, required, additionalProperties: false });
+const int = (description, def, max) => ({ type: "integer", minimum: 1, maximum: max, default: def, description });
+const str = (description, extra = {}) => ({ type: "string", minLength: 1, description, ...extra });
+
+const RANGE_PROPS = {
+  intent: {
+    type: "string",
+    enum: ["today", "yesterday", "this_week", "last_week", "this_month", "last_month", "last_n_days", "on_date", "since_date", "between"],
+    description: "Relative window (defaults to the last 7 days)"
+  },
+  n: { type: "integer", minimum: 1, maximum: 365, description: "Days for intent=last_n_days" },
+  on: str("ISO date for intent=on_date", { format: "date" }),
+  since: str("ISO date for intent=since_date", { format: "date" }),
+  start: str("ISO date for intent=between (start)", { format: "date" }),
+  end: str("ISO date for intent=between (end)", { format: "date" }),
+  tz: str("IANA time zone", { format: "iana-tz", default: "America/Chicago" })
+};
+
+// Same inputs for the calendar, plus forward-looking windows (default: the next 7 days).
+const CAL_RANGE_PROPS = {
+  ...RANGE_PROPS,
+  intent: {
+    type: "string",
+    enum: [...RANGE_PROPS.intent.enum, "tomorrow", "next_week", "next_n_days"],
+    default: "next_n_days",
+    description: "Relative window (defaults to the next 7 days)"
+  },
+  n: { type: "integer", minimum: 1, maximum: 365, description: "Days for intent=last_n_days / next_n_days" }
+};
+
+const READ = ["Mail.Read"];
+const CALENDAR = ["Calendars.Read"];
+const WRITE = ["Mail.ReadWrite"];
+const SEND = ["Mail.ReadWrite", "Mail.Send"];
+
+const PAGE_PROPS = {
+  page_size: int("Items per page; pass `next_cursor` back as `cursor` for the next one", 100, 1000),
+  cursor: str("`next_cursor` from the previous page (the other inputs are then ignored)")
+};
+
+// Response shaping (shape.js); fixed on the first page, cursors keep it.
+const MESSAGE_FIELDS = ["received", "sent", "from", "subject", "preview", "folderId", "hasAttachments", "conversationId", "isRead", "importance", "flagStatus", "categories"];
+const EVENT_FIELDS = ["subject", "start", "end", "timeZone", "isAllDay", "location", "organizer", "showAs", "isCancelled", "myResponse", "type", "seriesMasterId", "attendees", "onlineMeetingUrl", "onlineMeetingProvider", "preview", "webLink"];
+
+const shapeProps = (fieldNames) => ({
+  fields: { type: "array", items: { type: "string", enum: fieldNames }, description: "Only return these item properties (`id` is always included)" },
+  max_chars_per_field: { type: "integer", minimum: 10, maximum: 100000, description: "Cut longer text values to this many characters" },
+  max_response_tokens: { type: "integer", minimum: 200, maximum: 200000, description: "Approximate token budget per page; items that don't fit move to the next page and `truncated` is true" }
+});
+
+const MESSAGE_LIST_PROPS = {
+  ...PAGE_PROPS,
+  ...shapeProps(MESSAGE_FIELDS),
+  mode: { type: "string", enum: ["list", "aggregate"], default: "list", description: "`aggregate` returns `groups` (count + newest subject per group) over all matches instead of messages" },
+  group_by: { type: "string", enum: shape.GROUP_BY, default: "sender", description: "Grouping for mode=aggregate" },
+  tz: RANGE_PROPS.tz
+};
+
+const EVENT_LIST_PROPS = { ...PAGE_PROPS, ...shapeProps(EVENT_FIELDS) };
+
+// Well-known folders whose messages aren't mail the user received (analytics).
+const NOT_INBOUND = ["sentitems", "drafts", "deleteditems", "junkemail", "outbox"];
+
+const emails = (description) => ({ type: "array", items: { type: "string", format: "email" }, maxItems: 100, description });
+
+/* -------------------- Mailboxes -------------------- */
+
+/*
+ * Every action takes an optional `mailbox`. Routing (routeMailbox, in runAction)
+ * turns it into ctx fields the handlers use:
+ *   ctx.token     token of the account that does the reading
+ *   ctx.account   that account's token record key (user_id for the primary)
+ *   ctx.mailbox   UPN/id for /users/{mailbox}, or null for /me
+ * A linked account's own mailbox is read as /me with its token; anything else
+ * is a shared or delegated mailbox, read through the primary account.
+ */
+
+const MAILBOX = str("Shared or delegated mailbox (UPN or id), or a linked account's address (see list_mailboxes); defaults to your own");
+
+// /users/{id} access to someone else's mail needs the .Shared variant of a scope.
+const SHARED = {
+  "Mail.Read": "Mail.Read.Shared",
+  "Mail.ReadWrite": "Mail.ReadWrite.Shared",
+  "Mail.Send": "Mail.Send.Shared",
+  "Calendars.Read": "Calendars.Read.Shared"
+};
+
+// Loaded on first use: token storage needs TOKEN_ENC_KEYS, and openapi.js loads
+// this registry without any.
+const tokens = () => ({
+  tokenStore: require("./tokenStore"),
+  getValidToken: require("./auth").getValidToken,
+  auth: require("./auth"),
+  sessions: require("./sessions"),
+  oauthState: require("./oauthState")
+});
+
+/** Graph call target: spread into graph.* arguments. */
+const target = (ctx) => ({ access_token: ctx.token, mailbox: ctx.mailbox });
+
+/** Cache key (folderCache, attachmentCache) for the mailbox ctx points at. */
+const mailboxKey = (ctx) => (ctx.mailbox ? `${ctx.account}>${ctx.mailbox.toLowerCase()}` : ctx.account);
+
+/** Cursor action name; a cursor only continues in the mailbox it was issued for. */
+const cursorScope = (name, ctx) => (mailboxKey(ctx) === ctx.user_id ? name : `${name}@${mailboxKey(ctx)}`);
+
+const getFolders = (ctx, options = {}) => folderCache.getFolders(mailboxKey(ctx), ctx.token, { ...options, mailbox: ctx.mailbox });
+
+function ownMailboxOnly(ctx) {
+  if (ctx.mailbox) throw actionError("cache_unsupported", 400, "The local mail cache only covers your own mailboxes; leave out `mailbox`.");
+}
+
+/** ctx for the requested mailbox (see above). Throws account_login_required (401). */
+async function routeMailbox(ctx, mailbox) {
+  const base = { ...ctx, account: ctx.user_id, mailbox: null };
+  if (!mailbox) return base;
+
+  const linked = accounts.find(ctx.user_id, mailbox);
+  if (linked?.is_primary) return base;
+  if (linked) {
+    const { tokenStore, getValidToken } = tokens();
+    const token = await getValidToken(linked.token_key);
+    if (!token) {
+      throw actionError("account_login_required", 401, `Sign in to ${linked.username} again to use its mailbox.`, { details: { account: linked.username } });
+    }
+    return { ...ctx, token, scopes: tokenStore.scopes(linked.token_key), account: linked.token_key, mailbox: null };
+  }
+  return { ...base, mailbox };
+}
+
+/* -------------------- Local cache -------------------- */
+
+/**
+ * Answer from the local mail cache when it is enabled and warm. `query()` returns
+ * the messages, or null when it can't answer locally; then (or when the cache is
+ * cold) this resolves to null and the caller asks Graph. The result is a
+ * paginate() start value. Only the session's own mailboxes are cached.
+ */
+async function fromCache(ctx, query) {
+  if (ctx.mailbox || !(await mailCache.ready(ctx.account, ctx.token))) return null;
+  const items = query();
+  return items ? { items, meta: { source: "cache" } } : null;
+}
+
+/* -------------------- Pagination -------------------- */
+
+/**
+ * Page a list action. Without `input.cursor`, start() describes the full result:
+ *   { listing, max, meta }   a graph.listings request, paged lazily up to max items
+ *   { items, meta }          a list we already have (sorted or merged locally)
+ * With a cursor, the saved state carries on from where the last page stopped:
+ * the local list first (stored once, see cursors.saveResults, and read from
+ * `offset`), then Graph items the token budget pushed off the previous page
+ * (`carry`, at most a page), then the Graph listing. `meta` is repeated on every
+ * page; the items go under `key`, or `groups` in aggregate mode.
+ */
+async function paginate(name, input, ctx, start, key = "results") {
+  const scope = cursorScope(name, ctx);
+  let state;
+  let items; // the local list, whole
+  if (input.cursor) {
+    state = cursors.open(input.cursor, ctx.user_id, scope);
+    items = state.results ? cursors.results(state.results, ctx.user_id, scope) : [];
+  } else {
+    const first = await start();
+    items = first.items || [];
+    state = {
+      results: null,
+      offset: 0,
+      carry: [],
+      listing: first.listing || null,
+      skip: 0,
+      remaining: first.listing ? first.max : 0,
+      meta: first.meta || {},
+      key,
+      shape: { fields: input.fields, max_chars_per_field: input.max_chars_per_field, max_response_tokens: input.max_response_tokens }
+    };
+    if (input.mode === "aggregate") ({ state, items } = await aggregateAll(state, items, input, ctx));
+  }
+
+  const local = items.slice(state.offset, state.offset + input.page_size);
+  const carried = state.carry.slice(0, input.page_size - local.length);
+  let page = local.concat(carried);
+  let { listing, skip, remaining } = state;
+  if (listing && page.length < input.page_size) {
+    const got = await graph.fetchPage({
+      ...target(ctx),
+      listing,
+      skip,
+      pageSize: Math.min(input.page_size - page.length, remaining)
+    });
+    page = page.concat(got.items);
+    remaining -= got.items.length;
+    listing = got.next && remaining > 0 ? { ...listing, url: got.next.url } : null;
+    skip = got.next ? got.next.skip : 0;
+  }
+
+  const fitted = shape.fit(page, state.shape, state.meta);
+  // Local items that didn't fit are read again from the list; the rest is carried.
+  const offset = state.offset + Math.min(fitted.kept, local.length);
+  const carry = page.slice(Math.max(fitted.kept, local.length)).concat(state.carry.slice(carried.length));
+  let next = null;
+  if (offset < items.length || carry.length || listing) {
+    const results = state.results || (offset < items.length ? cursors.saveResults(ctx.user_id, scope, items) : null);
+    next = { ...state, results, offset, carry, listing, skip, remaining };
+  }
+
+  return {
+    ...state.meta,
+    [state.key]: fitted.items,
+    count: fitted.items.length,
+    ...(fitted.truncated ? { truncated: true } : {}),
+    next_cursor: next ? cursors.save(ctx.user_id, scope, next) : null
+  };
+}
+
+/**
+ * mode=aggregate: read every match (up to max) now and page over the groups
+ * instead. → { state, items: groups }
+ */
+async function aggregateAll(state, items, input, ctx) {
+  let all = items;
+  if (state.listing) {
+    const got = await graph.fetchPage({ ...target(ctx), listing: state.listing, pageSize: state.remaining });
+    all = all.concat(got.items);
+  }
+  let folderPath;
+  if (input.group_by === "folder") {
+    const paths = new Map((await getFolders(ctx)).map(f => [f.id, f.path]));
+    folderPath = (id) => paths.get(id);
+  }
+  const groups = shape.aggregate(all, { group_by: input.group_by, tz: input.tz, folderPath });
+  return {
+    state: {
+      ...state,
+      listing: null,
+      skip: 0,
+      remaining: 0,
+      meta: { ...state.meta, mode: "aggregate", group_by: input.group_by, matched: all.length, group_count: groups.length },
+      key: "groups",
+      shape: { max_chars_per_field: input.max_chars_per_field, max_response_tokens: input.max_response_tokens }
+    },
+    items: groups
+  };
+}
+
+/* -------------------- Send previews -------------------- */
+
+/**
+ * Phase one of every send: render the draft as it will go out, enforce the
+ * recipient policy and issue the confirmation token send_draft needs.
+ */
+async function previewDraft(ctx, draftId) {
+  const msg = await graph.getMessage({ ...target(ctx), id: draftId });
+  if (!msg.isDraft) throw actionError("not_a_draft", 409, "Only drafts can be sent; this message was already sent or received.");
+  sendGuard.checkRecipients(msg);
+
+  const addr = (list) => list.map(r => r.address);
+  const bodyText = msg.body.contentType === "html" ? htmlToText(msg.body.content) : msg.body.content.trim();
+  const preview = {
+    to: addr(msg.to),
+    cc: addr(msg.cc),
+    bcc: addr(msg.bcc),
+    subject: msg.subject || "",
+    body: sliceText(bodyText, 0, 20000),
+    attachments: msg.attachments.map(a => ({ name: a.name, size: a.size }))
+  };
+  return {
+    draft_id: msg.id,
+    sent: false,
+    preview,
+    ...sendGuard.issue(ctx.user_id, msg),
+    next_step: "Show this preview to the user. Only if they approve, call send_draft with { id: draft_id, confirmation_token }."
+  };
+}
+
+/**
+ * previewDraft for a reply Graph has already created: its recipients come from the
+ * original, so the policy can only refuse it afterwards. A refused draft is
+ * deleted rather than left in Drafts.
+ */
+async function previewReply(ctx, draftId) {
+  try {
+    return await previewDraft(ctx, draftId);
+  } catch (err) {
+    await graph.deleteDraft({ ...target(ctx), id: draftId })
+      .catch(e => console.warn(`[actions] could not delete refused draft ${draftId}:`, e.response?.data?.error?.code || e.message));
+    throw err;
+  }
+}
+
+/* -------------------- Bulk organize -------------------- */
+
+// Single id or a list; the handler checks that at least one was given.
+const TARGET_PROPS = {
+  id: str("Message id"),
+  ids: { type: "array", items: { type: "string", minLength: 1 }, maxItems: 1000, description: "Message ids (sent in $batch groups of 20)" },
+  dry_run: { type: "boolean", default: false, description: "Report what would change without changing anything" }
+};
+
+const DRY_RUN_SELECT = "id,subject,isRead,flag,categories,parentFolderId";
+const messagePath = (id) => `/messages/${encodeURIComponent(id)}`; // under graph.root()
+const subError = (r) => r?.body?.error?.code || (r ? `http_${r.status}` : "no_response");
+
+/**
+ * Shared body of move/copy/mark/flag/categories/delete.
+ *   request(id)        → the $batch sub-request that applies the change
+ *   changes(current)   → { field: { from, to } } for dry runs (current = Graph message)
+ */
+async function organize(name, input, ctx, { request, changes }) {
+  const ids = [...new Set([...(input.id ? [input.id] : []), ...(input.ids || [])])];
+  if (!ids.length) {
+    throw actionError("validation_failed", 422, `Invalid inputs for "${name}".`, { details: [{ field: "ids", message: "id or ids is required" }] });
+  }
+
+  const at = graph.root(ctx.mailbox); // batch sub-request URLs are relative to v1.0
+  if (input.dry_run) {
+    const current = await graph.batchRequests({
+      access_token: ctx.token,
+      requests: ids.map(id => ({ method: "GET", url: `${at}${messagePath(id)}?$select=${DRY_RUN_SELECT}` }))
+    });
+    const results = ids.map((id, i) => {
+      const r = current[i];
+      if (!r || r.status >= 300) return { id, ok: false, status: r?.status, error: subError(r) };
+      const diff = changes(r.body);
+      return { id, ok: true, subject: r.body.subject, would_change: Object.keys(diff).length > 0, changes: diff };
+    });
+    return {
+      action: name,
+      dry_run: true,
+      count: ids.length,
+      would_change: results.filter(r => r.would_change).length,
+      failed: results.filter(r => !r.ok).length,
+      results
+    };
+  }
+
+  const responses = await graph.batchRequests({
+    access_token: ctx.token,
+    requests: ids.map(id => {
+      const r = request(id);
+      return { ...r, url: `${at}${r.url}` };
+    })
+  });
+  folderCache.invalidate(mailboxKey(ctx)); // item/unread counts changed
+  const results = ids.map((id, i) => {
+    const r = responses[i];
+    if (!r || r.status >= 300) return { id, ok: false, status: r?.status, error: subError(r), message: r?.body?.error?.message };
+    // move/copy answer with the message in its new folder (and a new id)
+    return { id, ok: true, status: r.status, ...(r.body?.id && r.body.id !== id ? { new_id: r.body.id } : {}) };
+  });
+  return {
+    action: name,
+    dry_run: false,
+    count: ids.length,
+    succeeded: results.filter(r => r.ok).length,
+    failed: results.filter(r => !r.ok).length,
+    results
+  };
+}
+
+/** Field-level diff: only the keys whose value would actually change. */
+function diffFields(current, next) {
+  const out = {};
+  for (const [k, to] of Object.entries(next)) {
+    const from = current[k];
+    if (JSON.stringify(from) !== JSON.stringify(to)) out[k] = { from, to };
+  }
+  return out;
+}
+
+/** folder: the resolved destination (folderCache.resolve). */
+const moveTo = (folder) => ({
+  request: (id) => ({ method: "POST", url: `${messagePath(id)}/move`, body: { destinationId: folder.id } }),
+  changes: (m) => (m.parentFolderId === folder.id ? {} : { folderId: { from: m.parentFolderId, to: folder.id, path: folder.path } })
+});
+
+/** Folder id, path ("Inbox/Clients/Acme") or well-known name → folder, via the per-user cache. */
+const resolveFolder = (ctx, ref) => folderCache.resolve(mailboxKey(ctx), ctx.token, ref, { mailbox: ctx.mailbox });
+
+const patchWith = (patch, current = (m) => m) => ({
+  request: (id) => ({ method: "PATCH", url: messagePath(id), body: patch }),
+  changes: (m) => diffFields(current(m), patch)
+});
+
+const DESTINATION = str("Destination folder: id, path like `Inbox/Clients/Acme`, or well-known name (inbox, archive, deleteditems, ...)");
+const FOLDER_REF = "Folder id, path like `Inbox/Clients/Acme`, or well-known name (inbox, sentitems, archive, ...)";
+
+/* -------------------- Registry -------------------- */
+
+const ACTIONS = [
+  {
+    name: "read",
+    description: "Newest across ALL folders (first N)",
+    inputSchema: object({ top: int("Max items", 10, 1000), ...MESSAGE_LIST_PROPS }),
+    scopes: READ,
+    handler: (input, ctx) => paginate("read", input, ctx, () => ({
+      listing: graph.listings.latest({ mailbox: ctx.mailbox, pageSize: Math.min(input.page_size, input.top) }),
+      max: input.top
+    }))
+  },
+  {
+    name: "read_sent",
+    description: "Newest from Sent Items (first N)",
+    inputSchema: object({ top: int("Max items", 10, 1000), ...MESSAGE_LIST_PROPS }),
+    scopes: READ,
+    handler: (input, ctx) => paginate("read_sent", input, ctx, () => ({
+      listing: graph.listings.sent({ mailbox: ctx.mailbox, pageSize: Math.min(input.page_size, input.top) }),
+      max: input.top
+    }))
+  },
+  {
+    name: "read_all",
+    description: "Deep paginate whole mailbox up to `max`",
+    inputSchema: object({ max: int("Max items (deep read)", 1000, 5000), ...MESSAGE_LIST_PROPS }),
+    scopes: READ,
+    handler: (input, ctx) => paginate("read_all", input, ctx, async () =>
+      (await fromCache(ctx, () => mailCache.list(ctx.account, { limit: input.max }))) ||
+      { listing: graph.listings.latest({ mailbox: ctx.mailbox, pageSize: Math.min(input.page_size, input.max) }), max: input.max })
+  },
+  {
+    name: "session_status",
+    description: "Whether this user_id is signed in: account, granted scopes, token expiry, linked accounts",
+    inputSchema: object(),
+    scopes: [],
+    allowSignedOut: true,
+    handler: async (_input, ctx) => {
+      const status = tokens().sessions.status(ctx.user_id);
+      return {
+        ...status,
+        ...(!status.signed_in && ctx.baseUrl ? { login_url: tokens().oauthState.loginUrl(ctx.baseUrl, ctx.user_id) } : {})
+      };
+    }
+  },
+  {
+    name: "start_device_login",
+    description: "Sign in without a browser next to the server: returns a code for the user to enter at the verification URL; then call poll_login",
+    inputSchema: object({
+      link: { type: "boolean", default: false, description: "Sign in an additional account for this session instead of its primary one" },
+      tenant: str("Organization to sign in through, when the server serves several (profile name or tenant id)")
+    }),
+    scopes: [],
+    write: true,
+    allowSignedOut: true,
+    handler: (input, ctx) => tokens().auth.startDeviceLogin(ctx.user_id, { link: input.link, tenant: input.tenant })
+  },
+  {
+    name: "poll_login",
+    description: "Check a device login started with start_device_login: `pending` (wait retry_after seconds) until the user has entered the code, then `logged_in`",
+    inputSchema: object(),
+    scopes: [],
+    write: true,
+    allowSignedOut: true,
+    handler: (_input, ctx) => tokens().auth.pollDeviceLogin(ctx.user_id)
+  },
+  {
+    name: "list_mailboxes",
+    description: "Accounts signed in to this session, usable as `mailbox` in other actions; shared mailboxes work by address too",
+    inputSchema: object(),
+    scopes: [],
+    handler: async (_input, ctx) => {
+      const { tokenStore } = tokens();
+      const mailboxes = accounts.list(ctx.user_id).map(a => {
+        const meta = tokenStore.meta(a.token_key);
+        return {
+          mailbox: a.username,
+          name: a.display_name,
+          primary: a.is_primary === 1,
+          signed_in: !!meta && (meta.expiry > Date.now() || meta.refreshable),
+          linked_at: new Date(a.linked_at).toISOString()
+        };
+      });
+      return {
+        mailboxes,
+        count: mailboxes.length,
+        ...(ctx.baseUrl ? { link_url: tokens().oauthState.loginUrl(ctx.baseUrl, ctx.user_id, { link: true }) } : {})
+      };
+    }
+  },
+  {
+    name: "list_folders",
+    description: "All folders incl. nested ones: id, full path, well-known name, item/unread counts",
+    inputSchema: object({
+      shape: { type: "string", enum: ["tree", "flat"], default: "tree", description: "`tree` adds nested `tree`; `flat` returns only the path-sorted list" },
+      refresh: { type: "boolean", default: false, description: "Bypass the folder cache" }
+    }),
+    scopes: READ,
+    handler: async (input, ctx) => {
+      const folders = await getFolders(ctx, { refresh: input.refresh });
+      return {
+        folders,
+        count: folders.length,
+        ...(input.shape === "tree" ? { tree: folderCache.toTree(folders) } : {})
+      };
+    }
+  },
+  {
+    name: "read_folder_all",
+    description: "Read a folder by path (`Inbox/Clients/Acme`), name or well-known name",
+    inputSchema: object({
+      folder: str(FOLDER_REF, { default: "inbox" }),
+      max: int("Max items (deep read)", 1000, 5000),
+      ...MESSAGE_LIST_PROPS
+    }),
+    scopes: READ,
+    handler: (input, ctx) => paginate("read_folder_all", input, ctx, async () => {
+      const folder = await resolveFolder(ctx, input.folder);
+      const meta = { folder: folder.path, folderId: folder.id };
+      const local = await fromCache(ctx, () => mailCache.list(ctx.account, { folderId: folder.id, limit: input.max }));
+      if (local) return { items: local.items, meta: { ...local.meta, ...meta } };
+      return { listing: graph.listings.folder({ mailbox: ctx.mailbox, folderId: folder.id, pageSize: Math.min(input.page_size, input.max) }), max: input.max, meta };
+    })
+  },
+  {
+    name: "read_folder_id_all",
+    description: "Read by folder ID (recommended; paths are accepted too)",
+    inputSchema: object({
+      folderId: str(`${FOLDER_REF}; ids come from list_folders`),
+      max: int("Max items (deep read)", 1000, 5000),
+      ...MESSAGE_LIST_PROPS
+    }, ["folderId"]),
+    scopes: READ,
+    handler: (input, ctx) => paginate("read_folder_id_all", input, ctx, async () => {
+      const { id: folderId } = await resolveFolder(ctx, input.folderId);
+      const local = await fromCache(ctx, () => mailCache.list(ctx.account, { folderId, limit: input.max }));
+      if (local) return { items: local.items, meta: { ...local.meta, folderId } };
+      return { listing: graph.listings.folder({ mailbox: ctx.mailbox, folderId, pageSize: Math.min(input.page_size, input.max) }), max: input.max, meta: { folderId } };
+    })
+  },
+  {
+    name: "list_search_folders",
+    description: "List virtual 'Search Folders'",
+    inputSchema: object(),
+    scopes: READ,
+    handler: async (_input, ctx) => ({ folders: await graph.listSearchFolders(ctx.token, ctx.mailbox) })
+  },
+  {
+    name: "read_search_folder_id_all",
+    description: "Read a Search Folder by ID",
+    inputSchema: object({
+      folderId: str("Search Folder ID"),
+      max: int("Max items (deep read)", 1000, 5000),
+      ...MESSAGE_LIST_PROPS
+    }, ["folderId"]),
+    scopes: READ,
+    handler: (input, ctx) => paginate("read_search_folder_id_all", input, ctx, () => ({
+      listing: graph.listings.folder({ mailbox: ctx.mailbox, folderId: input.folderId, pageSize: Math.min(input.page_size, input.max) }),
+      max: input.max,
+      meta: { folderId: input.folderId }
+    }))
+  },
+  {
+    name: "read_relative",
+    description: "By relative time window (today/this_week/etc.)",
+    inputSchema: object({ ...RANGE_PROPS, top: int("Max items", 5000, 5000), ...MESSAGE_LIST_PROPS }),
+    scopes: READ,
+    handler: (input, ctx) => paginate("read_relative", input, ctx, async () => {
+      const { startIso, endIso, tz } = computeRange(input);
+      const range = { startIso, endIso, tz };
+      const local = await fromCache(ctx, () => mailCache.list(ctx.account, { startIso, endIso, limit: input.top }));
+      if (local) return { items: local.items, meta: { range, ...local.meta } };
+      return { listing: graph.listings.dateRange({ mailbox: ctx.mailbox, startIso, endIso, pageSize: Math.min(input.page_size, input.top) }), max: input.top, meta: { range } };
+    })
+  },
+  {
+    name: "search",
+    description: "AQS keyword search (first N)",
+    inputSchema: object({
+      q: str("AQS/keyword query (e.g. `from:wilson subject:task`)", { maxLength: 512 }),
+      top: int("Max items", 50, 1000),
+      ...MESSAGE_LIST_PROPS
+    }, ["q"]),
+    scopes: READ,
+    // $search hits come back by relevance and are re-sorted here, so pages come from the sorted list.
+    handler: (input, ctx) => paginate("search", input, ctx, async () =>
+      (await fromCache(ctx, () => mailCache.search(ctx.account, input.q, { limit: input.top }))) ||
+      { items: (await graph.searchAllMail({ ...target(ctx), query: input.q, top: input.top })).results })
+  },
+  {
+    name: "search_all",
+    description: "AQS keyword search (deep, up to `max`)",
+    inputSchema: object({
+      q: str("AQS/keyword query (e.g. `from:wilson subject:task`)", { maxLength: 512 }),
+      max: int("Max items (deep read)", 1000, 5000),
+      ...MESSAGE_LIST_PROPS
+    }, ["q"]),
+    scopes: READ,
+    handler: (input, ctx) => paginate("search_all", input, ctx, async () =>
+      (await fromCache(ctx, () => mailCache.search(ctx.account, input.q, { limit: input.max }))) ||
+      { items: (await graph.searchAllMailAllPages({ ...target(ctx), query: input.q, max: input.max })).results })
+  },
+  {
+    name: "search_by_date",
+    description: "Absolute date range using `startIso` & `endIso`",
+    inputSchema: object({
+      startIso: str("Window start (ISO 8601)", { format: "date-time" }),
+      endIso: str("Window end (ISO 8601)", { format: "date-time" }),
+      top: int("Max items", 200, 5000),
+      ...MESSAGE_LIST_PROPS
+    }, ["startIso", "endIso"]),
+    scopes: READ,
+    handler: (input, ctx) => paginate("search_by_date", input, ctx, async () => {
+      const { startIso, endIso, top } = input;
+      return (await fromCache(ctx, () => mailCache.list(ctx.account, { startIso, endIso, limit: top }))) ||
+        { listing: graph.listings.dateRange({ mailbox: ctx.mailbox, startIso, endIso, pageSize: Math.min(input.page_size, top) }), max: top };
+    })
+  },
+  {
+    name: "search_sender_email",
+    description: "Full history for EXACT sender email (optionally within startIso..endIso)",
+    inputSchema: object({
+      email: str("Exact sender email", { format: "email" }),
+      limit: int("Max items", 2000, 5000),
+      startIso: str("Optional window start (ISO 8601, needs endIso)", { format: "date-time" }),
+      endIso: str("Optional window end (ISO 8601, needs startIso)", { format: "date-time" }),
+      ...MESSAGE_LIST_PROPS
+    }, ["email"]),
+    scopes: READ,
+    handler: (input, ctx) => paginate("search_sender_email", input, ctx, async () => {
+      const data = await graph.searchBySenderEmail({
+        ...target(ctx), email: input.email, limit: input.limit, startIso: input.startIso, endIso: input.endIso
+      });
+      return { items: data.results, meta: { email: data.email } };
+    })
+  },
+  {
+    name: "query",
+    description: "Structured search combining sender/recipients, subject, folder, dates, flags, categories and free text",
+    inputSchema: object({
+      text: str("Free-text keywords", { maxLength: 512 }),
+      from: { type: "array", items: { type: "string", minLength: 1 }, maxItems: 20, description: "Sender address(es) or name(s); any of them" },
+      to: { type: "array", items: { type: "string", minLength: 1 }, maxItems: 20, description: "To recipient address(es) or name(s); any of them" },
+      cc: { type: "array", items: { type: "string", minLength: 1 }, maxItems: 20, description: "Cc recipient address(es) or name(s); any of them" },
+      subject: str("Subject contains", { maxLength: 256 }),
+      folder: str(`${FOLDER_REF}; omit for all folders`),
+      startIso: str("Received on/after (ISO 8601)", { format: "date-time" }),
+      endIso: str("Received on/before (ISO 8601)", { format: "date-time" }),
+      ...RANGE_PROPS,
+      has_attachments: { type: "boolean", description: "Only with (true) / without (false) attachments" },
+      is_read: { type: "boolean", description: "Only read (true) / unread (false)" },
+      importance: { type: "string", enum: ["low", "normal", "high"], description: "Importance" },
+      flag_status: { type: "string", enum: ["notFlagged", "flagged", "complete"], description: "Follow-up flag" },
+      categories: { type: "array", items: { type: "string", minLength: 1 }, maxItems: 10, description: "In any of these categories" },
+      max: int("Max results", 100, 1000),
+      max_scan: int("Search mode: max hits to scan before filtering locally", 1000, 5000),
+      ...MESSAGE_LIST_PROPS
+    }),
+    scopes: READ,
+    handler: (input, ctx) => paginate("query", input, ctx, async () => {
+      const plan = compileQuery(input);
+      const folder = plan.folder ? await resolveFolder(ctx, plan.folder) : null;
+      const meta = {
+        ...(plan.range ? { range: plan.range } : {}),
+        compiled: {
+          mode: plan.mode,
+          folder: folder ? { id: folder.id, path: folder.path } : null,
+          $filter: plan.filter,
+          $search: plan.search,
+          client_checks: plan.checks.map(ch => ch.name)
+        }
+      };
+      // Filter mode is ordered by Graph and pages lazily; search mode is filtered and sorted here first.
+      if (plan.mode === "filter") {
+        const pageSize = Math.min(input.page_size, input.max);
+        return { listing: graph.listings.query({ mailbox: ctx.mailbox, folder: folder?.id, filter: plan.filter, pageSize }), max: input.max, meta };
+      }
+      const data = await graph.queryMessages({
+        ...target(ctx),
+        folder: folder?.id,
+        search: plan.search,
+        keep: plan.checks.length ? (m) => passes(plan, m) : null,
+        max: input.max,
+        maxScan: input.max_scan
+      });
+      return { items: data.results, meta: { ...meta, scanned: data.scanned } };
+    })
+  },
+  {
+    name: "search_sender_name_bootstrap",
+    description: "Find probable addresses by name, then crawl exact",
+    inputSchema: object({
+      name: str("Display name (bootstrap discovery)", { maxLength: 256 }),
+      maxAqs: int("Sample size for the AQS bootstrap", 300, 1000),
+      perSenderLimit: int("Limit per discovered sender during exact crawl", 2000, 5000),
+      ...MESSAGE_LIST_PROPS
+    }, ["name"]),
+    scopes: READ,
+    handler: (input, ctx) => paginate("search_sender_name_bootstrap", input, ctx, async () => {
+      const { name, maxAqs, perSenderLimit } = input;
+      const data = await graph.searchSenderByNameBootstrap({ ...target(ctx), name, maxAqs, perSenderLimit });
+      return { items: data.results, meta: { discoveredSenders: data.discoveredSenders } };
+    })
+  },
+  {
+    name: "analytics",
+    description: "Received/sent volume per day or week, top senders and recipients, median reply time per correspondent, unanswered threads",
+    inputSchema: object({
+      ...RANGE_PROPS,
+      bucket: { type: "string", enum: ["day", "week"], default: "day", description: "Volume series granularity (weeks start Monday, in `tz`)" },
+      top_n: int("Entries per top list", 10, 100),
+      unanswered_after_days: int("Inbound threads waiting longer than this count as unanswered", 3, 365),
+      max: int("Max messages read per side (received, sent)", 2000, 5000)
+    }),
+    scopes: READ,
+    handler: async (input, ctx) => {
+      const range = computeRange(input);
+      const folders = await getFolders(ctx);
+      const notInbound = new Set(folders.filter(f => NOT_INBOUND.includes(f.wellKnownName)).map(f => f.id));
+
+      // Sent Items run on to now, so replies after the window still match.
+      const sentUntil = new Date(Math.max(Date.parse(range.endIso), Date.now())).toISOString();
+      const [received, sent] = await Promise.all([
+        graph.filterAllMailByDate({ ...target(ctx), startIso: range.startIso, endIso: range.endIso, top: input.max }),
+        graph.filterSentByDate({ ...target(ctx), startIso: range.startIso, endIso: sentUntil, top: input.max })
+      ]);
+      const own = new Set(sent.results.map(m => String(m.from || "").toLowerCase()).filter(Boolean));
+      const inbound = received.results.filter(m => !notInbound.has(m.folderId) && !own.has(String(m.from || "").toLowerCase()));
+
+      return {
+        range,
+        scanned: { received: received.count, sent: sent.count, capped: received.count >= input.max || sent.count >= input.max },
+        ...mailboxAnalytics(inbound, sent.results, range, {
+          bucket: input.bucket,
+          topN: input.top_n,
+          unansweredDays: input.unanswered_after_days
+        })
+      };
+    }
+  },
+  {
+    name: "list_events",
+    description: "Calendar events in a relative window (recurring events expanded), with attendees and meeting links",
+    inputSchema: object({
+      ...CAL_RANGE_PROPS,
+      max: int("Max events", 200, 1000),
+      include_cancelled: { type: "boolean", default: false, description: "Include cancelled occurrences" },
+      ...EVENT_LIST_PROPS
+    }),
+    scopes: CALENDAR,
+    handler: (input, ctx) => paginate("list_events", input, ctx, async () => {
+      const { startIso, endIso, tz } = computeRange(input);
+      const events = (await graph.listEvents({ ...target(ctx), startIso, endIso, tz, max: input.max }))
+        .filter(e => input.include_cancelled || !e.isCancelled);
+      return { items: events, meta: { range: { startIso, endIso, tz } } };
+    }, "events")
+  },
+  {
+    name: "get_event",
+    description: "One calendar event in full: body as text, attendees and responses, recurrence, meeting link",
+    inputSchema: object({
+      id: str("Event id (from list_events)"),
+      tz: RANGE_PROPS.tz,
+      max_chars: int("Max body characters to return", 20000, 200000)
+    }, ["id"]),
+    scopes: CALENDAR,
+    handler: async (input, ctx) => {
+      const { body, ...event } = await graph.getEvent({ ...target(ctx), id: input.id, tz: input.tz });
+      const text = body.contentType === "html" ? htmlToText(body.content) : body.content.trim();
+      return { ...event, body: sliceText(text, 0, input.max_chars) };
+    }
+  },
+  {
+    name: "find_free_time",
+    description: "Free slots of at least `duration_minutes` within working hours, from your own calendar",
+    inputSchema: object({
+      ...CAL_RANGE_PROPS,
+      duration_minutes: { type: "integer", minimum: 5, maximum: 1440, default: 30, description: "Meeting length" },
+      work_start: str("Working day start (HH:MM)", { pattern: "^([01]\\d|2[0-3]):[0-5]\\d$", default: "09:00" }),
+      work_end: str("Working day end (HH:MM)", { pattern: "^([01]\\d|2[0-3]):[0-5]\\d$", default: "17:00" }),
+      work_days: {
+        type: "array",
+        items: { type: "string", enum: DAY_NAMES },
+        default: DAY_NAMES.slice(0, 5),
+        description: "Working days"
+      },
+      max_slots: int("Max slots to return", 20, 200)
+    }),
+    scopes: CALENDAR,
+    handler: async (input, ctx) => {
+      const { startIso, endIso, tz } = computeRange(input);
+      const events = await graph.listEvents({ ...target(ctx), startIso, endIso, tz, max: 2000 });
+      const slots = freeSlots(events, { startIso, endIso }, {
+        tz,
+        durationMinutes: input.duration_minutes,
+        workStart: input.work_start,
+        workEnd: input.work_end,
+        workDays: input.work_days,
+        maxSlots: input.max_slots
+      });
+      return { range: { startIso, endIso, tz }, duration_minutes: input.duration_minutes, slots, count: slots.length };
+    }
+  },
+  {
+    name: "sync_cache",
+    description: "Sync the local mail cache now (incremental; full=true rebuilds it)",
+    inputSchema: object({
+      full: { type: "boolean", default: false, description: "Drop the cache and re-download everything" },
+      wait: { type: "boolean", default: false, description: "Wait for the sync to finish (can take minutes on a first sync)" }
+    }),
+    scopes: READ,
+    write: true,
+    handler: async (input, ctx) => {
+      if (!mailCache.ENABLED) throw actionError("cache_disabled", 400, "The local mail cache is off on this server (MAIL_CACHE=true enables it).");
+      ownMailboxOnly(ctx);
+      const running = mailCache.sync(ctx.account, ctx.token, { full: input.full });
+      if (input.wait) return running;
+      running.catch(err => console.error(`[mailCache] sync failed for ${ctx.account}:`, err.message));
+      return mailCache.status(ctx.account);
+    }
+  },
+  {
+    name: "cache_status",
+    description: "Local mail cache state (warm?, last sync, message count)",
+    inputSchema: object(),
+    scopes: READ,
+    handler: (_input, ctx) => {
+      ownMailboxOnly(ctx);
+      return mailCache.status(ctx.account);
+    }
+  },
+  {
+    name: "subscribe",
+    description: "Push notifications for a folder (new mail by default) to this user's GET /events stream, instead of polling",
+    inputSchema: object({
+      folder: str(FOLDER_REF, { default: "inbox" }),
+      change_types: {
+        type: "array",
+        items: { type: "string", enum: ["created", "updated", "deleted"] },
+        maxItems: 3,
+        default: ["created"],
+        description: "Which message changes to report"
+      }
+    }),
+    scopes: READ,
+    write: true,
+    handler: async (input, ctx) => {
+      if (ctx.mailbox) {
+        throw actionError("subscription_unsupported", 400, "Graph only notifies about the signed-in account's own mail; link that account (see list_mailboxes) and pass its address instead.");
+      }
+      const folder = await resolveFolder(ctx, input.folder);
+      const mailbox = accounts.list(ctx.user_id).find(a => a.token_key === ctx.account)?.username;
+      const subscription = await subscriptions.create({ ...ctx, mailbox }, folder, [...new Set(input.change_types)]);
+      return {
+        subscription,
+        ...(ctx.baseUrl ? { events_url: `${ctx.baseUrl}/events?user_id=${encodeURIComponent(ctx.user_id)}` } : {}),
+        note: "Renewed automatically until unsubscribe. Events arrive as SSE `mail` events with message_id and mailbox."
+      };
+    }
+  },
+  {
+    name: "list_subscriptions",
+    description: "Active folder subscriptions of this user (see subscribe)",
+    inputSchema: object(),
+    scopes: [],
+    handler: async (_input, ctx) => {
+      const list = subscriptions.list(ctx.user_id);
+      return { subscriptions: list, count: list.length };
+    }
+  },
+  {
+    name: "unsubscribe",
+    description: "Stop a folder subscription",
+    inputSchema: object({ id: str("Subscription id (from subscribe or list_subscriptions)") }, ["id"]),
+    scopes: [],
+    write: true,
+    handler: async (input, ctx) => ({ removed: await subscriptions.remove(ctx.user_id, input.id) })
+  },
+  {
+    name: "get_message",
+    description: "Read ONE message in full: body as text, recipients, headers, attachment list",
+    inputSchema: object({
+      id: str("Message id (from any list/search result)"),
+      max_chars: int("Max body characters to return", 20000, 200000),
+      offset: { type: "integer", minimum: 0, default: 0, description: "Body offset to continue from (use `body.next_offset`)" },
+      strip_quoted: { type: "boolean", default: false, description: "Drop the quoted reply/forward chain below the newest text" },
+      include_headers: { type: "boolean", default: true, description: "Include internetMessageHeaders" }
+    }, ["id"]),
+    scopes: READ,
+    handler: async (input, ctx) => {
+      const { body, internetMessageHeaders, ...msg } = await graph.getMessage({ ...target(ctx), id: input.id });
+      let text = body.contentType === "html" ? htmlToText(body.content) : body.content.trim();
+      let quotedRemoved = false;
+      if (input.strip_quoted) ({ text, removed: quotedRemoved } = stripQuoted(text));
+      return {
+        ...msg,
+        ...(input.include_headers ? { internetMessageHeaders } : {}),
+        body: { ...sliceText(text, input.offset, input.max_chars), quoted_removed: quotedRemoved }
+      };
+    }
+  },
+  {
+    name: "get_thread",
+    description: "Whole conversation across ALL folders (incl. Sent Items), oldest first, quoted text removed, with participants",
+    inputSchema: object({
+      id: str("Any message id in the thread (or pass conversationId)"),
+      conversationId: str("Conversation id (from a list/search result's `conversationId`)"),
+      max_messages: int("Max messages to collect", 100, 500),
+      max_chars_per_message: int("Max characters of new text per message", 4000, 50000),
+      include_bodies: { type: "boolean", default: true, description: "Include each message's new text (false = timeline only)" }
+    }),
+    scopes: READ,
+    handler: async (input, ctx) => {
+      if (!input.id && !input.conversationId) {
+        throw actionError("validation_failed", 422, `Invalid inputs for "get_thread".`, { details: [{ field: "id", message: "id or conversationId is required" }] });
+      }
+      const { conversationId, messages } = await graph.getConversation({
+        ...target(ctx), conversationId: input.conversationId, messageId: input.id, max: input.max_messages
+      });
+      const thread = buildThread(messages, { maxCharsPerMessage: input.max_chars_per_message, includeBodies: input.include_bodies });
+      return { conversationId, ...thread, count: thread.timeline.length, truncated: messages.length >= input.max_messages };
+    }
+  },
+  {
+    name: "create_draft",
+    description: "Create a new draft (NOT sent); returns a preview and a confirmation_token for send_draft",
+    inputSchema: object({
+      to: emails("Recipient addresses"),
+      cc: emails("Cc addresses"),
+      bcc: emails("Bcc addresses"),
+      subject: { type: "string", maxLength: 998, default: "", description: "Subject line" },
+      body: { type: "string", maxLength: 200000, default: "", description: "Message body" },
+      body_type: { type: "string", enum: ["text", "html"], default: "text", description: "Body format" },
+      importance: { type: "string", enum: ["low", "normal", "high"], description: "Importance flag" }
+    }, ["to"]),
+    scopes: WRITE,
+    write: true,
+    handler: async (input, ctx) => {
+      const asRecipients = (list) => (list || []).map(address => ({ address }));
+      // Refuse before anything lands in Drafts.
+      sendGuard.checkRecipients({ to: asRecipients(input.to), cc: asRecipients(input.cc), bcc: asRecipients(input.bcc) });
+      const { id } = await graph.createDraft({
+        ...target(ctx), subject: input.subject, body: input.body, bodyType: input.body_type,
+        to: input.to, cc: input.cc, bcc: input.bcc, importance: input.importance
+      });
+      return previewDraft(ctx, id);
+    }
+  },
+  {
+    name: "reply",
+    description: "Draft a reply to the sender (NOT sent); returns a preview and a confirmation_token for send_draft",
+    inputSchema: object({
+      id: str("Message id to reply to"),
+      comment: str("Reply text (placed above the quoted original)", { maxLength: 200000 })
+    }, ["id", "comment"]),
+    scopes: WRITE,
+    write: true,
+    handler: async (input, ctx) => {
+      const { id } = await graph.createReply({ ...target(ctx), messageId: input.id, comment: input.comment });
+      return previewReply(ctx, id);
+    }
+  },
+  {
+    name: "reply_all",
+    description: "Draft a reply to the sender and all recipients (NOT sent); returns a preview and a confirmation_token",
+    inputSchema: object({
+      id: str("Message id to reply to"),
+      comment: str("Reply text (placed above the quoted original)", { maxLength: 200000 })
+    }, ["id", "comment"]),
+    scopes: WRITE,
+    write: true,
+    handler: async (input, ctx) => {
+      const { id } = await graph.createReply({ ...target(ctx), messageId: input.id, all: true, comment: input.comment });
+      return previewReply(ctx, id);
+    }
+  },
+  {
+    name: "forward",
+    description: "Draft a forward (NOT sent); returns a preview and a confirmation_token for send_draft",
+    inputSchema: object({
+      id: str("Message id to forward"),
+      to: { ...emails("Forward to"), minItems: 1 },
+      comment: { type: "string", maxLength: 200000, default: "", description: "Text above the forwarded message" }
+    }, ["id", "to"]),
+    scopes: WRITE,
+    write: true,
+    handler: async (input, ctx) => {
+      sendGuard.checkRecipients({ to: input.to.map(address => ({ address })) });
+      const { id } = await graph.createForward({ ...target(ctx), messageId: input.id, to: input.to, comment: input.comment });
+      return previewDraft(ctx, id);
+    }
+  },
+  {
+    name: "send_draft",
+    description: "Send a draft. Without confirmation_token: preview only. With the token from the preview: sends it",
+    inputSchema: object({
+      id: str("Draft id (`draft_id` from create_draft/reply/reply_all/forward)"),
+      confirmation_token: str("Token from the preview; only pass it after the user approved that preview")
+    }, ["id"]),
+    scopes: SEND,
+    write: true,
+    handler: async (input, ctx) => {
+      if (!input.confirmation_token) return previewDraft(ctx, input.id);
+
+      const msg = await graph.getMessage({ ...target(ctx), id: input.id });
+      if (!msg.isDraft) throw actionError("not_a_draft", 409, "Only drafts can be sent; this message was already sent or received.");
+      sendGuard.checkRecipients(msg);
+      sendGuard.consume(input.confirmation_token, ctx.user_id, msg);
+
+      await graph.sendDraft({ ...target(ctx), id: input.id });
+      return { draft_id: input.id, sent: true, to: msg.to.map(r => r.address), subject: msg.subject };
+    }
+  },
+  {
+    name: "move",
+    description: "Move message(s) to a folder (bulk via $batch; dry_run to preview)",
+    inputSchema: object({ ...TARGET_PROPS, destination: DESTINATION }, ["destination"]),
+    scopes: WRITE,
+    write: true,
+    handler: async (input, ctx) => organize("move", input, ctx, moveTo(await resolveFolder(ctx, input.destination)))
+  },
+  {
+    name: "copy",
+    description: "Copy message(s) into a folder (bulk via $batch; dry_run to preview)",
+    inputSchema: object({ ...TARGET_PROPS, destination: DESTINATION }, ["destination"]),
+    scopes: WRITE,
+    write: true,
+    handler: async (input, ctx) => {
+      const folder = await resolveFolder(ctx, input.destination);
+      return organize("copy", input, ctx, {
+        request: (id) => ({ method: "POST", url: `${messagePath(id)}/copy`, body: { destinationId: folder.id } }),
+        changes: () => ({ copy_to: { from: null, to: folder.id, path: folder.path } })
+      });
+    }
+  },
+  {
+    name: "mark_read",
+    description: "Mark message(s) as read",
+    inputSchema: object(TARGET_PROPS),
+    scopes: WRITE,
+    write: true,
+    handler: (input, ctx) => organize("mark_read", input, ctx, patchWith({ isRead: true }))
+  },
+  {
+    name: "mark_unread",
+    description: "Mark message(s) as unread",
+    inputSchema: object(TARGET_PROPS),
+    scopes: WRITE,
+    write: true,
+    handler: (input, ctx) => organize("mark_unread", input, ctx, patchWith({ isRead: false }))
+  },
+  {
+    name: "flag",
+    description: "Flag, complete or clear the follow-up flag on message(s)",
+    inputSchema: object({
+      ...TARGET_PROPS,
+      status: { type: "string", enum: ["flagged", "complete", "notFlagged"], default: "flagged", description: "Flag status" }
+    }),
+    scopes: WRITE,
+    write: true,
+    handler: (input, ctx) => organize("flag", input, ctx,
+      patchWith({ flag: { flagStatus: input.status } }, (m) => ({ flag: { flagStatus: m.flag?.flagStatus } })))
+  },
+  {
+    name: "set_categories",
+    description: "Replace the categories on message(s) (empty list clears them)",
+    inputSchema: object({
+      ...TARGET_PROPS,
+      categories: { type: "array", items: { type: "string", minLength: 1 }, maxItems: 25, description: "Category names (as defined in Outlook)" }
+    }, ["categories"]),
+    scopes: WRITE,
+    write: true,
+    handler: (input, ctx) => organize("set_categories", input, ctx, patchWith({ categories: input.categories }))
+  },
+  {
+    name: "delete",
+    description: "Move message(s) to Deleted Items (recoverable, not a permanent delete)",
+    inputSchema: object(TARGET_PROPS),
+    scopes: WRITE,
+    write: true,
+    handler: async (input, ctx) => organize("delete", input, ctx, moveTo(await resolveFolder(ctx, "deleteditems")))
+  },
+  {
+    name: "list_attachments",
+    description: "List a message's attachments (name, size, type, whether text can be extracted)",
+    inputSchema: object({ id: str("Message id") }, ["id"]),
+    scopes: READ,
+    handler: async (input, ctx) => {
+      const attachments = (await graph.listAttachments({ ...target(ctx), messageId: input.id })).map(a => ({
+        ...a,
+        extractable: a.kind === "itemAttachment" || (a.kind === "fileAttachment" && !!detectFormat(a.name, a.contentType))
+      }));
+      return { messageId: input.id, attachments, count: attachments.length };
+    }
+  },
+  {
+    name: "get_attachment",
+    description: "Extract text from one attachment (txt/csv/html/eml/docx/xlsx/pdf, embedded emails), chunked",
+    inputSchema: object({
+      id: str("Message id"),
+      attachment_id: str("Attachment id (from list_attachments or get_message)"),
+      max_chars: int("Max characters to return", 20000, 200000),
+      offset: { type: "integer", minimum: 0, default: 0, description: "Offset to continue from (use `content.next_offset`)" }
+    }, ["id", "attachment_id"]),
+    scopes: READ,
+    handler: async (input, ctx) => {
+      const ids = { ...target(ctx), messageId: input.id, attachmentId: input.attachment_id };
+      const attachment = await graph.getAttachmentMeta(ids);
+
+      if (attachment.kind === "referenceAttachment") {
+        return { attachment, extracted: false, reason: "reference attachment: the file lives in cloud storage, only a link is attached" };
+      }
+      if (attachment.size > ATTACHMENT_MAX_BYTES) {
+        throw actionError("attachment_too_large", 413, `Attachment is ${attachment.size} bytes; the limit is ${ATTACHMENT_MAX_BYTES}.`);
+      }
+
+      let entry = attachmentCache.lookup(mailboxKey(ctx), input.id, input.attachment_id);
+      const cached = !!entry;
+      if (!entry) {
+        const bytes = await graph.downloadAttachment({ ...ids, maxBytes: ATTACHMENT_MAX_BYTES });
+        const content_hash = crypto.createHash("sha256").update(bytes).digest("hex");
+        entry = attachmentCache.byHash(content_hash);
+        if (!entry) {
+          const contentType = attachment.kind === "itemAttachment" ? "message/rfc822" : attachment.contentType;
+          const name = attachment.kind === "itemAttachment" ? `${attachment.name || "message"}.eml` : attachment.name;
+          entry = { content_hash, bytes: bytes.length, ...extractText({ name, contentType, bytes }) };
+        }
+        attachmentCache.store(mailboxKey(ctx), input.id, input.attachment_id, entry);
+      }
+
+      if (!entry.format) return { attachment, content_hash: entry.content_hash, cached, extracted: false, reason: entry.reason };
+      return {
+        attachment,
+        content_hash: entry.content_hash,
+        cached,
+        extracted: true,
+        format: entry.format,
+        content: sliceText(entry.text, input.offset, input.max_chars)
+      };
+    }
+  }
+];
+
+// Actions about the session rather than one mailbox don't take `mailbox`.
+const SESSION_WIDE = new Set(["session_status", "start_device_login", "poll_login", "list_mailboxes", "list_subscriptions", "unsubscribe"]);
+for (const a of ACTIONS) {
+  if (!SESSION_WIDE.has(a.name)) a.inputSchema.properties.mailbox = MAILBOX;
+}
+
+const BY_NAME = new Map(ACTIONS.map(a => [a.name, a]));
+
+/* -------------------- Scopes -------------------- */
+
+// A broader grant satisfies the narrower scope.
+const IMPLIED = {
+  "mail.read": ["mail.readwrite"],
+  "mail.readbasic": ["mail.read", "mail.readwrite"],
+  "calendars.read": ["calendars.readwrite"],
+  "mail.read.shared": ["mail.readwrite.shared"],
+  "calendars.read.shared": ["calendars.readwrite.shared"]
+};
+
+/** "https://graph.microsoft.com/Mail.Read openid" → Set { "mail.read", "openid" } */
+function parseScopes(granted) {
+  return new Set(String(granted || "").split(/\s+/).filter(Boolean).map(s => s.replace(/^https:\/\/graph\.microsoft\.com\//i, "").toLowerCase()));
+}
+
+function missingScopes(required, granted) {
+  const have = parseScopes(granted);
+  return required.filter(s => {
+    const key = s.toLowerCase();
+    return !have.has(key) && !(IMPLIED[key] || []).some(alt => have.has(alt));
+  });
+}
+
+/* -------------------- Errors -------------------- */
+
+/** Error with a stable `code` and HTTP `status` (plus optional extra fields). */
+function actionError(code, status, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  Object.assign(err, extra);
+  return err;
+}
+
+/* -------------------- Runner -------------------- */
+
+/**
+ * Validate and run an action.
+ * ctx: { token, user_id, scopes, baseUrl? } — `scopes` is the granted scope string
+ * (skip check if unknown). `inputs.mailbox` reroutes ctx; see routeMailbox().
+ */
+async function runAction(name, inputs, ctx) {
+  const action = BY_NAME.get(name);
+  if (!action) {
+    throw actionError("unknown_action", 400, `Unknown action "${name}".`, { details: { actions: ACTIONS.map(a => a.name) } });
+  }
+
+  // A cursor stands in for the inputs of the first call, so required fields aren't.
+  const schema = inputs?.cursor && action.inputSchema.properties.cursor ? { ...action.inputSchema, required: [] } : action.inputSchema;
+  const { value, errors } = validate(schema, inputs);
+  if (errors.length) {
+    throw actionError("validation_failed", 422, `Invalid inputs for "${name}".`, { details: errors });
+  }
+
+  audit.noteInputs(value);
+  const routed = await routeMailbox(ctx, value.mailbox);
+  delete value.mailbox;
+
+  if (routed.scopes) {
+    const required = routed.mailbox ? action.scopes.map(s => SHARED[s] || s) : action.scopes;
+    const missing = missingScopes(required, routed.scopes);
+    if (missing.length) {
+      throw actionError("insufficient_scope", 403, `"${name}" needs scope(s) ${missing.join(", ")}; sign in again to grant them.`, { details: { required, missing } });
+    }
+  }
+
+  return action.handler(value, routed);
+}
+
+module.exports = { ACTIONS, getAction: (name) => BY_NAME.get(name) || null, runAction, actionError };
@@ -0,0 +1,176 @@
+/**
+ * analytics.js
+ *
+ * Mailbox statistics for the `analytics` action, computed from two lists:
+ * inbound messages (received in the window, outside Sent/Drafts/Deleted/Junk)
+ * and Sent Items (sent from the window start until now, so late replies count).
+ *
+ * Replies are matched by conversationId. Walking each conversation in time
+ * order, a sent message answers every inbound message since the previous sent
+ * one; the response time is measured from the oldest of them, and attributed
+ * to its sender. A conversation whose last message is inbound, and older than
+ * `unansweredDays`, is unanswered.
+ */
+
+const { DateTime } = require("luxon");
+
+const lower = (s) => String(s || "").toLowerCase();
+const domainOf = (address) => lower(address).split("@")[1] || "(unknown)";
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const ms = (iso) => Date.parse(iso);
+const minutes = (delay) => (delay === null ? null : Math.round(delay / 60000));
+
+/** Counter → [{ [label]: key, count }], biggest first, top n. */
+function top(counter, label, n) {
+  return [...counter.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, n)
+    .map(([key, count]) => ({ [label]: key, count }));
+}
+
+function bump(counter, key) {
+  counter.set(key, (counter.get(key) || 0) + 1);
+}
+
+/* -------------------- Volume -------------------- */
+
+/** Received/sent counts per day or week (weeks start Monday) in tz, zero-filled across the window. */
+function volume(inbound, sent, { startIso, endIso, tz }, bucket) {
+  const unit = bucket === "week" ? "week" : "day";
+  const periodOf = (iso) => DateTime.fromISO(iso, { zone: tz }).startOf(unit).toISODate();
+
+  const series = new Map();
+  const end = DateTime.fromISO(endIso, { zone: tz });
+  for (let d = DateTime.fromISO(startIso, { zone: tz }).startOf(unit); d <= end; d = d.plus({ [`${unit}s`]: 1 })) {
+    series.set(d.toISODate(), { period: d.toISODate(), received: 0, sent: 0 });
+  }
+  for (const m of inbound) {
+    const row = series.get(periodOf(m.received));
+    if (row) row.received++;
+  }
+  for (const m of sent) {
+    if (ms(m.sent) > ms(endIso)) continue; // sent after the window: only used for reply matching
+    const row = series.get(periodOf(m.sent));
+    if (row) row.sent++;
+  }
+  const rows = [...series.values()];
+  return {
+    bucket: unit,
+    totals: { received: rows.reduce((n, r) => n + r.received, 0), sent: rows.reduce((n, r) => n + r.sent, 0) },
+    series: rows
+  };
+}
+
+/* -------------------- Correspondents -------------------- */
+
+function correspondents(inbound, sent, { startIso, endIso }, n) {
+  const senders = new Map();
+  const senderDomains = new Map();
+  for (const m of inbound) {
+    bump(senders, lower(m.from) || "(unknown)");
+    bump(senderDomains, domainOf(m.from));
+  }
+
+  const recipients = new Map();
+  const recipientDomains = new Map();
+  for (const m of sent) {
+    if (ms(m.sent) < ms(startIso) || ms(m.sent) > ms(endIso)) continue;
+    for (const a of new Set([...m.to, ...m.cc].map(lower))) {
+      bump(recipients, a);
+      bump(recipientDomains, domainOf(a));
+    }
+  }
+
+  return {
+    top_senders: { by_address: top(senders, "address", n), by_domain: top(senderDomains, "domain", n) },
+    top_recipients: { by_address: top(recipients, "address", n), by_domain: top(recipientDomains, "domain", n) }
+  };
+}
+
+/* -------------------- Replies -------------------- */
+
+function replies(inbound, sent, { n, unansweredDays, now }) {
+  const threads = new Map(); // conversationId → [{ at, dir, m }]
+  const add = (m, dir, at) => {
+    if (!m.conversationId || !at) return;
+    if (!threads.has(m.conversationId)) threads.set(m.conversationId, []);
+    threads.get(m.conversationId).push({ at, dir, m });
+  };
+  for (const m of inbound) add(m, "in", m.received);
+  for (const m of sent) add(m, "out", m.sent);
+
+  const delays = new Map(); // correspondent → [ms]
+  const all = [];
+  const unanswered = [];
+  const cutoff = now.minus({ days: unansweredDays }).toMillis();
+
+  for (const [conversationId, events] of threads) {
+    events.sort((a, b) => ms(a.at) - ms(b.at));
+    let waiting = null; // oldest inbound since the last reply
+    for (const e of events) {
+      if (e.dir === "in") {
+        if (!waiting) waiting = e;
+      } else if (waiting) {
+        const delay = ms(e.at) - ms(waiting.at);
+        const who = lower(waiting.m.from) || "(unknown)";
+        if (!delays.has(who)) delays.set(who, []);
+        delays.get(who).push(delay);
+        all.push(delay);
+        waiting = null;
+      }
+    }
+    const last = events[events.length - 1];
+    if (waiting && last.dir === "in" && ms(last.at) <= cutoff) {
+      unanswered.push({
+        conversationId,
+        subject: last.m.subject,
+        from: last.m.from,
+        lastReceived: last.at,
+        waitingSince: waiting.at,
+        waitingDays: Math.floor(now.diff(DateTime.fromISO(waiting.at), "days").days),
+        messageId: last.m.id
+      });
+    }
+  }
+
+  unanswered.sort((a, b) => ms(a.waitingSince) - ms(b.waitingSince));
+  const byCorrespondent = [...delays.entries()]
+    .map(([address, list]) => ({ address, replies: list.length, median_minutes: minutes(median(list)) }))
+    .sort((a, b) => b.replies - a.replies || a.median_minutes - b.median_minutes)
+    .slice(0, n);
+
+  return {
+    response_times: {
+      replies: all.length,
+      median_minutes: minutes(median(all)),
+      by_correspondent: byCorrespondent
+    },
+    unanswered: {
+      older_than_days: unansweredDays,
+      count: unanswered.length,
+      threads: unanswered.slice(0, n)
+    }
+  };
+}
+
+/**
+ * inbound, sent   mapped messages (sent ones with to/cc, see graph.filterSentByDate)
+ * range           { startIso, endIso, tz } from computeRange
+ * options         { bucket: day|week, topN, unansweredDays, now }
+ */
+function mailboxAnalytics(inbound, sent, range, { bucket = "day", topN = 10, unansweredDays = 3, now = DateTime.now() } = {}) {
+  return {
+    volume: volume(inbound, sent, range, bucket),
+    ...correspondents(inbound, sent, range, topN),
+    ...replies(inbound, sent, { n: topN, unansweredDays, now })
+  };
+}
+
+module.exports = { mailboxAnalytics };
@@ -0,0 +1,220 @@
+/**
+ * apiKeys.js
+ *
+ * Named API keys for /execute_tool, /mcp and /events. Only a SHA-256 of each key
+ * is stored; the key itself is shown once, when it is created. A key can be
+ * narrowed three ways:
+ *   tier       read   actions that don't change anything (registry entries without
+ *                     `write`); no /logout either
+ *              write  every action
+ *              admin  every action, plus the /admin endpoints
+ *   actions    only these action names (on top of the tier)
+ *   user_ids   only on behalf of these sessions
+ * and may carry its own rate (calls per minute, see rateLimit.js).
+ *
+ * The old single API_KEY from the environment still works, as an unrestricted
+ * write-tier key named "API_KEY"; ADMIN_API_KEY likewise acts as an admin key.
+ *
+ * CLI (`npm run keys -- <command>`):
+ *   create <name> [--tier read|write|admin] [--actions a,b] [--users id1,id2] [--rate N]
+ *   list
+ *   revoke <name>
+ */
+
+const crypto = require("crypto");
+const db = require("./db");
+
+const ENV_KEY = process.env.API_KEY || null;
+const ENV_ADMIN_KEY = process.env.ADMIN_API_KEY || null;
+
+const TIERS = ["read", "write", "admin"];
+const TOUCH_EVERY_MS = 60 * 1000;
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS api_keys (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  key_hash TEXT NOT NULL UNIQUE,  -- sha256 hex of the full key
+  prefix TEXT NOT NULL,           -- first characters, to recognise a key in lists
+  tier TEXT NOT NULL,
+  actions TEXT,                   -- JSON array, NULL = all of the tier
+  user_ids TEXT,                  -- JSON array, NULL = any user_id
+  rate_per_minute INTEGER,        -- NULL = RATE_LIMIT_KEY_PER_MINUTE
+  created_at INTEGER NOT NULL,
+  last_used_at INTEGER,
+  revoked_at INTEGER
+);
+`);
+
+const insertStmt = db.prepare(`
+INSERT INTO api_keys (id, name, key_hash, prefix, tier, actions, user_ids, rate_per_minute, created_at)
+VALUES (@id, @name, @key_hash, @prefix, @tier, @actions, @user_ids, @rate_per_minute, @ts)
+`);
+const byHashStmt = db.prepare(`SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL`);
+const listStmt = db.prepare(`SELECT * FROM api_keys ORDER BY created_at`);
+const touchStmt = db.prepare(`UPDATE api_keys SET last_used_at = ? WHERE id = ?`);
+const revokeStmt = db.prepare(`UPDATE api_keys SET revoked_at = ? WHERE name = ? AND revoked_at IS NULL`);
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+/** Error with a stable `code` and HTTP `status`, mapped by the transports. */
+function keyError(code, status, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+const fromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.prefix,
+  tier: row.tier,
+  actions: row.actions ? JSON.parse(row.actions) : null,
+  user_ids: row.user_ids ? JSON.parse(row.user_ids) : null,
+  rate_per_minute: row.rate_per_minute,
+  created_at: new Date(row.created_at).toISOString(),
+  last_used_at: row.last_used_at ? new Date(row.last_used_at).toISOString() : null,
+  revoked: !!row.revoked_at
+});
+
+// The environment keys, as if they were stored ones with no restrictions.
+const envKey = (name, tier) => ({ id: name, name, prefix: "", tier, actions: null, user_ids: null, rate_per_minute: null });
+
+function sameKey(given, expected) {
+  const a = Buffer.from(sha256(given));
+  const b = Buffer.from(sha256(expected));
+  return crypto.timingSafeEqual(a, b);
+}
+
+/* -------------------- Lookup -------------------- */
+
+/** The key behind `Authorization: Bearer <key>`, or null. */
+function authenticate(req) {
+  const header = req.headers.authorization || "";
+  const given = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!given) return null;
+
+  if (ENV_ADMIN_KEY && sameKey(given, ENV_ADMIN_KEY)) return envKey("ADMIN_API_KEY", "admin");
+  if (ENV_KEY && sameKey(given, ENV_KEY)) return envKey("API_KEY", "write");
+
+  const row = byHashStmt.get(sha256(given));
+  if (!row) return null;
+  const now = Date.now();
+  if (!row.last_used_at || now - row.last_used_at > TOUCH_EVERY_MS) touchStmt.run(now, row.id);
+  return fromRow(row);
+}
+
+/* -------------------- Permissions -------------------- */
+
+/** Whether key may call the action (registry entry) at all, whoever it is for. */
+function allowsAction(key, action) {
+  if (key.actions && !key.actions.includes(action.name)) return false;
+  return key.tier !== "read" || !action.write;
+}
+
+/**
+ * Throws key_forbidden (403) unless key may run `action` (registry entry; skipped
+ * when unknown, the runner reports that) for user_id. `write` marks a non-action
+ * request that changes state (/logout), which read-tier keys may not make.
+ */
+function authorize(key, { action, user_id, write = false }) {
+  if (key.user_ids && !key.user_ids.includes(user_id)) {
+    throw keyError("key_forbidden", 403, `API key "${key.name}" is not allowed to act for this user_id.`);
+  }
+  if (write && key.tier === "read") {
+    throw keyError("key_forbidden", 403, `API key "${key.name}" (read) can't make changes.`, { tier: key.tier });
+  }
+  if (action && !allowsAction(key, action)) {
+    throw keyError("key_forbidden", 403, `API key "${key.name}" (${key.tier}) is not allowed to run "${action.name}".`, {
+      tier: key.tier, ...(key.actions ? { actions: key.actions } : {})
+    });
+  }
+}
+
+const isAdmin = (key) => key?.tier === "admin";
+
+/* -------------------- Management -------------------- */
+
+/** New key; the plaintext `key` is only ever returned here. */
+function create({ name, tier = "write", actions = null, user_ids = null, rate_per_minute = null }) {
+  if (!name) throw keyError("invalid_key", 400, "A key needs a name.");
+  if (!TIERS.includes(tier)) throw keyError("invalid_key", 400, `tier must be one of ${TIERS.join(", ")}.`);
+  if (rate_per_minute != null && !(Number.isInteger(rate_per_minute) && rate_per_minute > 0)) {
+    throw keyError("invalid_key", 400, "rate must be a positive whole number of calls per minute.");
+  }
+  if (listStmt.all().some(r => r.name === name)) throw keyError("invalid_key", 409, `A key named "${name}" already exists.`);
+
+  const key = `mk_${crypto.randomBytes(32).toString("base64url")}`;
+  const row = {
+    id: crypto.randomBytes(6).toString("hex"),
+    name,
+    key_hash: sha256(key),
+    prefix: key.slice(0, 10),
+    tier,
+    actions: actions?.length ? JSON.stringify(actions) : null,
+    user_ids: user_ids?.length ? JSON.stringify(user_ids) : null,
+    rate_per_minute,
+    ts: Date.now()
+  };
+  insertStmt.run(row);
+  return { key, ...fromRow({ ...row, created_at: row.ts }) };
+}
+
+function list() {
+  return listStmt.all().map(fromRow);
+}
+
+/** Revoke by name; false if there was no active key with that name. */
+function revoke(name) {
+  return revokeStmt.run(Date.now(), name).changes > 0;
+}
+
+module.exports = { authenticate, authorize, allowsAction, isAdmin, create, list, revoke, TIERS };
+
+/* -------------------- CLI -------------------- */
+
+if (require.main === module) {
+  const [command, ...rest] = process.argv.slice(2);
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith("--")) flags[rest[i].slice(2)] = rest[++i];
+    else positional.push(rest[i]);
+  }
+  const csv = (v) => (v ? v.split(",").map(s => s.trim()).filter(Boolean) : null);
+
+  try {
+    if (command === "create") {
+      const actionNames = csv(flags.actions);
+      if (actionNames) {
+        const { getAction } = require("./actions");
+        const unknown = actionNames.filter(a => !getAction(a));
+        if (unknown.length) throw keyError("invalid_key", 400, `Unknown action(s): ${unknown.join(", ")}`);
+      }
+      const created = create({
+        name: positional[0],
+        tier: flags.tier || "write",
+        actions: actionNames,
+        user_ids: csv(flags.users),
+        rate_per_minute: flags.rate ? Number(flags.rate) : null
+      });
+      console.log(JSON.stringify(created, null, 2));
+      console.log("Store the key now; it cannot be shown again.");
+    } else if (command === "list") {
+      console.table(list().map(k => ({ ...k, actions: k.actions?.join(",") || "", user_ids: k.user_ids?.join(",") || "" })));
+    } else if (command === "revoke") {
+      if (!revoke(positional[0])) throw keyError("not_found", 404, `No active key named "${positional[0]}".`);
+      console.log(`Revoked "${positional[0]}".`);
+    } else {
+      console.log("Usage: npm run keys -- create <name> [--tier read|write|admin] [--actions a,b] [--users id1,id2] [--rate N]");
+      console.log("       npm run keys -- list");
+      console.log("       npm run keys -- revoke <name>");
+      process.exitCode = command ? 1 : 0;
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * attachmentCache.js
+ *
+ * Content-hash cache for extracted attachment text.
+ * - attachment_refs maps (user_id, message id, attachment id) → sha256 of the bytes,
+ *   so asking for the same attachment again never re-downloads it.
+ * - attachment_text holds one extraction per hash, so the same file sent in ten
+ *   messages is parsed once.
+ * Entries unused for ATTACHMENT_CACHE_DAYS (default 7) are purged.
+ */
+
+const db = require("./db");
+
+const TTL_MS = Number(process.env.ATTACHMENT_CACHE_DAYS || 7) * 24 * 60 * 60 * 1000;
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS attachment_text (
+  content_hash TEXT PRIMARY KEY,
+  format TEXT,              -- NULL when extraction failed/unsupported
+  text TEXT,
+  reason TEXT,
+  bytes INTEGER NOT NULL,
+  created_at INTEGER NOT NULL,
+  last_used INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS attachment_refs (
+  user_id TEXT NOT NULL,
+  message_id TEXT NOT NULL,
+  attachment_id TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (user_id, message_id, attachment_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachment_text_used ON attachment_text(last_used);
+`);
+
+const lookupStmt = db.prepare(`
+SELECT t.* FROM attachment_refs r JOIN attachment_text t ON t.content_hash = r.content_hash
+WHERE r.user_id = ? AND r.message_id = ? AND r.attachment_id = ?
+`);
+const byHashStmt = db.prepare(`SELECT * FROM attachment_text WHERE content_hash = ?`);
+const touchStmt = db.prepare(`UPDATE attachment_text SET last_used = ? WHERE content_hash = ?`);
+const putTextStmt = db.prepare(`
+INSERT INTO attachment_text (content_hash, format, text, reason, bytes, created_at, last_used)
+VALUES (@content_hash, @format, @text, @reason, @bytes, @ts, @ts)
+ON CONFLICT(content_hash) DO UPDATE SET last_used = excluded.last_used
+`);
+const putRefStmt = db.prepare(`
+INSERT OR REPLACE INTO attachment_refs (user_id, message_id, attachment_id, content_hash, created_at)
+VALUES (?, ?, ?, ?, ?)
+`);
+const purgeTextStmt = db.prepare(`DELETE FROM attachment_text WHERE last_used <= ?`);
+const purgeRefsStmt = db.prepare(`DELETE FROM attachment_refs WHERE content_hash NOT IN (SELECT content_hash FROM attachment_text)`);
+
+const purge = db.transaction(() => {
+  purgeTextStmt.run(Date.now() - TTL_MS);
+  purgeRefsStmt.run();
+});
+
+module.exports = {
+  /** Cached extraction for this attachment, or null. */
+  lookup(user_id, messageId, attachmentId) {
+    const row = lookupStmt.get(user_id, messageId, attachmentId);
+    if (row) touchStmt.run(Date.now(), row.content_hash);
+    return row || null;
+  },
+  /** Extraction already stored for these exact bytes, or null. */
+  byHash(content_hash) {
+    return byHashStmt.get(content_hash) || null;
+  },
+  /** Remember the extraction and which attachment it came from. */
+  store(user_id, messageId, attachmentId, { content_hash, format, text, reason, bytes }) {
+    const ts = Date.now();
+    putTextStmt.run({ content_hash, format: format || null, text: text ?? null, reason: reason || null, bytes, ts });
+    putRefStmt.run(user_id, messageId, attachmentId, content_hash, ts);
+    purge();
+  }
+};
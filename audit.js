@@ -0,0 +1,259 @@
+/**
+ * audit.js
+ *
+ * Persistent record of every tool call (/execute_tool and MCP tools/call): who
+ * (user_id and API key name), which action, the validated inputs, how many results, how long it took, what
+ * Graph answered along the way (status codes, retries) and the error, if any.
+ *
+ * run() wraps one call. While it runs, graph.js reports each HTTP status and
+ * backoff retry through noteGraph()/noteRetry(), and runAction() hands over the
+ * validated inputs (noteInputs); AsyncLocalStorage ties those back to the call.
+ *
+ * Inputs are stored redacted: confirmation tokens and cursors never; strings cut
+ * to 500 characters. With AUDIT_HASH_TERMS=true, search terms, names, subjects,
+ * bodies and anything that looks like an email address become "h:<hmac>", so
+ * entries can still be matched to each other without holding the plain text.
+ *
+ * GET /admin/audit (admin key) searches the log; rows older than the retention
+ * window are purged as new ones are written.
+ *
+ * Env:
+ *   AUDIT_LOG             "false" turns recording off (default on)
+ *   AUDIT_RETENTION_DAYS  how long entries are kept (default 90)
+ *   AUDIT_HASH_TERMS      "true" hashes terms and addresses (default false)
+ *   AUDIT_HASH_SECRET     HMAC key for those hashes; required with AUDIT_HASH_TERMS,
+ *                         since unkeyed hashes of short terms can be recovered by guessing
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const { AsyncLocalStorage } = require("async_hooks");
+const db = require("./db");
+
+const ENABLED = String(process.env.AUDIT_LOG || "true").toLowerCase() !== "false";
+const RETENTION_MS = Number(process.env.AUDIT_RETENTION_DAYS || 90) * 24 * 60 * 60 * 1000;
+const HASH_TERMS = String(process.env.AUDIT_HASH_TERMS || "false").toLowerCase() === "true";
+const HASH_SECRET = process.env.AUDIT_HASH_SECRET || "";
+
+if (HASH_TERMS && !HASH_SECRET) {
+  throw new Error("AUDIT_HASH_TERMS=true needs AUDIT_HASH_SECRET; without a key the hashes only look private.");
+}
+
+const PURGE_EVERY_MS = 60 * 60 * 1000;
+const MAX_STRING = 500;
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ts INTEGER NOT NULL,           -- epoch ms, start of the call
+  user_id TEXT,
+  transport TEXT NOT NULL,       -- http | mcp
+  action TEXT,
+  inputs TEXT,                   -- JSON, redacted
+  result_count INTEGER,
+  latency_ms INTEGER NOT NULL,
+  graph_statuses TEXT,           -- JSON { "200": 3, "429": 1 }
+  graph_retries INTEGER NOT NULL DEFAULT 0,
+  error_code TEXT,
+  error_message TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_ts ON audit_log(ts);
+CREATE INDEX IF NOT EXISTS idx_audit_user_ts ON audit_log(user_id, ts);
+`);
+
+// Added with named API keys (older databases don't have it yet)
+if (!db.prepare(`PRAGMA table_info(audit_log)`).all().some(c => c.name === "api_key")) {
+  db.exec(`ALTER TABLE audit_log ADD COLUMN api_key TEXT`);
+}
+
+const insertStmt = db.prepare(`
+INSERT INTO audit_log (ts, user_id, api_key, transport, action, inputs, result_count, latency_ms, graph_statuses, graph_retries, error_code, error_message)
+VALUES (@ts, @user_id, @api_key, @transport, @action, @inputs, @result_count, @latency_ms, @graph_statuses, @graph_retries, @error_code, @error_message)
+`);
+const purgeStmt = db.prepare(`DELETE FROM audit_log WHERE ts < ?`);
+
+/* -------------------- Redaction -------------------- */
+
+const NEVER_STORED = new Set(["confirmation_token", "cursor"]);
+const TERM_KEYS = /^(q|query|text|search|name|subject|body|comment|email|from|to|cc|bcc|categories)$/i;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hash = (s) => `h:${crypto.createHmac("sha256", HASH_SECRET).update(String(s).trim().toLowerCase()).digest("hex").slice(0, 16)}`;
+const cut = (s) => (s.length > MAX_STRING ? `${s.slice(0, MAX_STRING)}…` : s);
+
+function redactValue(value, term) {
+  if (Array.isArray(value)) return value.map(v => redactValue(v, term));
+  if (value && typeof value === "object") return redact(value);
+  if (typeof value !== "string") return value;
+  if (HASH_TERMS && (term || EMAIL_RE.test(value.trim()))) return hash(value);
+  return cut(value);
+}
+
+/** Validated inputs → what gets stored. */
+function redact(inputs) {
+  const out = {};
+  for (const [k, v] of Object.entries(inputs || {})) {
+    out[k] = NEVER_STORED.has(k) ? "[redacted]" : redactValue(v, TERM_KEYS.test(k));
+  }
+  return out;
+}
+
+/** Items in a result: its `count`, else the length of its first list. */
+function resultCount(data) {
+  if (!data || typeof data !== "object") return null;
+  if (typeof data.count === "number") return data.count;
+  const list = Object.values(data).find(Array.isArray);
+  return list ? list.length : null;
+}
+
+/* -------------------- Recording -------------------- */
+
+const als = new AsyncLocalStorage();
+let lastPurge = 0;
+
+/** Graph HTTP status seen during the current call ("network" when there was none). */
+function noteGraph(status) {
+  const call = als.getStore();
+  if (call) call.statuses[status] = (call.statuses[status] || 0) + 1;
+}
+
+/** A backoff retry during the current call. */
+function noteRetry() {
+  const call = als.getStore();
+  if (call) call.retries++;
+}
+
+/** Validated inputs of the current call (before they reach the handler). */
+function noteInputs(inputs) {
+  const call = als.getStore();
+  if (call) call.inputs = redact(inputs);
+}
+
+/** Write one entry. entry: { ts?, user_id, api_key?, transport, action, inputs?, ... } */
+function record(entry) {
+  if (!ENABLED) return;
+  const ts = entry.ts || Date.now();
+  if (ts - lastPurge > PURGE_EVERY_MS) {
+    purgeStmt.run(ts - RETENTION_MS);
+    lastPurge = ts;
+  }
+  try {
+    insertStmt.run({
+      ts,
+      user_id: entry.user_id || null,
+      api_key: entry.api_key || null,
+      transport: entry.transport,
+      action: typeof entry.action === "string" ? entry.action.slice(0, 100) : null,
+      inputs: entry.inputs ? JSON.stringify(entry.inputs) : null,
+      result_count: entry.result_count ?? null,
+      latency_ms: entry.latency_ms ?? 0,
+      graph_statuses: entry.graph_statuses && Object.keys(entry.graph_statuses).length ? JSON.stringify(entry.graph_statuses) : null,
+      graph_retries: entry.graph_retries || 0,
+      error_code: entry.error_code || null,
+      error_message: entry.error_message || null
+    });
+  } catch (e) {
+    console.error("[audit] could not write entry:", e.message); // never fail the call over its audit row
+  }
+}
+
+/**
+ * Run fn() as one audited call and record how it went; resolves/rejects like fn.
+ * call: { user_id, api_key, transport, action, inputs } — `inputs` as received; replaced
+ * by the validated ones if runAction gets that far.
+ */
+async function run(call, fn) {
+  const state = { statuses: {}, retries: 0, inputs: null };
+  const ts = Date.now();
+  const finish = (extra) => record({
+    ts,
+    user_id: call.user_id,
+    api_key: call.api_key,
+    transport: call.transport,
+    action: call.action,
+    inputs: state.inputs || (call.inputs && typeof call.inputs === "object" ? redact(call.inputs) : null),
+    latency_ms: Date.now() - ts,
+    graph_statuses: state.statuses,
+    graph_retries: state.retries,
+    ...extra
+  });
+
+  try {
+    const data = await als.run(state, fn);
+    finish({ result_count: resultCount(data) });
+    return data;
+  } catch (err) {
+    finish({
+      error_code: err.code || (err.response ? `graph_${err.response.status}` : "error"),
+      error_message: String(err.response?.data?.error?.message || err.message || "").slice(0, MAX_STRING)
+    });
+    throw err;
+  }
+}
+
+/* -------------------- Search -------------------- */
+
+const toMs = (v) => (v == null || v === "" ? null : /^\d+$/.test(String(v)) ? Number(v) : Date.parse(v));
+
+/**
+ * Entries newest first. filter: { user_id, action, since, until, before_id, limit }
+ * (since/until: ISO date-time or epoch ms). Page on with before_id = next_before_id.
+ */
+function query({ user_id, action, since, until, before_id, limit = 100 } = {}) {
+  const where = [];
+  const params = {};
+  if (user_id) { where.push("user_id = @user_id"); params.user_id = user_id; }
+  if (action) { where.push("action = @action"); params.action = action; }
+  if (since != null) { where.push("ts >= @since"); params.since = since; }
+  if (until != null) { where.push("ts < @until"); params.until = until; }
+  if (before_id) { where.push("id < @before_id"); params.before_id = before_id; }
+  params.limit = limit;
+
+  const rows = db.prepare(`
+    SELECT * FROM audit_log ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY id DESC LIMIT @limit
+  `).all(params);
+
+  const entries = rows.map(r => ({
+    ...r,
+    ts: new Date(r.ts).toISOString(),
+    inputs: r.inputs ? JSON.parse(r.inputs) : null,
+    graph_statuses: r.graph_statuses ? JSON.parse(r.graph_statuses) : {}
+  }));
+  return { entries, count: entries.length, next_before_id: rows.length === limit ? rows[rows.length - 1].id : null };
+}
+
+/**
+ * Express router for GET /admin/audit?user_id=&action=&since=&until=&limit=&before_id=
+ * - isAuthorized(req): the admin key check
+ */
+function createAdminRouter({ isAuthorized }) {
+  const router = express.Router();
+
+  router.get("/admin/audit", (req, res) => {
+    if (!isAuthorized(req)) return res.status(401).json({ error: "Invalid admin key" });
+
+    const since = toMs(req.query.since);
+    const until = toMs(req.query.until);
+    const limit = Number(req.query.limit || 100);
+    const before_id = req.query.before_id ? Number(req.query.before_id) : null;
+    const bad = [
+      Number.isNaN(since) && "since",
+      Number.isNaN(until) && "until",
+      !(Number.isInteger(limit) && limit >= 1 && limit <= 1000) && "limit",
+      Number.isNaN(before_id) && "before_id"
+    ].filter(Boolean);
+    if (bad.length) return res.status(400).json({ error: "invalid_query", details: bad });
+
+    return res.json(query({
+      user_id: req.query.user_id ? String(req.query.user_id) : null,
+      action: req.query.action ? String(req.query.action) : null,
+      since, until, before_id, limit
+    }));
+  });
+
+  return router;
+}
+
+module.exports = { run, record, noteGraph, noteRetry, noteInputs, query, createAdminRouter, ENABLED };
@@ -1,9 +1,30 @@
 /**
  * auth.js
  *
- * Public-client OAuth 2.0 code flow .
+ * OAuth 2.0 code flow (public or confidential client, see authority.js).
  * We require the user to provide ?user_id=... to /login so we can deterministically
  * store tokens under that user_id. The LLM/tool must reuse this id on all calls.
+ * The user_id never travels in the OAuth `state`: /login stores it server-side
+ * behind a signed, single-use state and a PKCE verifier (see oauthState.js).
+ * /login only accepts links the server signed (oauthState.loginUrl), and the
+ * callback must come from the browser that opened it (an HttpOnly cookie).
+ *
+ * Optional silent renewal: with SILENT_REFRESH=true we also request offline_access
+ * and trade the stored refresh_token for a new access token when it expires.
+ *
+ * Linked accounts: /login?user_id=...&link=true signs in one more account for the
+ * same session (see accounts.js). openid + profile are always requested so the
+ * id_token tells us which account signed in.
+ *
+ * Device code flow: for clients that can't reach /auth/callback (remote servers,
+ * chat-only surfaces), startDeviceLogin() gets a user_code to enter at
+ * microsoft.com/devicelogin and pollDeviceLogin() redeems it once the user has.
+ * The app registration must allow public client flows.
+ *
+ * Which app registration and authority a sign-in goes through is its profile
+ * (authority.js): /login?tenant=<profile> picks one, the state carries it to the
+ * callback, and the token row remembers it for refreshes. The id_token's tenant
+ * is checked against the profile's allowed tenants before anything is stored.
  */
 
 require("dotenv").config();
@@ -11,75 +32,148 @@ const express = require("express");
 const axios = require("axios");
 const qs = require("qs");
 const tokenStore = require("./tokenStore");
+const oauthState = require("./oauthState");
+const accounts = require("./accounts");
+const authority = require("./authority");
 
 const router = express.Router();
 
-// Env
-const CLIENT_ID    = process.env.CLIENT_ID;
-const TENANT_ID    = process.env.TENANT_ID;
+// Env (app registrations and endpoints: authority.js)
 const REDIRECT_URI = process.env.REDIRECT_URI || "http://localhost:3001/auth/callback";
-const SCOPES       = (process.env.SCOPES || "Mail.ReadWrite").trim();
+const CALLBACK_PATH = new URL(REDIRECT_URI).pathname;
+const SILENT_REFRESH = String(process.env.SILENT_REFRESH || "false").toLowerCase() === "true";
+const SCOPES       = withOfflineAccess(withSignIn((process.env.SCOPES || "Mail.ReadWrite Mail.Send Calendars.Read").trim()));
+
+/** POST a form to the profile's token endpoint, with its client credentials. */
+function tokenRequest(profile, fields) {
+  return axios.post(profile.tokenUrl, qs.stringify({ ...authority.clientCredentials(profile), ...fields }), {
+    headers: { "Content-Type": "application/x-www-form-urlencoded" }
+  });
+}
 
-const AUTH_URL  = `https://login.microsoftonline.com/${TENANT_ID}/oauth2/v2.0/authorize`;
-const TOKEN_URL = `https://login.microsoftonline.com/${TENANT_ID}/oauth2/v2.0/token`;
+/** openid + profile make Microsoft return an id_token naming the account. */
+function withSignIn(scopes) {
+  const list = scopes.split(/\s+/).filter(Boolean);
+  for (const s of ["openid", "profile"]) if (!list.some(x => x.toLowerCase() === s)) list.push(s);
+  return list.join(" ");
+}
+
+/** offline_access is what makes Microsoft hand out a refresh_token. */
+function withOfflineAccess(scopes) {
+  if (!SILENT_REFRESH) return scopes;
+  const list = scopes.split(/\s+/).filter(Boolean);
+  if (!list.some(s => s.toLowerCase() === "offline_access")) list.push("offline_access");
+  return list.join(" ");
+}
+
+/* -------------------- Browser binding -------------------- */
+
+// One cookie per started sign-in, named after the state's id, so two tabs don't clash.
+const bindingCookie = (state) => `oauth_${String(state).split(".")[0]}`;
+
+/** Cookie value from the request's Cookie header (no cookie-parser here). */
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
 
 /**
- * GET /login?user_id=<id>
- * - Opens Microsoft sign-in page for the given user_id (state).
+ * GET /login?user_id=<id>[&link=true][&login_hint=<upn>][&tenant=<profile>]&exp=..&sig=..
+ * - Only links from oauthState.loginUrl() are accepted (exp + sig).
+ * - Opens Microsoft sign-in page for the given user_id.
+ * - link=true signs in an additional account for that user_id instead of its primary one.
+ * - tenant picks the app registration profile (name or tenant id; default otherwise).
+ * - Creates a single-use state record (user_id + PKCE verifier) that the callback redeems.
  */
 router.get("/login", (req, res) => {
   const user_id = (req.query.user_id || "").toString().trim();
   if (!user_id) {
     return res.status(400).json({ error: "Missing user_id. Call /execute_tool first to get login_url + user_id." });
   }
+  const link = ["true", "1"].includes(String(req.query.link || "").toLowerCase());
+  const login_hint = (req.query.login_hint || "").toString().trim();
+
+  try {
+    oauthState.checkLoginLink({ user_id, link, exp: req.query.exp, sig: req.query.sig });
+  } catch (err) {
+    return res.status(403).json({ error: err.code, message: err.message });
+  }
+
+  let profile;
+  try {
+    profile = authority.resolve(req.query.tenant);
+  } catch (err) {
+    return res.status(err.status).json({ error: err.code, message: err.message });
+  }
+
+  const { state, browser, expires_at, code_challenge, code_challenge_method } = oauthState.create(user_id, { link, profile: profile.name });
+  res.cookie(bindingCookie(state), browser, {
+    httpOnly: true,
+    sameSite: "lax", // sent on Microsoft's top-level redirect back to the callback
+    secure: REDIRECT_URI.startsWith("https:"),
+    path: CALLBACK_PATH,
+    expires: new Date(expires_at)
+  });
 
   const params = new URLSearchParams({
-    client_id: CLIENT_ID,
+    client_id: profile.client_id,
     response_type: "code",
     redirect_uri: REDIRECT_URI,
     response_mode: "query",
     scope: SCOPES,
-    state: user_id,
-    prompt: "select_account"
+    state,
+    code_challenge,
+    code_challenge_method,
+    prompt: "select_account",
+    ...(login_hint ? { login_hint } : {})
   });
 
-  res.redirect(`${AUTH_URL}?${params.toString()}`);
+  res.redirect(`${profile.authorizeUrl}?${params.toString()}`);
 });
 
 /**
- * GET /auth/callback?code=...&state=<user_id>[&format=json]
+ * GET /auth/callback?code=...&state=<signed state>[&format=json]
  * - Microsoft redirects here after successful login.
- * - We exchange the auth code for tokens and persist under `state` (the user_id).
+ * - We burn the state (rejecting tampered, expired or replayed values, or a browser
+ *   without the /login cookie) BEFORE touching the code, then exchange code + PKCE
+ *   verifier for tokens under the state's user_id.
  * - Returns a small success HTML so users can close the tab, or JSON if format=json.
  */
 router.get("/auth/callback", async (req, res) => {
-  const { code, state: user_id, error, error_description, format } = req.query || {};
+  const { code, state, error, error_description, format } = req.query || {};
   if (error) return res.status(400).send(`OAuth error: ${error} - ${error_description}`);
-  if (!code || !user_id) return res.status(400).send("Missing authorization code or state (user_id).");
+  if (!code || !state) return res.status(400).send("Missing authorization code or state.");
 
+  let user_id, code_verifier, link, profile;
   try {
-    const data = qs.stringify({
-      client_id: CLIENT_ID,
+    ({ user_id, code_verifier, link, profile } = oauthState.consume(state, readCookie(req, bindingCookie(state))));
+  } catch (err) {
+    if (!err.code) {
+      console.error("OAuth state lookup failed:", err.message);
+      return res.status(500).json({ error: "state_lookup_failed", message: "Could not check the sign-in state. Try again." });
+    }
+    console.warn(`[auth] rejected callback: ${err.code}`);
+    return res.status(400).json({ error: err.code, message: err.message });
+  }
+  res.clearCookie(bindingCookie(state), { path: CALLBACK_PATH });
+
+  try {
+    const tokenResp = await tokenRequest(authority.get(profile), {
       scope: SCOPES,
       code,
       redirect_uri: REDIRECT_URI,
-      grant_type: "authorization_code"
+      grant_type: "authorization_code",
+      code_verifier
     });
 
-    const tokenResp = await axios.post(TOKEN_URL, data, {
-      headers: { "Content-Type": "application/x-www-form-urlencoded" }
-    });
-
-    const { access_token, refresh_token, expires_in } = tokenResp.data;
-    tokenStore.set(user_id, {
-      access_token,
-      refresh_token: refresh_token || null,
-      expiry: Date.now() + (expires_in * 1000),
-      scopes: SCOPES
-    });
+    const { expires_in } = tokenResp.data;
+    const { account, linked } = saveSignIn(user_id, { link, profile: authority.get(profile) }, tokenResp.data);
 
     if ((format || "").toLowerCase() === "json") {
-      return res.json({ status: "logged_in", user_id, expires_in });
+      return res.json({ status: "logged_in", user_id, account, linked, expires_in });
     }
 
    
@@ -118,9 +212,218 @@ router.get("/auth/callback", async (req, res) => {
 </script>
 </body></html>`);
   } catch (err) {
+    if (err.code === "tenant_not_allowed") {
+      console.warn(`[auth] rejected sign-in from tenant ${err.details.tenant_id}`);
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
     console.error("OAuth callback error:", err.response?.data || err.message);
     return res.status(400).json({ error: err.response?.data || err.message });
   }
 });
 
-module.exports = { router, TOKEN_URL, CLIENT_ID, SCOPES, REDIRECT_URI };
+/**
+ * Token record for a completed sign-in: the session's own for a normal login, or
+ * a linked account's. Linking the account that is already primary just renews it.
+ */
+function accountKey(user_id, link, identity) {
+  if (!link) return user_id;
+  if (!identity.oid) throw new Error("Linking needs an id_token; keep openid in the requested scopes.");
+  const primary = accounts.list(user_id).find(a => a.is_primary);
+  return primary?.oid === identity.oid ? user_id : accounts.linkedKey(user_id, identity.oid);
+}
+
+/**
+ * Store the tokens of a completed sign-in (either flow) under the session or its
+ * linked account, once the profile accepts the account's tenant.
+ * → { account, linked, token_key }
+ */
+function saveSignIn(user_id, { link, profile }, { access_token, refresh_token, expires_in, id_token }) {
+  const identity = accounts.identityFromIdToken(id_token);
+  authority.checkTenant(profile, identity.tenant_id);
+  const token_key = accountKey(user_id, link, identity);
+  tokenStore.set(token_key, {
+    access_token,
+    refresh_token: refresh_token || null,
+    expiry: Date.now() + (expires_in * 1000),
+    scopes: SCOPES,
+    profile: profile.name === "default" ? null : profile.name
+  });
+  accounts.record(user_id, token_key, identity);
+  return { account: identity.username || null, linked: token_key !== user_id, token_key };
+}
+
+/* -------------------- Device code flow -------------------- */
+
+const DEVICE_GRANT = "urn:ietf:params:oauth:grant-type:device_code";
+const SLOW_DOWN_MS = 5000; // RFC 8628: add 5s to the interval on slow_down
+
+// user_id → { device_code, user_code, verification_uri, message, link, profile, expiresAt, intervalMs, nextPollAt, polling }
+// In memory: a code lives 15 minutes and is only worth anything to this process.
+const deviceLogins = new Map();
+
+/** Error with a stable `code` and HTTP `status`, mapped by the transports. */
+function deviceError(code, status, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+const pendingView = (p) => ({
+  status: "pending",
+  user_code: p.user_code,
+  verification_uri: p.verification_uri,
+  message: p.message,
+  expires_at: new Date(p.expiresAt).toISOString(),
+  retry_after: Math.max(1, Math.ceil((p.nextPollAt - Date.now()) / 1000))
+});
+
+/**
+ * Start a device code sign-in for user_id (replacing one already pending).
+ * link: sign in an additional account, like /login?link=true; tenant: like /login?tenant=.
+ */
+async function startDeviceLogin(user_id, { link = false, tenant = null } = {}) {
+  const profile = authority.resolve(tenant);
+  let data;
+  try {
+    ({ data } = await axios.post(profile.deviceCodeUrl, qs.stringify({ client_id: profile.client_id, scope: SCOPES }), {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" }
+    }));
+  } catch (err) {
+    const body = err.response?.data;
+    if (!body?.error) throw err;
+    throw deviceError("device_login_failed", 502, `Microsoft refused the device login: ${body.error_description || body.error}`, { error: body.error });
+  }
+
+  const now = Date.now();
+  const pending = {
+    device_code: data.device_code,
+    user_code: data.user_code,
+    verification_uri: data.verification_uri,
+    message: data.message,
+    link,
+    profile,
+    expiresAt: now + data.expires_in * 1000,
+    intervalMs: (data.interval || 5) * 1000,
+    nextPollAt: now + (data.interval || 5) * 1000,
+    polling: null
+  };
+  deviceLogins.set(user_id, pending);
+  return pendingView(pending);
+}
+
+/** One token request for a pending device login. */
+async function redeemDeviceCode(user_id, pending) {
+  try {
+    const { data } = await tokenRequest(pending.profile, { grant_type: DEVICE_GRANT, device_code: pending.device_code });
+
+    deviceLogins.delete(user_id);
+    const { account, linked } = saveSignIn(user_id, pending, data);
+    return { status: "logged_in", user_id, account, linked, expires_in: data.expires_in };
+  } catch (err) {
+    const error = err.response?.data?.error;
+    if (!error) throw err;
+
+    if (error === "authorization_pending" || error === "slow_down") {
+      if (error === "slow_down") pending.intervalMs += SLOW_DOWN_MS;
+      pending.nextPollAt = Date.now() + pending.intervalMs;
+      return pendingView(pending);
+    }
+    deviceLogins.delete(user_id);
+    if (error === "authorization_declined") {
+      throw deviceError("device_login_declined", 403, "The user declined the sign-in. Call start_device_login to try again.");
+    }
+    if (error === "expired_token" || error === "bad_verification_code") {
+      throw deviceError("device_login_expired", 410, "The device code expired. Call start_device_login for a new one.");
+    }
+    throw deviceError("device_login_failed", 502, `Device sign-in failed: ${err.response.data.error_description || error}`, { error });
+  }
+}
+
+/**
+ * Check a pending device login: → { status: "pending", retry_after, ... } until the
+ * user has entered the code, then { status: "logged_in", ... } with the tokens
+ * stored. Calls before the polling interval is up don't reach Microsoft.
+ */
+async function pollDeviceLogin(user_id) {
+  const pending = deviceLogins.get(user_id);
+  if (!pending) {
+    throw deviceError("device_login_not_started", 404, "No device login is pending for this user_id. Call start_device_login first.");
+  }
+  if (pending.expiresAt <= Date.now()) {
+    deviceLogins.delete(user_id);
+    throw deviceError("device_login_expired", 410, "The device code expired. Call start_device_login for a new one.");
+  }
+  if (pending.polling) return pending.polling;
+  if (Date.now() < pending.nextPollAt) return pendingView(pending);
+
+  pending.polling = redeemDeviceCode(user_id, pending).finally(() => { pending.polling = null; });
+  return pending.polling;
+}
+
+/* -------------------- Silent refresh -------------------- */
+
+// One in-flight refresh per user_id. Concurrent callers share the same promise so
+// we never redeem a (single-use) refresh token twice.
+const refreshing = new Map();
+
+/**
+ * Redeem the stored refresh_token for a fresh access token.
+ * - Rotates the stored refresh_token when Microsoft returns a new one.
+ * - Resolves to null when the grant is dead (invalid_grant): the record is removed
+ *   and the caller should fall back to { requires_login: true }.
+ * - Any other failure (network, 5xx, misconfiguration) is thrown as-is.
+ */
+function refreshAccessToken(user_id) {
+  if (refreshing.has(user_id)) return refreshing.get(user_id);
+
+  const p = (async () => {
+    const rec = tokenStore.get(user_id);
+    if (!rec || !rec.refresh_token) return null;
+
+    try {
+      const tokenResp = await tokenRequest(authority.get(rec.profile), {
+        scope: rec.scopes || SCOPES,
+        refresh_token: rec.refresh_token,
+        grant_type: "refresh_token"
+      });
+
+      const { access_token, refresh_token, expires_in, scope } = tokenResp.data;
+      tokenStore.set(user_id, {
+        access_token,
+        refresh_token: refresh_token || rec.refresh_token,
+        expiry: Date.now() + (expires_in * 1000),
+        scopes: scope || rec.scopes,
+        profile: rec.profile
+      });
+      return access_token;
+    } catch (err) {
+      if (err.response?.data?.error === "invalid_grant") {
+        console.warn(`[auth] refresh rejected for ${user_id}: ${err.response.data.error_description || "invalid_grant"}`);
+        tokenStore.delete(user_id);
+        return null;
+      }
+      throw err;
+    }
+  })();
+
+  refreshing.set(user_id, p);
+  p.then(() => refreshing.delete(user_id), () => refreshing.delete(user_id));
+  return p;
+}
+
+/**
+ * Access token for user_id, or null when the user has to (re)login.
+ * In SILENT_REFRESH mode an expired token is renewed first.
+ */
+async function getValidToken(user_id) {
+  const rec = tokenStore.get(user_id);
+  if (!rec) return null;
+  const skewMs = 60 * 1000; // treat as expired if < 60s remain
+  if (rec.expiry - skewMs > Date.now()) return rec.access_token;
+  if (!SILENT_REFRESH || !rec.refresh_token) return null; // expired or near-expiry
+  return refreshAccessToken(user_id); // null only when the refresh grant is dead
+}
+
+module.exports = { router, getValidToken, refreshAccessToken, startDeviceLogin, pollDeviceLogin, SCOPES, REDIRECT_URI, SILENT_REFRESH };
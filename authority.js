@@ -0,0 +1,155 @@
+/**
+ * authority.js
+ *
+ * App registrations ("profiles") users sign in through, their Microsoft
+ * endpoints, and how each one authenticates to the token endpoint.
+ *
+ * The default profile is the CLIENT_ID / TENANT_ID pair. TENANT_ID may be a tenant
+ * GUID or domain, or a multi-tenant authority (organizations, common); for the
+ * latter, ALLOWED_TENANTS lists the tenant ids (the id_token's `tid`) that may
+ * sign in. TENANT_PROFILES adds named profiles, picked by /login?tenant=<name>:
+ *
+ *   { "contoso": { "client_id": "...", "tenant_id": "...", "client_secret": "...",
+ *                  "certificate_path": "...", "allowed_tenants": ["..."] } }
+ *
+ * A profile with neither secret nor certificate is a public client. With a
+ * certificate (a PEM file holding the certificate and its private key) the
+ * server signs a client assertion instead of sending a secret.
+ *
+ * Env:
+ *   AUTHORITY_HOST     login base URL (default https://login.microsoftonline.com);
+ *                      point it at a stand-in identity provider for testing
+ *   CLIENT_ID, TENANT_ID
+ *   CLIENT_SECRET      confidential client: secret
+ *   CLIENT_CERT_PATH   confidential client: certificate + private key PEM
+ *   ALLOWED_TENANTS    comma-separated tenant ids allowed to sign in (default: any
+ *                      the authority accepts)
+ *   TENANT_PROFILES    path to a JSON file of named profiles, or the JSON itself
+ */
+
+require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+
+const AUTHORITY_HOST = (process.env.AUTHORITY_HOST || "https://login.microsoftonline.com").replace(/\/+$/, "");
+const MULTI_TENANT = new Set(["common", "organizations", "consumers"]);
+const ASSERTION_TYPE = "urn:ietf:params:oauth:client-assertion-type:jwt-bearer";
+const ASSERTION_TTL_S = 600;
+
+const csv = (v) => (Array.isArray(v) ? v : String(v || "").split(",")).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+
+/** Error with a stable `code` and HTTP `status`, mapped by the transports. */
+function authorityError(code, status, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+/* -------------------- Profiles -------------------- */
+
+/** PEM file → { key, x5t } for client assertions. */
+function loadCertificate(path) {
+  const pem = fs.readFileSync(path, "utf8");
+  const cert = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/)?.[0];
+  const key = pem.match(/-----BEGIN (?:RSA |EC |ENCRYPTED )?PRIVATE KEY-----[\s\S]+?-----END (?:RSA |EC |ENCRYPTED )?PRIVATE KEY-----/)?.[0];
+  if (!cert || !key) throw new Error(`${path} must hold both the certificate and its private key (PEM).`);
+  const thumbprint = new crypto.X509Certificate(cert).fingerprint.replace(/:/g, ""); // SHA-1, hex
+  return { key: crypto.createPrivateKey(key), x5t: Buffer.from(thumbprint, "hex").toString("base64url") };
+}
+
+function makeProfile(name, cfg) {
+  if (!cfg.client_id && name !== "default") throw new Error(`Tenant profile "${name}" has no client_id.`);
+  const tenant = String(cfg.tenant_id || "organizations").trim();
+  const allowed = csv(cfg.allowed_tenants);
+  if (MULTI_TENANT.has(tenant.toLowerCase()) && !allowed.length) {
+    console.warn(`[authority] profile "${name}" uses the "${tenant}" authority without allowed tenants; any Microsoft tenant can sign in`);
+  }
+  return {
+    name,
+    client_id: cfg.client_id,
+    tenant_id: tenant,
+    allowed_tenants: allowed,
+    client_secret: cfg.client_secret || null,
+    certificate: cfg.certificate_path ? loadCertificate(cfg.certificate_path) : null,
+    authorizeUrl: `${AUTHORITY_HOST}/${tenant}/oauth2/v2.0/authorize`,
+    tokenUrl: `${AUTHORITY_HOST}/${tenant}/oauth2/v2.0/token`,
+    deviceCodeUrl: `${AUTHORITY_HOST}/${tenant}/oauth2/v2.0/devicecode`
+  };
+}
+
+function readProfiles(value) {
+  if (!value) return {};
+  const text = value.trim().startsWith("{") ? value : fs.readFileSync(value, "utf8");
+  return JSON.parse(text);
+}
+
+const DEFAULT = makeProfile("default", {
+  client_id: process.env.CLIENT_ID,
+  tenant_id: process.env.TENANT_ID,
+  client_secret: process.env.CLIENT_SECRET,
+  certificate_path: process.env.CLIENT_CERT_PATH,
+  allowed_tenants: process.env.ALLOWED_TENANTS
+});
+
+const PROFILES = new Map([["default", DEFAULT]]);
+for (const [name, cfg] of Object.entries(readProfiles(process.env.TENANT_PROFILES))) {
+  PROFILES.set(name, makeProfile(name, cfg));
+}
+
+/** Profile by name (null / unknown stored names fall back to the default). */
+const get = (name) => PROFILES.get(name || "default") || DEFAULT;
+
+/**
+ * Profile for a /login `tenant` hint: a profile name or a profile's tenant_id.
+ * No hint → the default. Throws unknown_tenant (400).
+ */
+function resolve(hint) {
+  if (!hint) return DEFAULT;
+  const h = String(hint).trim().toLowerCase();
+  for (const p of PROFILES.values()) {
+    if (p.name.toLowerCase() === h || p.tenant_id.toLowerCase() === h) return p;
+  }
+  throw authorityError("unknown_tenant", 400, `No sign-in is configured for tenant "${hint}".`);
+}
+
+/* -------------------- Checks and credentials -------------------- */
+
+/** Throws tenant_not_allowed (403) unless the signed-in tenant (`tid`) may use this profile. */
+function checkTenant(profile, tid) {
+  if (!profile.allowed_tenants.length) return;
+  if (!tid || !profile.allowed_tenants.includes(String(tid).toLowerCase())) {
+    throw authorityError("tenant_not_allowed", 403, "Accounts from this organization can't sign in to this server.", { tenant_id: tid || null });
+  }
+}
+
+const b64json = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+
+/** RS256 client assertion JWT for the profile's token endpoint. */
+function clientAssertion(profile) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64json({ alg: "RS256", typ: "JWT", x5t: profile.certificate.x5t });
+  const payload = b64json({
+    aud: profile.tokenUrl,
+    iss: profile.client_id,
+    sub: profile.client_id,
+    jti: crypto.randomUUID(),
+    nbf: now,
+    iat: now,
+    exp: now + ASSERTION_TTL_S
+  });
+  const signature = crypto.sign("RSA-SHA256", Buffer.from(`${header}.${payload}`), profile.certificate.key).toString("base64url");
+  return `${header}.${payload}.${signature}`;
+}
+
+/** Form fields that identify (and, for confidential clients, authenticate) the app. */
+function clientCredentials(profile) {
+  if (profile.certificate) {
+    return { client_id: profile.client_id, client_assertion_type: ASSERTION_TYPE, client_assertion: clientAssertion(profile) };
+  }
+  if (profile.client_secret) return { client_id: profile.client_id, client_secret: profile.client_secret };
+  return { client_id: profile.client_id };
+}
+
+module.exports = { get, resolve, checkTenant, clientCredentials, AUTHORITY_HOST };
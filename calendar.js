@@ -0,0 +1,95 @@
+/**
+ * calendar.js
+ *
+ * Free-time math over calendarView events (graph.listEvents). Working hours are
+ * walked day by day in the caller's time zone, busy events are cut out, and every
+ * gap long enough for the requested duration is returned. Cancelled events and
+ * events shown as "free" don't block time.
+ */
+
+const { DateTime } = require("luxon");
+const { toIso } = require("./dates");
+
+const BLOCKING = new Set(["busy", "tentative", "oof", "workingElsewhere", "unknown"]);
+
+const DAY_NAMES = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+/** "09:30" → { hour: 9, minute: 30 } */
+function parseClock(hhmm) {
+  const [hour, minute] = String(hhmm).split(":").map(Number);
+  return { hour, minute: minute || 0 };
+}
+
+/** Merge overlapping [start, end) intervals of epoch ms. */
+function mergeIntervals(list) {
+  const sorted = [...list].sort((a, b) => a[0] - b[0]);
+  const out = [];
+  for (const [s, e] of sorted) {
+    const last = out[out.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+    else out.push([s, e]);
+  }
+  return out;
+}
+
+/**
+ * Free slots of at least durationMinutes within working hours.
+ *   events     graph.listEvents() output (times in `tz`)
+ *   window     { startIso, endIso } from computeRange
+ *   options    { tz, durationMinutes, workStart, workEnd, workDays, stepMinutes, maxSlots, notBefore }
+ * Slot starts are rounded up to stepMinutes; past time (before notBefore) is skipped.
+ */
+function freeSlots(events, window, {
+  tz, durationMinutes, workStart = "09:00", workEnd = "17:00",
+  workDays = DAY_NAMES.slice(0, 5), stepMinutes = 15, maxSlots = 50, notBefore = DateTime.now()
+}) {
+  const busy = mergeIntervals(events
+    .filter(e => !e.isCancelled && BLOCKING.has(e.showAs || "busy"))
+    .map(e => [
+      DateTime.fromISO(e.start, { zone: tz }).toMillis(),
+      DateTime.fromISO(e.end, { zone: tz }).toMillis()
+    ])
+    .filter(([s, e]) => Number.isFinite(s) && Number.isFinite(e) && e > s));
+
+  const startClock = parseClock(workStart);
+  const endClock = parseClock(workEnd);
+  const days = new Set(workDays.map(d => d.toLowerCase()));
+  const windowStart = DateTime.fromISO(window.startIso, { zone: tz });
+  const windowEnd = DateTime.fromISO(window.endIso, { zone: tz });
+  const floor = Math.max(windowStart.toMillis(), notBefore.toMillis());
+  const durationMs = durationMinutes * 60000;
+  const stepMs = stepMinutes * 60000;
+
+  const slots = [];
+  for (let day = windowStart.startOf("day"); day <= windowEnd && slots.length < maxSlots; day = day.plus({ days: 1 })) {
+    if (!days.has(DAY_NAMES[day.weekday - 1])) continue;
+
+    const dayStart = Math.max(day.set({ ...startClock, second: 0, millisecond: 0 }).toMillis(), floor);
+    const dayEnd = Math.min(day.set({ ...endClock, second: 0, millisecond: 0 }).toMillis(), windowEnd.toMillis());
+    if (dayEnd <= dayStart) continue;
+
+    let cursor = dayStart;
+    const gaps = [];
+    for (const [bs, be] of busy) {
+      if (be <= cursor) continue;
+      if (bs >= dayEnd) break;
+      if (bs > cursor) gaps.push([cursor, bs]);
+      cursor = Math.max(cursor, be);
+    }
+    if (cursor < dayEnd) gaps.push([cursor, dayEnd]);
+
+    for (const [gs, ge] of gaps) {
+      const aligned = Math.ceil(gs / stepMs) * stepMs;
+      if (ge - aligned < durationMs) continue;
+      slots.push({
+        start: toIso(DateTime.fromMillis(aligned, { zone: tz })),
+        end: toIso(DateTime.fromMillis(ge, { zone: tz })),
+        minutes: Math.floor((ge - aligned) / 60000)
+      });
+      if (slots.length >= maxSlots) break;
+    }
+  }
+  return slots;
+}
+
+module.exports = { freeSlots, DAY_NAMES };
@@ -0,0 +1,137 @@
+/**
+ * cursors.js
+ *
+ * Server-side state behind `next_cursor`. A list action that has more to give
+ * saves where it stopped and hands the client `<id>.<expiresAt>.<hmac>`; the
+ * client only ever sees that opaque token. The state is one of:
+ *   { listing, skip, remaining }  Graph orders the results: the Graph page URL
+ *                                 (first page or @odata.nextLink) and how many of
+ *                                 its items were already returned
+ *   { results, offset }           results we sorted or merged ourselves: the id of
+ *                                 the list, stored once by saveResults(), and how
+ *                                 far into it the pages got
+ * plus `meta` echoed on every page (range, folder, ...). A cursor works for the
+ * user and action it was issued to, until it expires; re-reading a page is fine.
+ * A stored list lives as long as the newest cursor pointing into it.
+ *
+ * Env:
+ *   CURSOR_SECRET        HMAC key for cursors (random per process if unset)
+ *   CURSOR_TTL_SECONDS   how long a cursor stays usable (default 900)
+ */
+
+const crypto = require("crypto");
+const db = require("./db");
+
+const CURSOR_TTL_MS = Number(process.env.CURSOR_TTL_SECONDS || 900) * 1000;
+const CURSOR_SECRET = process.env.CURSOR_SECRET || crypto.randomBytes(32).toString("hex");
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS cursors (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  state TEXT NOT NULL,          -- JSON
+  expires_at INTEGER NOT NULL,  -- epoch ms
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_cursors_expiry ON cursors(expires_at);
+
+CREATE TABLE IF NOT EXISTS cursor_results (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  items TEXT NOT NULL,          -- JSON array, written once per listing
+  expires_at INTEGER NOT NULL,  -- pushed out by each cursor saved against it
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_cursor_results_expiry ON cursor_results(expires_at);
+`);
+
+const insertStmt = db.prepare(`
+INSERT INTO cursors (id, user_id, action, state, expires_at, created_at)
+VALUES (@id, @user_id, @action, @state, @expires_at, @ts)
+`);
+const getStmt = db.prepare(`SELECT * FROM cursors WHERE id = ?`);
+const purgeStmt = db.prepare(`DELETE FROM cursors WHERE expires_at <= ?`);
+const insertResultsStmt = db.prepare(`
+INSERT INTO cursor_results (id, user_id, action, items, expires_at, created_at)
+VALUES (@id, @user_id, @action, @items, @expires_at, @ts)
+`);
+const getResultsStmt = db.prepare(`SELECT * FROM cursor_results WHERE id = ?`);
+const extendResultsStmt = db.prepare(`UPDATE cursor_results SET expires_at = MAX(expires_at, ?) WHERE id = ?`);
+const purgeResultsStmt = db.prepare(`DELETE FROM cursor_results WHERE expires_at <= ?`);
+
+const sign = (payload) => crypto.createHmac("sha256", CURSOR_SECRET).update(payload).digest("base64url");
+
+/** Error with a stable `code` and HTTP `status`, mapped by the transports. */
+function cursorError(code, status, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+/** Store state and return the opaque cursor for it. */
+function save(user_id, action, state) {
+  const ts = Date.now();
+  purgeExpired();
+
+  const id = crypto.randomBytes(12).toString("base64url");
+  const expires_at = ts + CURSOR_TTL_MS;
+  insertStmt.run({ id, user_id, action, state: JSON.stringify(state), expires_at, ts });
+  if (state.results) extendResultsStmt.run(expires_at, state.results);
+
+  const payload = `${id}.${expires_at}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * State for a cursor issued to (user_id, action). Throws cursor_invalid (400)
+ * or cursor_expired (410).
+ */
+function open(cursor, user_id, action) {
+  const [id, exp, sig] = String(cursor || "").split(".");
+  const expected = id && exp ? Buffer.from(sign(`${id}.${exp}`)) : null;
+  const given = Buffer.from(sig || "");
+  if (!expected || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw cursorError("cursor_invalid", 400, "Invalid cursor; start again without `cursor`.");
+  }
+  if (Number(exp) <= Date.now()) throw cursorError("cursor_expired", 410, "This cursor expired; start again without `cursor`.");
+
+  const rec = getStmt.get(id);
+  if (!rec) throw cursorError("cursor_expired", 410, "This cursor expired; start again without `cursor`.");
+  if (rec.user_id !== user_id || rec.action !== action) {
+    throw cursorError("cursor_invalid", 400, `This cursor belongs to a different ${rec.user_id !== user_id ? "user" : "action or mailbox"}.`);
+  }
+  return JSON.parse(rec.state);
+}
+
+/**
+ * Store a materialized result list for cursors of (user_id, action) to page
+ * through by offset; returns its id, for the `results` field of their state.
+ */
+function saveResults(user_id, action, items) {
+  const ts = Date.now();
+  const id = crypto.randomBytes(12).toString("base64url");
+  insertResultsStmt.run({ id, user_id, action, items: JSON.stringify(items), expires_at: ts + CURSOR_TTL_MS, ts });
+  return id;
+}
+
+/** The list saveResults() stored, for a cursor that open() already checked. Throws cursor_expired (410). */
+function results(id, user_id, action) {
+  const rec = getResultsStmt.get(id);
+  if (!rec || rec.expires_at <= Date.now() || rec.user_id !== user_id || rec.action !== action) {
+    throw cursorError("cursor_expired", 410, "This cursor expired; start again without `cursor`.");
+  }
+  return JSON.parse(rec.items);
+}
+
+/** Drop expired cursors and result lists (the sweeper; save() also does this). */
+function purgeExpired() {
+  const now = Date.now();
+  return purgeStmt.run(now).changes + purgeResultsStmt.run(now).changes;
+}
+
+module.exports = { save, open, saveResults, results, purgeExpired };
@@ -0,0 +1,42 @@
+/**
+ * dates.js
+ *
+ * Relative date helpers. Turns intents like `this_week` or `last_n_days` into a
+ * time-zone-aware [startIso, endIso] window that Graph $filter can use. The
+ * forward-looking ones (tomorrow, next_week, next_n_days) are for the calendar.
+ */
+
+const { DateTime } = require("luxon");
+
+function toIso(dt) { return dt.toISO({ suppressMilliseconds: true }); }
+function computeRange({ tz, intent, n, on, since, start, end }) {
+  const now = DateTime.now().setZone(tz || "America/Chicago");
+  let s, e;
+
+  switch ((intent || "").trim()) {
+    case "today":       s = now.startOf("day"); e = now.endOf("day"); break;
+    case "yesterday":   { const y = now.minus({ days: 1 }); s = y.startOf("day"); e = y.endOf("day"); break; }
+    case "tomorrow":    { const t = now.plus({ days: 1 }); s = t.startOf("day"); e = t.endOf("day"); break; }
+    case "this_week":   s = now.startOf("week"); e = now.endOf("week"); break;
+    case "last_week":   { const w = now.minus({ weeks: 1 }); s = w.startOf("week"); e = w.endOf("week"); break; }
+    case "next_week":   { const w = now.plus({ weeks: 1 }); s = w.startOf("week"); e = w.endOf("week"); break; }
+    case "this_month":  s = now.startOf("month"); e = now.endOf("month"); break;
+    case "last_month":  { const m = now.minus({ months: 1 }); s = m.startOf("month"); e = m.endOf("month"); break; }
+    case "last_n_days": { const d = Number(n) || 7; s = now.minus({ days: d }).startOf("day"); e = now.endOf("day"); break; }
+    case "next_n_days": { const d = Number(n) || 7; s = now.startOf("day"); e = now.plus({ days: d }).endOf("day"); break; }
+    case "on_date":     { const d = DateTime.fromISO(on, { zone: tz }); if (!d.isValid) throw new Error("Invalid 'on' date"); s = d.startOf("day"); e = d.endOf("day"); break; }
+    case "since_date":  { const d = DateTime.fromISO(since, { zone: tz }); if (!d.isValid) throw new Error("Invalid 'since' date"); s = d.startOf("day"); e = now.endOf("day"); break; }
+    case "between":     {
+      const ds = DateTime.fromISO(start, { zone: tz });
+      const de = DateTime.fromISO(end,   { zone: tz });
+      if (!ds.isValid || !de.isValid) throw new Error("Invalid 'between' dates");
+      s = ds.startOf("day"); e = de.endOf("day");
+      if (e < s) [s, e] = [e.startOf("day"), s.endOf("day")]; // dates given the wrong way round
+      break;
+    }
+    default:            s = now.minus({ days: 7 }).startOf("day"); e = now.endOf("day");
+  }
+  return { startIso: toIso(s), endIso: toIso(e), tz: now.zoneName };
+}
+
+module.exports = { computeRange, toIso };
@@ -0,0 +1,20 @@
+/**
+ * db.js
+ *
+ * The one SQLite file (data/tokens.db) shared by every store in this service.
+ * Each module creates its own tables on load with CREATE TABLE IF NOT EXISTS.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const DATA_DIR = path.join(__dirname, "data");
+const DB_PATH = path.join(DATA_DIR, "tokens.db");
+
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+const db = new Database(DB_PATH);
+db.pragma("journal_mode = WAL");
+
+module.exports = db;
@@ -0,0 +1,577 @@
+/**
+ * extract.js
+ *
+ * Local text extraction for attachment bytes. Nothing leaves the process.
+ * Supported: txt/csv/md/json/log, html, eml (MIME, nested messages rendered
+ * recursively), docx, xlsx (zip + XML) and the text layer of PDFs.
+ *
+ * extractText({ name, contentType, bytes }) → { format, text } or { format: null, reason }
+ *
+ * Zip entries and PDF streams are inflated against one budget per attachment
+ * (nested attachments included), so a small compressed file can't expand into
+ * gigabytes; past it the attachment is reported as unparseable. The text produced
+ * has its own budget, since a few bytes can be repeated endlessly (one shared
+ * string in a million spreadsheet cells, a long ToUnicode mapping for every PDF
+ * glyph): once it is spent the extractors stop and the text ends in a
+ * "[truncated: …]" line.
+ *
+ * Env:
+ *   EXTRACT_MAX_INFLATED_BYTES   total decompressed bytes per attachment (default 64 MiB)
+ *   EXTRACT_MAX_CHARS            total characters of text per attachment (default 5,000,000)
+ */
+
+const zlib = require("zlib");
+const { htmlToText, decodeEntities } = require("./text");
+
+const MAX_DEPTH = 3; // nested emails / attachments inside attachments
+const MAX_INFLATED_BYTES = Number(process.env.EXTRACT_MAX_INFLATED_BYTES || 64 * 1024 * 1024);
+const MAX_CHARS = Number(process.env.EXTRACT_MAX_CHARS || 5000000);
+const MAX_COLUMNS = 16384; // Excel's last column, XFD
+
+/* -------------------- Format detection -------------------- */
+
+const EXT_FORMATS = {
+  txt: "text", csv: "csv", tsv: "csv", md: "text", log: "text", json: "text", xml: "text",
+  htm: "html", html: "html", eml: "eml", docx: "docx", xlsx: "xlsx", pdf: "pdf"
+};
+const MIME_FORMATS = {
+  "text/plain": "text", "text/csv": "csv", "text/html": "html", "message/rfc822": "eml",
+  "application/json": "text", "application/pdf": "pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx"
+};
+
+function detectFormat(name, contentType, bytes) {
+  const ext = String(name || "").toLowerCase().split(".").pop();
+  const mime = String(contentType || "").toLowerCase().split(";")[0].trim();
+  let f = EXT_FORMATS[ext] || MIME_FORMATS[mime] || null;
+  if (bytes && bytes.length > 4) {
+    if (bytes.slice(0, 5).toString("latin1") === "%PDF-") f = "pdf";
+    else if (bytes[0] === 0x50 && bytes[1] === 0x4b && f !== "docx" && f !== "xlsx") {
+      // A zip with an unhelpful name: peek for the Office part that identifies it
+      try {
+        const names = listZip(bytes).map(e => e.name);
+        if (names.includes("word/document.xml")) f = "docx";
+        else if (names.includes("xl/workbook.xml")) f = "xlsx";
+      } catch (_) { /* not a readable zip */ }
+    }
+  }
+  if (!f && mime.startsWith("text/")) f = "text";
+  return f;
+}
+
+/** Bytes → string honoring BOMs and a declared charset. */
+function decodeBytes(bytes, charset) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return bytes.slice(3).toString("utf8");
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return bytes.slice(2).toString("utf16le");
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder("utf-16be").decode(bytes.slice(2));
+  try {
+    return new TextDecoder((charset || "utf-8").trim().toLowerCase()).decode(bytes);
+  } catch (_) {
+    return bytes.toString("utf8");
+  }
+}
+
+/* -------------------- Budgets -------------------- */
+
+const newBudget = () => ({ left: MAX_INFLATED_BYTES, chars: MAX_CHARS, truncated: false });
+
+/** s, counted against the output budget; cut short (and the budget marked truncated) once it runs out. */
+function emit(budget, s) {
+  if (s.length > budget.chars) {
+    budget.truncated = true;
+    s = s.slice(0, budget.chars);
+  }
+  budget.chars -= s.length;
+  return s;
+}
+
+function inflateLimitError() {
+  const err = new Error(`decompressed content exceeds ${MAX_INFLATED_BYTES} bytes`);
+  err.code = "inflate_limit";
+  return err;
+}
+
+/** zlib.inflateSync / inflateRawSync that never outputs more than the budget has left. */
+function inflate(fn, raw, budget, options = {}) {
+  if (budget.left <= 0) throw inflateLimitError();
+  let out;
+  try {
+    out = fn(raw, { ...options, maxOutputLength: budget.left });
+  } catch (e) {
+    if (e.code === "ERR_BUFFER_TOO_LARGE") throw inflateLimitError();
+    throw e;
+  }
+  budget.left -= out.length;
+  return out;
+}
+
+/* -------------------- ZIP (docx/xlsx) -------------------- */
+
+function listZip(buf) {
+  // End of central directory: last 22..65557 bytes
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("not a zip archive");
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error("corrupt zip directory");
+    const method = buf.readUInt16LE(p + 10);
+    const compSize = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const name = buf.slice(p + 46, p + 46 + nameLen).toString("utf8");
+    entries.push({ name, method, compSize, size, localOffset });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+function readZip(buf, budget) {
+  const files = new Map();
+  for (const e of listZip(buf)) {
+    const lh = e.localOffset;
+    const start = lh + 30 + buf.readUInt16LE(lh + 26) + buf.readUInt16LE(lh + 28);
+    const raw = buf.slice(start, start + e.compSize);
+    files.set(e.name, () => {
+      if (e.method !== 8) return raw;
+      // The declared size may lie; inflate() holds the line either way.
+      if (e.size > budget.left) throw inflateLimitError();
+      return inflate(zlib.inflateRawSync, raw, budget);
+    });
+  }
+  return { has: (n) => files.has(n), read: (n) => (files.has(n) ? files.get(n)().toString("utf8") : null) };
+}
+
+/* -------------------- DOCX -------------------- */
+
+function docxToText(bytes, budget) {
+  const zip = readZip(bytes, budget);
+  const xml = zip.read("word/document.xml");
+  if (xml == null) throw new Error("word/document.xml missing");
+  const body = xml
+    .replace(/<\/w:p>\s*<\/w:tc>/g, "</w:tc>")         // last paragraph in a cell
+    .replace(/<\/w:tc>\s*<\/w:tr>/g, "</w:tr>")         // last cell in a row
+    .replace(/<w:tab\/>/g, "\t")
+    .replace(/<w:br[^>]*\/>/g, "\n")
+    .replace(/<\/w:p>/g, "\n")
+    .replace(/<\/w:tc>/g, " | ")
+    .replace(/<\/w:tr>/g, "\n")
+    .replace(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>/g, (_m, t) => `\u0000${t}\u0001`)
+    .replace(/<[^>]+>/g, "")
+    .replace(/\u0000|\u0001/g, "");
+  return emit(budget, decodeEntities(body).replace(/\n{3,}/g, "\n\n").trim());
+}
+
+/* -------------------- XLSX -------------------- */
+
+const xmlText = (s) => decodeEntities(s.replace(/<[^>]+>/g, ""));
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function colIndex(ref) {
+  const letters = (ref.match(/^[A-Z]+/) || ["A"])[0];
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function xlsxToText(bytes, budget) {
+  const zip = readZip(bytes, budget);
+  const shared = [];
+  const sst = zip.read("xl/sharedStrings.xml");
+  if (sst) {
+    for (const m of sst.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      shared.push([...m[1].matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(t => decodeEntities(t[1])).join(""));
+    }
+  }
+
+  // workbook.xml sheet names → rels → worksheet part
+  const wb = zip.read("xl/workbook.xml") || "";
+  const rels = zip.read("xl/_rels/workbook.xml.rels") || "";
+  const targets = new Map([...rels.matchAll(/<Relationship\b[^>]*>/g)].map(m => [
+    (m[0].match(/Id="([^"]+)"/) || [])[1],
+    (m[0].match(/Target="([^"]+)"/) || [])[1]
+  ]));
+
+  const out = [];
+  for (const m of wb.matchAll(/<sheet\b[^>]*>/g)) {
+    if (budget.truncated) break;
+    const name = decodeEntities((m[0].match(/name="([^"]*)"/) || [])[1] || "Sheet");
+    const rid = (m[0].match(/r:id="([^"]+)"/) || [])[1];
+    let target = targets.get(rid) || "";
+    target = target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+    const xml = zip.read(target);
+    if (!xml) continue;
+
+    const rows = [emit(budget, `## Sheet: ${name}`)];
+    for (const r of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+      if (budget.truncated) break;
+      const cells = [];
+      for (const c of r[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const attrs = c[1];
+        const inner = c[2] || "";
+        const ref = (attrs.match(/r="([A-Z]+\d+)"/) || [])[1];
+        const type = (attrs.match(/t="([^"]+)"/) || [])[1];
+        const v = (inner.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+        let value = "";
+        if (type === "s") value = shared[Number(v)] ?? "";
+        else if (type === "inlineStr") value = xmlText((inner.match(/<is>([\s\S]*?)<\/is>/) || [])[1] || "");
+        else if (type === "b") value = v === "1" ? "TRUE" : "FALSE";
+        else if (v !== undefined) value = decodeEntities(v);
+        const col = ref ? colIndex(ref) : cells.length;
+        if (col >= MAX_COLUMNS) continue; // a bogus ref would otherwise size the row array
+        cells[col] = value;
+      }
+      if (!cells.some(x => x !== undefined && x !== "")) continue;
+      // Cell by cell: the budget has to stop a row before it is built, not after.
+      let line = emit(budget, "\n");
+      for (let i = 0; i < cells.length && !budget.truncated; i++) line += emit(budget, `${i ? "," : ""}${csvCell(cells[i])}`);
+      rows.push(line);
+    }
+    out.push(rows.join(""));
+  }
+  return out.join("\n\n").trim();
+}
+
+/* -------------------- EML (MIME) -------------------- */
+
+function parseHeaders(block) {
+  const headers = {};
+  for (const line of block.replace(/\r\n/g, "\n").replace(/\n[ \t]+/g, " ").split("\n")) {
+    const i = line.indexOf(":");
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  }
+  return headers;
+}
+
+function headerParam(value, param) {
+  const m = String(value || "").match(new RegExp(`${param}\\*?=(?:"([^"]*)"|([^;\\s]*))`, "i"));
+  return m ? (m[1] ?? m[2]) : null;
+}
+
+/** RFC 2047 encoded-words: =?utf-8?B?...?= / =?iso-8859-1?Q?...?= */
+function decodeWords(s) {
+  return String(s || "").replace(/=\?([^?]+)\?([bqBQ])\?([^?]*)\?=/g, (_m, cs, enc, data) => {
+    const bytes = enc.toUpperCase() === "B"
+      ? Buffer.from(data, "base64")
+      : Buffer.from(data.replace(/_/g, " ").replace(/=([0-9a-f]{2})/gi, (_x, h) => String.fromCharCode(parseInt(h, 16))), "latin1");
+    return decodeBytes(bytes, cs);
+  });
+}
+
+function decodeTransfer(raw, encoding) {
+  const enc = String(encoding || "").toLowerCase();
+  if (enc === "base64") return Buffer.from(raw.replace(/\s+/g, ""), "base64");
+  if (enc === "quoted-printable") {
+    const s = raw.replace(/=\r?\n/g, "").replace(/=([0-9a-f]{2})/gi, (_m, h) => String.fromCharCode(parseInt(h, 16)));
+    return Buffer.from(s, "latin1");
+  }
+  return Buffer.from(raw, "latin1");
+}
+
+/** Parse a MIME entity (latin1 string) into a tree of { headers, type, body, parts }. */
+function parseMime(src) {
+  const sep = src.search(/\r?\n\r?\n/);
+  const head = sep < 0 ? src : src.slice(0, sep);
+  const body = sep < 0 ? "" : src.slice(sep).replace(/^\r?\n\r?\n/, "");
+  const headers = parseHeaders(head);
+  const type = String(headers["content-type"] || "text/plain").split(";")[0].trim().toLowerCase();
+
+  if (type.startsWith("multipart/")) {
+    const boundary = headerParam(headers["content-type"], "boundary");
+    const parts = [];
+    if (boundary) {
+      const chunks = body.split(`--${boundary}`);
+      for (const chunk of chunks.slice(1)) {
+        if (chunk.startsWith("--")) break;
+        parts.push(parseMime(chunk.replace(/^\r?\n/, "")));
+      }
+    }
+    return { headers, type, parts };
+  }
+  return { headers, type, bytes: decodeTransfer(body, headers["content-transfer-encoding"]) };
+}
+
+function partName(node) {
+  return decodeWords(headerParam(node.headers["content-disposition"], "filename") || headerParam(node.headers["content-type"], "name") || "");
+}
+
+/** Render a parsed message: headers, the best body, then attachments (recursively). */
+function renderMime(node, depth, budget) {
+  const h = node.headers;
+  const lines = [];
+  for (const k of ["from", "to", "cc", "date", "subject"]) {
+    if (h[k]) lines.push(emit(budget, `${k[0].toUpperCase()}${k.slice(1)}: ${decodeWords(h[k])}`));
+  }
+
+  const texts = { plain: null, html: null };
+  const attachments = [];
+  const walk = (n) => {
+    if (n.parts) return n.parts.forEach(walk);
+    const disposition = String(n.headers["content-disposition"] || "").toLowerCase();
+    const name = partName(n);
+    const isAttachment = disposition.startsWith("attachment") || (name && n.type !== "text/plain" && n.type !== "text/html");
+    if (!isAttachment && n.type === "text/plain" && texts.plain == null) texts.plain = decodeBytes(n.bytes, headerParam(n.headers["content-type"], "charset"));
+    else if (!isAttachment && n.type === "text/html" && texts.html == null) texts.html = decodeBytes(n.bytes, headerParam(n.headers["content-type"], "charset"));
+    else attachments.push(n);
+  };
+  walk(node);
+
+  lines.push("", emit(budget, texts.plain != null ? texts.plain.trim() : htmlToText(texts.html || "")));
+
+  for (const a of attachments) {
+    if (budget.truncated) break;
+    const name = partName(a) || (a.type === "message/rfc822" ? "attached message" : a.type);
+    lines.push("", emit(budget, `----- Attachment: ${name} (${a.type}, ${a.bytes.length} bytes) -----`));
+    if (depth >= MAX_DEPTH) {
+      lines.push("[not expanded: nesting limit reached]");
+      continue;
+    }
+    const inner = extractText({ name, contentType: a.type, bytes: a.bytes }, depth + 1, budget);
+    lines.push(inner.format ? inner.text : `[no text extracted: ${inner.reason}]`);
+  }
+  return lines.join("\n").trim();
+}
+
+function emlToText(bytes, depth, budget) {
+  return renderMime(parseMime(bytes.toString("latin1")), depth, budget);
+}
+
+/* -------------------- PDF (text layer) -------------------- */
+
+function inflateStream(dict, raw, budget) {
+  if (!/\/FlateDecode/.test(dict)) return /\/Filter/.test(dict) ? null : raw;
+  try { return inflate(zlib.inflateSync, raw, budget); } catch (e) { if (e.code === "inflate_limit") throw e; }
+  try {
+    return inflate(zlib.inflateSync, raw, budget, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  } catch (e) {
+    if (e.code === "inflate_limit") throw e;
+    return null;
+  }
+}
+
+/** All objects "n g obj ... endobj", including ones packed in object streams. */
+function pdfObjects(buf, budget) {
+  const src = buf.toString("latin1");
+  const objects = new Map();
+  const re = /(\d+)\s+\d+\s+obj\b([\s\S]*?)endobj/g;
+  let m;
+  while ((m = re.exec(src))) {
+    const body = m[2];
+    const s = body.search(/stream\r?\n/);
+    if (s >= 0) {
+      const dict = body.slice(0, s);
+      const dataStart = m.index + m[0].indexOf(body) + s + body.slice(s).match(/stream\r?\n/)[0].length;
+      const lenMatch = dict.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+      const end = lenMatch ? dataStart + Number(lenMatch[1]) : src.indexOf("endstream", dataStart);
+      objects.set(Number(m[1]), { dict, data: inflateStream(dict, buf.slice(dataStart, end), budget) });
+    } else {
+      objects.set(Number(m[1]), { dict: body, data: null });
+    }
+  }
+
+  // Compressed object streams (PDF 1.5+): /Type /ObjStm /N count /First offset
+  for (const o of [...objects.values()]) {
+    if (!/\/Type\s*\/ObjStm/.test(o.dict) || !o.data) continue;
+    const first = Number((o.dict.match(/\/First\s+(\d+)/) || [])[1]);
+    const n = Number((o.dict.match(/\/N\s+(\d+)/) || [])[1]);
+    const text = o.data.toString("latin1");
+    const nums = text.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < n; i++) {
+      const num = nums[i * 2];
+      const off = first + nums[i * 2 + 1];
+      const next = i + 1 < n ? first + nums[(i + 1) * 2 + 1] : text.length;
+      if (!objects.has(num)) objects.set(num, { dict: text.slice(off, next), data: null });
+    }
+  }
+  return objects;
+}
+
+/** ToUnicode CMap → Map(code → string), plus the code width in bytes. */
+function parseCMap(text) {
+  const map = new Map();
+  let bytes = 1;
+  const hex = (h) => {
+    const b = Buffer.from(h.length % 2 ? `0${h}` : h, "hex");
+    let s = "";
+    for (let i = 0; i + 1 < b.length; i += 2) s += String.fromCharCode(b.readUInt16BE(i));
+    return s || String.fromCharCode(b[0] || 0);
+  };
+  for (const block of text.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    const first = block[1].match(/<([0-9a-f]+)>/i);
+    if (first) bytes = first[1].length / 2;
+  }
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) map.set(parseInt(m[1], 16), hex(m[2]));
+  }
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<([0-9a-f]+)>|\[([^\]]*)\])/gi)) {
+      const lo = parseInt(m[1], 16);
+      const hi = parseInt(m[2], 16);
+      if (hi - lo > 0xffff) continue;
+      if (m[4]) {
+        const base = hex(m[4]);
+        for (let c = lo; c <= hi; c++) map.set(c, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + (c - lo)));
+      } else {
+        const list = [...m[5].matchAll(/<([0-9a-f]+)>/gi)].map(x => hex(x[1]));
+        list.forEach((s, i) => map.set(lo + i, s));
+      }
+    }
+  }
+  return { map, bytes };
+}
+
+/** Literal PDF string "(...)" → bytes (handles escapes and octal). */
+function pdfLiteral(s) {
+  const out = [];
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch !== "\\") { out.push(s.charCodeAt(i) & 0xff); continue; }
+    const n = s[++i];
+    const esc = { n: 10, r: 13, t: 9, b: 8, f: 12, "(": 40, ")": 41, "\\": 92 };
+    if (n in esc) out.push(esc[n]);
+    else if (/[0-7]/.test(n)) {
+      let oct = n;
+      while (oct.length < 3 && /[0-7]/.test(s[i + 1])) oct += s[++i];
+      out.push(parseInt(oct, 8) & 0xff);
+    } else if (n === "\r" || n === "\n") {
+      if (n === "\r" && s[i + 1] === "\n") i++;
+    } else if (n !== undefined) out.push(n.charCodeAt(0));
+  }
+  return Buffer.from(out);
+}
+
+function decodePdfString(bytes, cmap) {
+  if (cmap && cmap.skip) return "";
+  if (!cmap) {
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder("utf-16be").decode(bytes.slice(2));
+    return bytes.toString("latin1");
+  }
+  let s = "";
+  for (let i = 0; i + cmap.bytes <= bytes.length; i += cmap.bytes) {
+    const code = cmap.bytes === 2 ? bytes.readUInt16BE(i) : bytes[i];
+    s += cmap.map.get(code) ?? "";
+  }
+  return s;
+}
+
+function pdfToText(bytes, budget) {
+  if (/\/Encrypt\b/.test(bytes.toString("latin1", Math.max(0, bytes.length - 4096)))) {
+    throw new Error("PDF is encrypted");
+  }
+  const objects = pdfObjects(bytes, budget);
+
+  // Font resource name (/F1) → ToUnicode map. Names are per page in theory; in
+  // practice reusing the last mapping seen is good enough for text extraction.
+  const fontMaps = new Map();
+  const cmapFor = (ref) => {
+    const font = objects.get(Number(ref));
+    const tu = font && font.dict.match(/\/ToUnicode\s+(\d+)\s+\d+\s+R/);
+    const cm = tu && objects.get(Number(tu[1]));
+    if (cm && cm.data) return parseCMap(cm.data.toString("latin1"));
+    // Composite font without a ToUnicode map: codes are glyph ids, nothing to recover.
+    if (font && /\/Subtype\s*\/Type0/.test(font.dict)) return { skip: true };
+    return null;
+  };
+  for (const o of objects.values()) {
+    let fontDict = o.dict.match(/\/Font\s*<<([\s\S]*?)>>/);
+    if (!fontDict) {
+      const ind = o.dict.match(/\/Font\s+(\d+)\s+\d+\s+R/);
+      const obj = ind && objects.get(Number(ind[1]));
+      fontDict = obj ? [null, obj.dict] : null;
+    }
+    if (!fontDict) continue;
+    for (const f of fontDict[1].matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+      const cmap = cmapFor(f[2]);
+      if (cmap) fontMaps.set(f[1], cmap);
+    }
+  }
+
+  // Content streams: anything decoded that contains text operators.
+  const pages = [];
+  for (const o of objects.values()) {
+    if (budget.truncated) break;
+    if (!o.data || /\/(Type\s*\/(XObject|ObjStm|XRef|Metadata)|Subtype\s*\/Image)/.test(o.dict)) continue;
+    const content = o.data.toString("latin1");
+    if (!/\bBT\b/.test(content)) continue;
+
+    let text = "";
+    let cmap = null;
+    const add = (s) => { text += emit(budget, s); };
+    const tokens = content.matchAll(/\/([^\s/<>[\]()]+)\s+[\d.]+\s+Tf|\[((?:\((?:\\.|[^\\)])*\)|<[0-9a-fA-F\s]*>|[^\]()<])*)\]\s*TJ|\(((?:\\.|[^\\)])*)\)\s*(?:Tj|'|")|<([0-9a-fA-F\s]*)>\s*Tj|(T\*|Td|TD|ET)\b/g);
+    for (const t of tokens) {
+      if (budget.truncated) break;
+      if (t[1]) cmap = fontMaps.get(t[1]) || null;
+      else if (t[2] !== undefined) {
+        for (const piece of t[2].matchAll(/\(((?:\\.|[^\\)])*)\)|<([0-9a-fA-F\s]*)>|(-?\d+(?:\.\d+)?)/g)) {
+          if (piece[1] !== undefined) add(decodePdfString(pdfLiteral(piece[1]), cmap));
+          else if (piece[2] !== undefined) add(decodePdfString(Buffer.from(piece[2].replace(/\s+/g, ""), "hex"), cmap));
+          else if (Number(piece[3]) < -200) add(" "); // big kerning gap = word space
+        }
+      } else if (t[3] !== undefined) add(decodePdfString(pdfLiteral(t[3]), cmap));
+      else if (t[4] !== undefined) add(decodePdfString(Buffer.from(t[4].replace(/\s+/g, ""), "hex"), cmap));
+      else if (t[5]) add("\n");
+    }
+    pages.push(text);
+  }
+  const out = pages.join("\n").replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  if (!out) throw new Error("no text layer (scanned PDF?)");
+  return out;
+}
+
+/* -------------------- Entry point -------------------- */
+
+/**
+ * Extract text from attachment bytes.
+ * Returns { format, text } on success, or { format: null, reason } when the type is
+ * unsupported or the file can't be parsed. Nested calls pass the outer depth and budget.
+ */
+function extractText({ name, contentType, bytes }, depth = 0, budget = newBudget()) {
+  const format = detectFormat(name, contentType, bytes);
+  if (!format) return { format: null, reason: `unsupported type (${contentType || name || "unknown"})` };
+  let text;
+  try {
+    switch (format) {
+      case "text":
+      case "csv":
+        text = emit(budget, decodeBytes(bytes, headerParam(contentType, "charset")).trim());
+        break;
+      case "html":
+        text = emit(budget, htmlToText(decodeBytes(bytes, headerParam(contentType, "charset"))));
+        break;
+      case "eml":
+        text = emlToText(bytes, depth, budget);
+        break;
+      case "docx":
+        text = docxToText(bytes, budget);
+        break;
+      case "xlsx":
+        text = xlsxToText(bytes, budget);
+        break;
+      case "pdf":
+        text = pdfToText(bytes, budget);
+        break;
+      default:
+        return { format: null, reason: "unsupported type" };
+    }
+  } catch (e) {
+    return { format: null, reason: `${format} could not be parsed: ${e.message}` };
+  }
+  // Nested extractions share the budget; only the outermost text gets the marker.
+  if (depth === 0 && budget.truncated) text += `\n\n[truncated: text stops at ${MAX_CHARS} characters]`;
+  return { format, text };
+}
+
+module.exports = { extractText, detectFormat };
@@ -0,0 +1,271 @@
+/**
+ * fakeGraph.js
+ *
+ * A local stand-in for the parts of Microsoft Graph this server reads, for
+ * working offline: point GRAPH_BASE_URL at it (http://localhost:4000/v1.0).
+ * Any bearer token is accepted; /me and /users/{mailbox} share one mailbox.
+ *
+ * Served:
+ *   GET  /messages, /mailFolders/{id}/messages   $top/$skip paging via @odata.nextLink,
+ *        $orderby (receivedDateTime | sentDateTime, asc | desc), $filter (`ge/gt/le/lt`
+ *        on those dates and `from/emailAddress/address eq '…'`, joined by `and`),
+ *        $search (words matched against subject, sender and preview; `from:` too)
+ *   GET  /messages/{id}, /mailFolders, /mailFolders/{id}, /mailFolders/{id}/childFolders
+ *   POST /$batch                                  GET sub-requests only
+ *
+ * Faults, to exercise the backoff paths:
+ *   throttleEvery: n   every n-th request answers 429 with Retry-After: retryAfter
+ *   errorEvery: n      every n-th request answers errorStatus (default 503)
+ *   fail({ status, retryAfter, times, path })   the next `times` requests (whose
+ *                      path contains `path`, if given) answer `status`
+ *
+ * `npm run fake-graph` serves 250 generated messages on FAKE_GRAPH_PORT (4000);
+ * FAKE_GRAPH_THROTTLE_EVERY and FAKE_GRAPH_ERROR_EVERY set the faults. From code:
+ * createFakeGraph({ messages, folders, ... }).listen(port) → { url, close() }.
+ */
+
+const express = require("express");
+
+const MAX_TOP = 1000;
+const DEFAULT_TOP = 10;
+
+const FOLDERS = [
+  { id: "inbox", displayName: "Inbox", parentFolderId: "root", childFolderCount: 0 },
+  { id: "sentitems", displayName: "Sent Items", parentFolderId: "root", childFolderCount: 0 },
+  { id: "drafts", displayName: "Drafts", parentFolderId: "root", childFolderCount: 0 },
+  { id: "deleteditems", displayName: "Deleted Items", parentFolderId: "root", childFolderCount: 0 }
+];
+
+/** `count` messages, newest first, one hour apart, from a handful of senders. */
+function sampleMessages(count = 250, now = Date.parse("2025-01-31T12:00:00Z")) {
+  const senders = ["Ada Lovelace <ada@example.com>", "Alan Turing <alan@example.com>", "Grace Hopper <grace@example.com>", "Ada Byron <ada.byron@example.org>"];
+  return Array.from({ length: count }, (_, i) => {
+    const [, name, address] = senders[i % senders.length].match(/^(.*) <(.*)>$/);
+    const at = new Date(now - i * 3600 * 1000).toISOString().replace(".000Z", "Z");
+    return {
+      id: `msg-${String(i).padStart(4, "0")}`,
+      subject: `Message ${i} from ${name}`,
+      bodyPreview: `Preview of message ${i}`,
+      body: { contentType: "text", content: `Body of message ${i}` },
+      from: { emailAddress: { name, address } },
+      toRecipients: [{ emailAddress: { name: "Me", address: "me@example.com" } }],
+      ccRecipients: [],
+      receivedDateTime: at,
+      sentDateTime: at,
+      parentFolderId: i % 5 === 4 ? "sentitems" : "inbox",
+      conversationId: `conv-${Math.floor(i / 3)}`,
+      hasAttachments: false,
+      isRead: i % 2 === 0,
+      importance: "normal",
+      flag: { flagStatus: "notFlagged" },
+      categories: []
+    };
+  });
+}
+
+const graphError = (res, status, code, message, headers = {}) => res.status(status).set(headers).json({ error: { code, message } });
+
+/* -------------------- Query options -------------------- */
+
+const DATE_FIELDS = new Set(["receivedDateTime", "sentDateTime"]);
+
+/** `$filter` clauses this fake understands → predicate; null when it doesn't. */
+function compileFilter(filter) {
+  if (!filter) return () => true;
+  const tests = [];
+  for (const clause of filter.split(/\s+and\s+/i)) {
+    let m = clause.match(/^\s*(\w+)\s+(ge|gt|le|lt)\s+(\S+)\s*$/i);
+    if (m && DATE_FIELDS.has(m[1])) {
+      const [, field, op, value] = m;
+      const t = Date.parse(value);
+      tests.push((msg) => {
+        const d = Date.parse(msg[field]);
+        return { ge: d >= t, gt: d > t, le: d <= t, lt: d < t }[op.toLowerCase()];
+      });
+      continue;
+    }
+    m = clause.match(/^\s*from\/emailAddress\/address\s+eq\s+'((?:[^']|'')*)'\s*$/i);
+    if (m) {
+      const address = m[1].replace(/''/g, "'").toLowerCase();
+      tests.push((msg) => (msg.from?.emailAddress?.address || "").toLowerCase() === address);
+      continue;
+    }
+    return null;
+  }
+  return (msg) => tests.every(t => t(msg));
+}
+
+/** `$search="…"`: every word must appear; `from:x` only looks at the sender. */
+function compileSearch(search) {
+  if (!search) return () => true;
+  const words = search.replace(/^"|"$/g, "").replace(/\\"/g, "\"").toLowerCase().split(/\s+/).filter(Boolean);
+  return (msg) => {
+    const sender = `${msg.from?.emailAddress?.name || ""} ${msg.from?.emailAddress?.address || ""}`.toLowerCase();
+    const text = `${msg.subject} ${msg.bodyPreview} ${sender}`.toLowerCase();
+    return words.every(w => (w.startsWith("from:") ? sender.includes(w.slice(5)) : text.includes(w)));
+  };
+}
+
+function compileOrder(orderby) {
+  if (!orderby) return null;
+  const [field, dir = "asc"] = orderby.trim().split(/\s+/);
+  if (!DATE_FIELDS.has(field)) return undefined;
+  const sign = dir.toLowerCase() === "desc" ? -1 : 1;
+  return (a, b) => sign * (Date.parse(a[field]) - Date.parse(b[field]));
+}
+
+/* -------------------- Server -------------------- */
+
+/**
+ * options: { messages, folders, throttleEvery, retryAfter, errorEvery, errorStatus }
+ * → { app, listen(port), fail(fault), requests, messages, folders }
+ */
+function createFakeGraph(options = {}) {
+  const messages = options.messages || sampleMessages();
+  const folders = options.folders || FOLDERS;
+  const throttleEvery = Number(options.throttleEvery || 0);
+  const errorEvery = Number(options.errorEvery || 0);
+  const retryAfter = Number(options.retryAfter ?? 1);
+  const errorStatus = Number(options.errorStatus || 503);
+
+  const faults = [];
+  const requests = []; // { method, path, status }, in arrival order
+  let counter = 0;
+
+  const fake = { messages, folders, requests, fail: (fault) => faults.push({ times: 1, ...fault }) };
+  const app = express();
+  app.use(express.json());
+  const router = express.Router();
+
+  // Faults first: injected ones, then the periodic ones.
+  router.use((req, res, next) => {
+    counter++;
+    const entry = { method: req.method, path: req.originalUrl, status: 200 };
+    requests.push(entry);
+    res.on("finish", () => { entry.status = res.statusCode; });
+
+    if (!/^Bearer \S+/.test(req.get("Authorization") || "")) {
+      return graphError(res, 401, "InvalidAuthenticationToken", "Access token is empty.");
+    }
+    const i = faults.findIndex(f => !f.path || req.originalUrl.includes(f.path));
+    if (i >= 0) {
+      const f = faults[i];
+      if (--f.times <= 0) faults.splice(i, 1);
+      const headers = f.retryAfter != null ? { "Retry-After": String(f.retryAfter) } : {};
+      return graphError(res, f.status, f.status === 429 ? "TooManyRequests" : "ServiceUnavailable", "Injected fault.", headers);
+    }
+    if (throttleEvery && counter % throttleEvery === 0) {
+      return graphError(res, 429, "TooManyRequests", "Too many requests.", { "Retry-After": String(retryAfter) });
+    }
+    if (errorEvery && counter % errorEvery === 0) {
+      return graphError(res, errorStatus, "ServiceUnavailable", "Simulated outage.");
+    }
+    next();
+  });
+
+  const base = (req) => `${req.protocol}://${req.get("host")}${req.baseUrl}`;
+
+  /** One page of `items` per $top/$skip, with a nextLink while there are more. */
+  function page(req, res, items) {
+    const top = Math.min(Number(req.query.$top || DEFAULT_TOP), MAX_TOP);
+    const skip = Number(req.query.$skip || 0);
+    const value = items.slice(skip, skip + top);
+    const body = { value };
+    if (skip + top < items.length) {
+      const next = new URL(`${base(req)}${req.path}`);
+      for (const [k, v] of Object.entries(req.query)) next.searchParams.set(k, v);
+      next.searchParams.set("$skip", String(skip + top));
+      body["@odata.nextLink"] = next.toString();
+    }
+    return res.json(body);
+  }
+
+  const folderFor = (id) => folders.find(f => f.id.toLowerCase() === String(id).toLowerCase());
+
+  function listMessages(req, res, folderId) {
+    const filter = compileFilter(req.query.$filter);
+    if (!filter) return graphError(res, 400, "BadRequest", `Unsupported $filter: ${req.query.$filter}`);
+    if (req.query.$search && req.query.$orderby) return graphError(res, 400, "BadRequest", "$orderby is not supported with $search.");
+    const order = compileOrder(req.query.$orderby);
+    if (order === undefined) return graphError(res, 400, "BadRequest", `Unsupported $orderby: ${req.query.$orderby}`);
+
+    const search = compileSearch(req.query.$search);
+    let items = messages.filter(m => (!folderId || m.parentFolderId === folderId) && filter(m) && search(m));
+    if (order) items = [...items].sort(order);
+    return page(req, res, items);
+  }
+
+  const mailbox = express.Router();
+
+  mailbox.get("/messages", (req, res) => listMessages(req, res, null));
+
+  mailbox.get("/messages/:id", (req, res) => {
+    const m = messages.find(x => x.id === req.params.id);
+    return m ? res.json(m) : graphError(res, 404, "ErrorItemNotFound", "The specified object was not found in the store.");
+  });
+
+  mailbox.get("/mailFolders", (req, res) => page(req, res, folders.filter(f => f.parentFolderId === "root").map(withCounts)));
+
+  mailbox.get("/mailFolders/:id", (req, res) => {
+    const f = folderFor(req.params.id);
+    return f ? res.json(withCounts(f)) : graphError(res, 404, "ErrorItemNotFound", "The specified folder could not be found.");
+  });
+
+  mailbox.get("/mailFolders/:id/childFolders", (req, res) => {
+    const f = folderFor(req.params.id);
+    if (!f) return graphError(res, 404, "ErrorItemNotFound", "The specified folder could not be found.");
+    return page(req, res, folders.filter(x => x.parentFolderId === f.id).map(withCounts));
+  });
+
+  mailbox.get("/mailFolders/:id/messages", (req, res) => {
+    const f = folderFor(req.params.id);
+    return f ? listMessages(req, res, f.id) : graphError(res, 404, "ErrorItemNotFound", "The specified folder could not be found.");
+  });
+
+  function withCounts(f) {
+    const inFolder = messages.filter(m => m.parentFolderId === f.id);
+    return { ...f, totalItemCount: inFolder.length, unreadItemCount: inFolder.filter(m => !m.isRead).length };
+  }
+
+  router.use("/me", mailbox);
+  router.use("/users/:mailbox", mailbox);
+
+  // Sub-requests are answered by this same router, one after another.
+  router.post(/^\/\$batch$/, async (req, res) => {
+    const origin = `${req.protocol}://${req.get("host")}`;
+    const responses = [];
+    for (const r of req.body?.requests || []) {
+      if (String(r.method).toUpperCase() !== "GET") {
+        responses.push({ id: r.id, status: 405, body: { error: { code: "MethodNotAllowed", message: "The fake only batches GETs." } } });
+        continue;
+      }
+      const sub = await fetch(`${origin}${req.baseUrl}${r.url.startsWith("/") ? "" : "/"}${r.url}`, { headers: { Authorization: req.get("Authorization") } });
+      const retry = sub.headers.get("retry-after");
+      responses.push({ id: r.id, status: sub.status, headers: retry ? { "Retry-After": retry } : {}, body: await sub.json() });
+    }
+    res.json({ responses });
+  });
+
+  router.use((req, res) => graphError(res, 404, "NotFound", `The fake Graph doesn't serve ${req.method} ${req.path}.`));
+
+  app.use("/v1.0", router);
+
+  fake.app = app;
+  fake.listen = (port = 0) => new Promise((resolve) => {
+    const server = app.listen(port, () => resolve({
+      url: `http://localhost:${server.address().port}/v1.0`,
+      close: () => new Promise(r => server.close(r))
+    }));
+  });
+  return fake;
+}
+
+module.exports = { createFakeGraph, sampleMessages };
+
+if (require.main === module) {
+  const port = Number(process.env.FAKE_GRAPH_PORT || 4000);
+  createFakeGraph({
+    throttleEvery: process.env.FAKE_GRAPH_THROTTLE_EVERY,
+    errorEvery: process.env.FAKE_GRAPH_ERROR_EVERY
+  }).listen(port).then(({ url }) => console.log(`Fake Graph at ${url} (GRAPH_BASE_URL=${url})`));
+}
@@ -0,0 +1,110 @@
+/**
+ * folderCache.js
+ *
+ * Per-user folder tree (graph.listFolderTree) kept in memory, so folder-taking
+ * actions can accept a path like "Inbox/Clients/Acme" without walking the tree
+ * on every call.
+ *
+ * Resolution order for a folder reference:
+ *   1. a folder id we know
+ *   2. a well-known name (inbox, sentitems, archive, ...)
+ *   3. a path, case-insensitive; the first segment may be a well-known name, so
+ *      "inbox/Clients" works whatever the Inbox is called in the user's language
+ *   4. a display name that is unique across the whole tree
+ * A miss reloads the tree once before giving up, so folders created in Outlook a
+ * minute ago still resolve.
+ *
+ * Entries expire after FOLDER_CACHE_TTL_SECONDS (default 600) and are dropped
+ * by invalidate() whenever we change folders or their contents.
+ *
+ * `key` names whose folders these are: the account, plus the shared mailbox when
+ * one is targeted (`mailbox` is then passed on to Graph).
+ */
+
+const graph = require("./graph");
+
+const TTL_MS = Number(process.env.FOLDER_CACHE_TTL_SECONDS || 600) * 1000;
+
+const cache = new Map(); // key → { at, folders }
+
+/** Error with a stable `code` and HTTP `status`, mapped by the transports. */
+function folderError(code, status, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+
+async function load(key, access_token, mailbox) {
+  const folders = await graph.listFolderTree(access_token, mailbox);
+  const entry = { at: Date.now(), folders };
+  cache.set(key, entry);
+  return entry;
+}
+
+/** The mailbox's folders (flat, tree order), from cache unless stale or refresh=true. */
+async function getFolders(key, access_token, { refresh = false, mailbox } = {}) {
+  const hit = cache.get(key);
+  if (!refresh && hit && Date.now() - hit.at < TTL_MS) return hit.folders;
+  return (await load(key, access_token, mailbox)).folders;
+}
+
+function invalidate(key) {
+  cache.delete(key);
+}
+
+/** Look `ref` up in a folder list; returns the folder, null, or throws folder_ambiguous. */
+function find(folders, ref) {
+  const byId = folders.find(f => f.id === ref);
+  if (byId) return byId;
+
+  const key = norm(ref).replace(/^\/+|\/+$/g, "");
+  const wk = folders.find(f => f.wellKnownName === key);
+  if (wk) return wk;
+
+  const [first, ...rest] = key.split("/");
+  const root = folders.find(f => f.depth === 0 && (f.wellKnownName === first || norm(f.displayName) === first));
+  if (root) {
+    const path = [root.path, ...rest].join("/").toLowerCase();
+    const match = folders.find(f => f.path.toLowerCase() === path);
+    if (match) return match;
+  }
+  // Exact full-path match also covers display names that contain "/".
+  const byPath = folders.find(f => f.path.toLowerCase() === key);
+  if (byPath) return byPath;
+
+  const named = folders.filter(f => norm(f.displayName) === key);
+  if (named.length === 1) return named[0];
+  if (named.length > 1) {
+    throw folderError("folder_ambiguous", 409, `Several folders are named "${ref}"; use the full path.`, { candidates: named.map(f => f.path) });
+  }
+  return null;
+}
+
+/**
+ * Folder id, path or name → folder object. Throws folder_not_found (404) or
+ * folder_ambiguous (409).
+ */
+async function resolve(key, access_token, ref, { mailbox } = {}) {
+  let folder = find(await getFolders(key, access_token, { mailbox }), ref);
+  if (!folder) folder = find(await getFolders(key, access_token, { refresh: true, mailbox }), ref);
+  if (!folder) throw folderError("folder_not_found", 404, `No folder matches "${ref}". Use list_folders to see paths.`);
+  return folder;
+}
+
+/** Nest the flat list into { ...folder, children } nodes. */
+function toTree(folders) {
+  const nodes = new Map(folders.map(f => [f.id, { ...f, children: [] }]));
+  const roots = [];
+  for (const f of folders) {
+    const node = nodes.get(f.id);
+    const parent = f.depth > 0 ? nodes.get(f.parentFolderId) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+}
+
+module.exports = { getFolders, resolve, invalidate, toTree };
@@ -2,23 +2,71 @@
   * All Graph calls live here. I centralize retry/backoff and pagination so the rest
  * of the app can call these small helpers. Everything returns plain JSON the LLM can
  * easily consume.
+ *
+ * Every request goes through graphTape.js, which can record it or answer it from a
+ * tape; GRAPH_BASE_URL points the whole module at another server (e.g. fakeGraph.js).
+ *
+ * Env:
+ *   GRAPH_BASE_URL   Graph root (default https://graph.microsoft.com/v1.0)
  */
 
 const axios = require("axios");
+const audit = require("./audit"); // status codes and retries of the current tool call
+const graphTape = require("./graphTape");
+
+const GRAPH = (process.env.GRAPH_BASE_URL || "https://graph.microsoft.com/v1.0").replace(/\/+$/, "");
+
+/**
+ * Path root for a mailbox: the signed-in user's own (/me), or a shared or
+ * delegated one by UPN or id (/users/{mailbox}), which needs the *.Shared scopes.
+ */
+const root = (mailbox) => (mailbox ? `/users/${encodeURIComponent(mailbox)}` : "/me");
 
 /* -------------------- Helpers -------------------- */
 /**
  * GET with backoff on 429/5xx. We honor Retry-After seconds if provided; otherwise
  * exponential backoff: 1, 2, 4, 8, 16 (capped at 16).
+ * `extra` is merged into the axios config (e.g. responseType for binary downloads).
  */
-async function httpGetWithBackoff(url, headers, maxRetries = 4) {
+async function httpGetWithBackoff(url, headers, maxRetries = 4, extra = {}) {
   let attempt = 0;
   for (;;) {
     try {
-      return await axios.get(url, { headers, timeout: 30000 });
+      const resp = await graphTape.play({ method: "get", url }, () => axios.get(url, { headers, timeout: 30000, ...extra }), GRAPH);
+      audit.noteGraph(resp.status);
+      return resp;
     } catch (e) {
       const s = e.response?.status;
+      audit.noteGraph(s || "network");
       if ((s === 429 || s >= 500) && attempt < maxRetries) {
+        audit.noteRetry();
+        const retryAfter = Number(e.response?.headers?.["retry-after"]) || Math.min(2 ** attempt, 16);
+        await new Promise(r => setTimeout(r, retryAfter * 1000));
+        attempt++;
+        continue;
+      }
+      throw e;
+    }
+  }
+}
+
+/**
+ * POST/PATCH with backoff on 429 only. A throttled request was never executed, so it
+ * is safe to repeat; a 5xx on a write may already have taken effect (a sent mail),
+ * so those surface to the caller instead.
+ */
+async function httpWriteWithBackoff(method, url, headers, data, maxRetries = 4) {
+  let attempt = 0;
+  for (;;) {
+    try {
+      const resp = await graphTape.play({ method, url, data }, () =>
+        axios.request({ method, url, headers: { "Content-Type": "application/json", ...headers }, data, timeout: 30000 }), GRAPH);
+      audit.noteGraph(resp.status);
+      return resp;
+    } catch (e) {
+      audit.noteGraph(e.response?.status || "network");
+      if (e.response?.status === 429 && attempt < maxRetries) {
+        audit.noteRetry();
         const retryAfter = Number(e.response?.headers?.["retry-after"]) || Math.min(2 ** attempt, 16);
         await new Promise(r => setTimeout(r, retryAfter * 1000));
         attempt++;
@@ -37,7 +85,7 @@ async function* listCollection({ url, headers }) {
     for (const it of items) yield it;
     const next = resp.data?.["@odata.nextLink"];
     if (!next) break;
-    url = next; /
+    url = next;
   }
 }
 
@@ -62,89 +110,169 @@ function mapMsg(m) {
     from: m.from?.emailAddress?.address,
     subject: m.subject,
     preview: m.bodyPreview,
-    folderId: m.parentFolderId
+    folderId: m.parentFolderId,
+    hasAttachments: !!m.hasAttachments,
+    conversationId: m.conversationId
   };
 }
 
-/* -------------------- Readers (mailbox) -------------------- */
+/* -------------------- Listings & pages -------------------- */
 
-/** Latest messages across ALL folders (first N). */
-async function readLatest(access_token, top = 10) {
-  const url = new URL("https://graph.microsoft.com/v1.0/me/messages");
-  url.searchParams.set("$orderby", "receivedDateTime desc");
-  url.searchParams.set("$top", String(top));
-  url.searchParams.set("$select", "id,receivedDateTime,sentDateTime,createdDateTime,subject,bodyPreview,from,parentFolderId");
+const LIST_SELECT = "id,receivedDateTime,sentDateTime,createdDateTime,subject,bodyPreview,from,parentFolderId,hasAttachments,conversationId";
+const TEXT_BODY = 'outlook.body-content-type="text"';
 
-  const headers = { Authorization: `Bearer ${access_token}`, Prefer: 'outlook.body-content-type="text"' };
-
-  const out = [];
-  for await (const m of listMessages({ url: url.toString(), headers })) {
-    out.push(mapMsg(m));
-    if (out.length >= top) break;
-  }
-  return { results: out, count: out.length };
+function listUrl(path, params) {
+  const url = new URL(`${GRAPH}${path}`);
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+  return url.toString();
 }
 
-/** Latest from Sent Items (first N). */
-async function readSentLatest(access_token, top = 10) {
-  const url = new URL("https://graph.microsoft.com/v1.0/me/mailFolders/SentItems/messages");
-  url.searchParams.set("$orderby", "sentDateTime desc");
-  url.searchParams.set("$top", String(top));
-  url.searchParams.set("$select", "id,receivedDateTime,sentDateTime,createdDateTime,subject,bodyPreview,from,parentFolderId");
+/**
+ * First-page requests for every listing Graph itself orders. They carry no
+ * credentials, so a cursor can store one (or the nextLink it led to) and page on
+ * later. `pageSize` becomes $top; `map` names the item mapper; `mailbox` (optional)
+ * targets a shared or delegated mailbox instead of /me.
+ */
+const listings = {
+  latest: ({ mailbox, pageSize = 100 } = {}) => ({
+    url: listUrl(`${root(mailbox)}/messages`, { $orderby: "receivedDateTime desc", $top: pageSize, $select: LIST_SELECT }),
+    prefer: TEXT_BODY, map: "message"
+  }),
+  sent: ({ mailbox, pageSize = 100 } = {}) => ({
+    url: listUrl(`${root(mailbox)}/mailFolders/SentItems/messages`, { $orderby: "sentDateTime desc", $top: pageSize, $select: LIST_SELECT }),
+    prefer: TEXT_BODY, map: "message"
+  }),
+  folder: ({ mailbox, folderId, pageSize = 100 }) => ({
+    url: listUrl(`${root(mailbox)}/mailFolders/${encodeURIComponent(folderId)}/messages`, { $orderby: "receivedDateTime desc", $top: pageSize, $select: LIST_SELECT }),
+    prefer: TEXT_BODY, map: "message"
+  }),
+  dateRange: ({ mailbox, startIso, endIso, pageSize = 100 }) => ({
+    url: listUrl(`${root(mailbox)}/messages`, {
+      $filter: `receivedDateTime ge ${startIso} and receivedDateTime le ${endIso}`,
+      $orderby: "receivedDateTime desc", $top: pageSize, $select: LIST_SELECT
+    }),
+    prefer: TEXT_BODY, map: "message"
+  }),
+  // Sent Items by send time, with recipients (analytics)
+  sentRange: ({ mailbox, startIso, endIso, pageSize = 100 }) => ({
+    url: listUrl(`${root(mailbox)}/mailFolders/SentItems/messages`, {
+      $filter: `sentDateTime ge ${startIso} and sentDateTime le ${endIso}`,
+      $orderby: "sentDateTime desc", $top: pageSize, $select: `${LIST_SELECT},toRecipients,ccRecipients`
+    }),
+    prefer: TEXT_BODY, map: "sent"
+  }),
+  // query action, filter mode (see query.js)
+  query: ({ mailbox, folder, filter, pageSize = 100 }) => ({
+    url: listUrl(folder ? `${root(mailbox)}/mailFolders/${encodeURIComponent(folder)}/messages` : `${root(mailbox)}/messages`, {
+      $filter: filter, $orderby: "receivedDateTime desc", $top: pageSize, $select: QUERY_SELECT
+    }),
+    prefer: TEXT_BODY, map: "queried"
+  }),
+  // query action, search mode (relevance order; the caller sorts)
+  search: ({ mailbox, folder, search, pageSize = 100 }) => ({
+    url: listUrl(folder ? `${root(mailbox)}/mailFolders/${encodeURIComponent(folder)}/messages` : `${root(mailbox)}/messages`, {
+      $search: `"${search.replace(/"/g, '\\"')}"`, $top: pageSize, $select: QUERY_SELECT
+    }),
+    prefer: TEXT_BODY, consistency: "eventual", map: "queried"
+  }),
+  events: ({ mailbox, startIso, endIso, tz = "UTC", pageSize = 100 }) => ({
+    url: listUrl(`${root(mailbox)}/calendarView`, {
+      startDateTime: startIso, endDateTime: endIso, $orderby: "start/dateTime", $top: pageSize, $select: EVENT_SELECT.join(",")
+    }),
+    prefer: `outlook.timezone="${tz}"`, map: "event"
+  })
+};
 
-  const headers = { Authorization: `Bearer ${access_token}`, Prefer: 'outlook.body-content-type="text"' };
+const QUERY_SELECT = `${LIST_SELECT},toRecipients,ccRecipients,isRead,importance,flag,categories`;
+
+const MAPPERS = {
+  message: (m) => mapMsg(m),
+  queried: (m) => ({ ...mapMsg(m), isRead: m.isRead, importance: m.importance, flagStatus: m.flag?.flagStatus, categories: m.categories || [] }),
+  sent: (m) => ({
+    ...mapMsg(m),
+    to: (m.toRecipients || []).map(r => r.emailAddress?.address).filter(Boolean),
+    cc: (m.ccRecipients || []).map(r => r.emailAddress?.address).filter(Boolean)
+  }),
+  event: (e) => mapEvent(e)
+};
+
+const listingHeaders = (access_token, listing) => ({
+  Authorization: `Bearer ${access_token}`,
+  Prefer: listing.prefer,
+  ...(listing.consistency ? { ConsistencyLevel: listing.consistency } : {})
+});
 
+/** Every item of a listing, following nextLinks, up to max. */
+async function collect(access_token, listing, max) {
+  const headers = listingHeaders(access_token, listing);
+  const map = MAPPERS[listing.map];
   const out = [];
-  for await (const m of listMessages({ url: url.toString(), headers })) {
-    out.push(mapMsg(m));
-    if (out.length >= top) break;
+  for await (const item of listMessages({ url: listing.url, headers })) {
+    out.push(map(item));
+    if (out.length >= max) break;
   }
-  return { results: out, count: out.length };
+  return out;
 }
 
-/** Whole mailbox (deep paginate) up to `max`. */
-async function readAllMailbox({ access_token, max = 1000 }) {
-  let url = new URL("https://graph.microsoft.com/v1.0/me/messages");
-  url.searchParams.set("$orderby", "receivedDateTime desc");
-  url.searchParams.set("$top", "100");
-  url.searchParams.set("$select", "id,receivedDateTime,sentDateTime,createdDateTime,subject,bodyPreview,from,parentFolderId");
+/**
+ * One page for cursor pagination: pageSize items starting `skip` items into the
+ * Graph page at `listing.url`. `next` is { url, skip } to continue from (the same
+ * Graph page when it had more than we returned), or null at the end.
+ */
+async function fetchPage({ access_token, listing, skip = 0, pageSize }) {
+  const headers = listingHeaders(access_token, listing);
+  const map = MAPPERS[listing.map];
+  const items = [];
+  let url = listing.url;
+  while (url) {
+    const resp = await httpGetWithBackoff(url, headers);
+    const values = resp.data?.value || [];
+    const nextLink = resp.data?.["@odata.nextLink"] || null;
+    for (let i = skip; i < values.length; i++) {
+      items.push(map(values[i]));
+      if (items.length >= pageSize) {
+        const next = i + 1 < values.length ? { url, skip: i + 1 } : (nextLink ? { url: nextLink, skip: 0 } : null);
+        return { items, next };
+      }
+    }
+    url = nextLink;
+    skip = 0;
+  }
+  return { items, next: null };
+}
 
-  const headers = { Authorization: `Bearer ${access_token}`, Prefer: 'outlook.body-content-type="text"' };
+/* -------------------- Readers (mailbox) -------------------- */
 
-  const out = [];
-  for await (const m of listMessages({ url: url.toString(), headers })) {
-    out.push(mapMsg(m));
-    if (out.length >= max) break;
-  }
+/** Latest messages across ALL folders (first N). */
+async function readLatest(access_token, top = 10, mailbox) {
+  const out = await collect(access_token, listings.latest({ mailbox, pageSize: top }), top);
   return { results: out, count: out.length };
 }
 
-/** Specific folder by display name (OK, but localized). Prefer readFolderByIdAll. */
-async function readFolderAll({ access_token, folderName = "Inbox", max = 1000 }) {
-  const enc = encodeURIComponent(folderName);
-  let url = new URL(`https://graph.microsoft.com/v1.0/me/mailFolders/${enc}/messages`);
-  url.searchParams.set("$orderby", "receivedDateTime desc");
-  url.searchParams.set("$top", "100");
-  url.searchParams.set("$select", "id,receivedDateTime,sentDateTime,createdDateTime,subject,bodyPreview,from,parentFolderId");
+/** Latest from Sent Items (first N). */
+async function readSentLatest(access_token, top = 10, mailbox) {
+  const out = await collect(access_token, listings.sent({ mailbox, pageSize: top }), top);
+  return { results: out, count: out.length };
+}
 
-  const headers = { Authorization: `Bearer ${access_token}`, Prefer: 'outlook.body-content-type="text"' };
+/** Whole mailbox (deep paginate) up to `max`. */
+async function readAllMailbox({ access_token, mailbox, max = 1000 }) {
+  const out = await collect(access_token, listings.latest({ mailbox }), max);
+  return { results: out, count: out.length };
+}
 
-  const out = [];
-  for await (const m of listMessages({ url: url.toString(), headers })) {
-    out.push(mapMsg(m));
-    if (out.length >= max) break;
-  }
+/** Specific folder by display name (OK, but localized). Prefer readFolderByIdAll. */
+async function readFolderAll({ access_token, mailbox, folderName = "Inbox", max = 1000 }) {
+  const out = await collect(access_token, listings.folder({ mailbox, folderId: folderName }), max);
   return { results: out, count: out.length, folder: folderName };
 }
 
-
-
 /** AQS/keyword search (first N). */
-async function searchAllMail({ access_token, query, top = 50 }) {
-  let url = new URL("https://graph.microsoft.com/v1.0/me/messages");
+async function searchAllMail({ access_token, mailbox, query, top = 50 }) {
+  let url = new URL(`${GRAPH}${root(mailbox)}/messages`);
   url.searchParams.set("$search", `"${query}"`);
   url.searchParams.set("$top", String(Math.min(top, 100)));
-  url.searchParams.set("$select", "id,receivedDateTime,subject,bodyPreview,from,parentFolderId");
+  url.searchParams.set("$select", "id,receivedDateTime,subject,bodyPreview,from,parentFolderId,hasAttachments,conversationId");
 
   const headers = {
     Authorization: `Bearer ${access_token}`,
@@ -172,11 +300,11 @@ async function searchAllMail({ access_token, query, top = 50 }) {
 
 
 /** Deep AQS (all pages up to max). */
-async function searchAllMailAllPages({ access_token, query, max = 1000 }) {
-  let url = new URL("https://graph.microsoft.com/v1.0/me/messages");
+async function searchAllMailAllPages({ access_token, mailbox, query, max = 1000 }) {
+  let url = new URL(`${GRAPH}${root(mailbox)}/messages`);
   url.searchParams.set("$search", `"${query}"`);
   url.searchParams.set("$top", "100");
-  url.searchParams.set("$select", "id,receivedDateTime,subject,bodyPreview,from,parentFolderId");
+  url.searchParams.set("$select", "id,receivedDateTime,subject,bodyPreview,from,parentFolderId,hasAttachments,conversationId");
 
   const headers = {
     Authorization: `Bearer ${access_token}`,
@@ -199,20 +327,14 @@ async function searchAllMailAllPages({ access_token, query, max = 1000 }) {
 }
 
 /** Absolute date window (ALL folders). */
-async function filterAllMailByDate({ access_token, startIso, endIso, top = 200 }) {
-  const url = new URL("https://graph.microsoft.com/v1.0/me/messages");
-  url.searchParams.set("$filter", `receivedDateTime ge ${startIso} and receivedDateTime le ${endIso}`);
-  url.searchParams.set("$orderby", "receivedDateTime desc");
-  url.searchParams.set("$top", String(top));
-  url.searchParams.set("$select", "id,receivedDateTime,subject,bodyPreview,from,parentFolderId");
-
-  const headers = { Authorization: `Bearer ${access_token}`, Prefer: 'outlook.body-content-type="text"' };
+async function filterAllMailByDate({ access_token, mailbox, startIso, endIso, top = 200 }) {
+  const out = await collect(access_token, listings.dateRange({ mailbox, startIso, endIso, pageSize: Math.min(top, 1000) }), top);
+  return { results: out, count: out.length };
+}
 
-  const out = [];
-  for await (const m of listMessages({ url: url.toString(), headers })) {
-    out.push(mapMsg(m));
-    if (out.length >= top) break;
-  }
+/** Sent Items within a send-time window, newest first, with to/cc addresses. */
+async function filterSentByDate({ access_token, mailbox, startIso, endIso, top = 200 }) {
+  const out = await collect(access_token, listings.sentRange({ mailbox, startIso, endIso, pageSize: Math.min(top, 1000) }), top);
   return { results: out, count: out.length };
 }
 
@@ -220,16 +342,16 @@ async function filterAllMailByDate({ access_token, startIso, endIso, top = 200 }
 
 /** Exact sender email (exhaustive crawl via $filter). */
 
-async function searchBySenderEmail({ access_token, email, limit = 2000, startIso, endIso }) {
+async function searchBySenderEmail({ access_token, mailbox, email, limit = 2000, startIso, endIso }) {
   if (!email) throw new Error("email is required");
   let filter = `from/emailAddress/address eq '${email.replace(/'/g, "''")}'`;
   if (startIso && endIso) {
     filter += ` and receivedDateTime ge ${startIso} and receivedDateTime le ${endIso}`;
   }
 
-  let url = new URL("https://graph.microsoft.com/v1.0/me/messages");
+  let url = new URL(`${GRAPH}${root(mailbox)}/messages`);
   url.searchParams.set("$filter", filter);
-  url.searchParams.set("$select", "id,receivedDateTime,subject,bodyPreview,from,parentFolderId");
+  url.searchParams.set("$select", "id,receivedDateTime,subject,bodyPreview,from,parentFolderId,hasAttachments,conversationId");
   url.searchParams.set("$top", "100");
 
   const headers = { Authorization: `Bearer ${access_token}`, Prefer: 'outlook.body-content-type="text"' };
@@ -258,11 +380,12 @@ async function searchBySenderEmail({ access_token, email, limit = 2000, startIso
  * 2) Collect unique From: addresses
  * 3) For each discovered address, run exact-email crawl to fetch complete history
  */
-async function searchSenderByNameBootstrap({ access_token, name, maxAqs = 300, perSenderLimit = 2000 }) {
+async function searchSenderByNameBootstrap({ access_token, mailbox, name, maxAqs = 300, perSenderLimit = 2000 }) {
   if (!name) throw new Error("name is required");
 
   const aqs = await searchAllMailAllPages({
     access_token,
+    mailbox,
     query: `from:${name}`,
     max: maxAqs
   });
@@ -276,7 +399,7 @@ async function searchSenderByNameBootstrap({ access_token, name, maxAqs = 300, p
 
   const all = [];
   for (const email of senders) {
-    const res = await searchBySenderEmail({ access_token, email, limit: perSenderLimit });
+    const res = await searchBySenderEmail({ access_token, mailbox, email, limit: perSenderLimit });
     all.push(...res.results);
   }
 
@@ -288,13 +411,354 @@ async function searchSenderByNameBootstrap({ access_token, name, maxAqs = 300, p
   return { results: uniq, count: uniq.length, discoveredSenders: Array.from(senders) };
 }
 
+/* -------------------- Structured query -------------------- */
+
+/**
+ * Run a plan from query.js compileQuery(). Filter mode pages newest-first and
+ * stops at `max`. Search mode scans up to `maxScan` hits, keeps those passing
+ * keep(rawMessage) and returns the newest `max` (Graph can't $orderby with $search).
+ */
+async function queryMessages({ access_token, mailbox, folder, filter, search, keep, max = 100, maxScan = 1000 }) {
+  const listing = search ? listings.search({ mailbox, folder, search }) : listings.query({ mailbox, folder, filter });
+  const headers = listingHeaders(access_token, listing);
+
+  const out = [];
+  let scanned = 0;
+  for await (const m of listMessages({ url: listing.url, headers })) {
+    scanned++;
+    if (!keep || keep(m)) out.push(MAPPERS.queried(m));
+    // $search comes back by relevance, so keep scanning and take the newest afterwards.
+    if (search ? scanned >= maxScan : out.length >= max) break;
+  }
+  if (search) {
+    out.sort((a, b) => (a.received < b.received ? 1 : -1));
+    out.length = Math.min(out.length, max);
+  }
+  return { results: out, count: out.length, scanned };
+}
+
+/* -------------------- Single message -------------------- */
+
+const recipients = (list) => (list || []).map(r => ({ name: r.emailAddress?.name, address: r.emailAddress?.address }));
+
+/**
+ * One message in full: HTML body (converted by the caller), recipients, flags,
+ * internet headers and attachment metadata (no content bytes).
+ */
+async function getMessage({ access_token, mailbox, id }) {
+  if (!id) throw new Error("id is required");
+  const base = `${GRAPH}${root(mailbox)}/messages/${encodeURIComponent(id)}`;
+  const headers = { Authorization: `Bearer ${access_token}`, Prefer: 'outlook.body-content-type="html"' };
+
+  const url = new URL(base);
+  url.searchParams.set("$select", [
+    "id", "receivedDateTime", "sentDateTime", "subject", "body", "bodyPreview", "from", "sender", "replyTo",
+    "toRecipients", "ccRecipients", "bccRecipients", "importance", "isRead", "isDraft", "categories",
+    "conversationId", "parentFolderId", "hasAttachments", "internetMessageId", "internetMessageHeaders", "webLink"
+  ].join(","));
+  const m = (await httpGetWithBackoff(url.toString(), headers)).data;
+
+  const attachments = m.hasAttachments ? await listAttachments({ access_token, mailbox, messageId: id }) : [];
+
+  return {
+    id: m.id,
+    received: m.receivedDateTime,
+    sent: m.sentDateTime,
+    subject: m.subject,
+    from: m.from?.emailAddress?.address,
+    fromName: m.from?.emailAddress?.name,
+    sender: m.sender?.emailAddress?.address,
+    replyTo: recipients(m.replyTo),
+    to: recipients(m.toRecipients),
+    cc: recipients(m.ccRecipients),
+    bcc: recipients(m.bccRecipients),
+    importance: m.importance,
+    isRead: m.isRead,
+    isDraft: m.isDraft,
+    categories: m.categories || [],
+    conversationId: m.conversationId,
+    internetMessageId: m.internetMessageId,
+    internetMessageHeaders: m.internetMessageHeaders || [],
+    folderId: m.parentFolderId,
+    webLink: m.webLink,
+    body: { contentType: m.body?.contentType, content: m.body?.content || "" },
+    attachments
+  };
+}
+
+/* -------------------- Conversations -------------------- */
+
+/**
+ * Every message of a conversation across ALL folders (Inbox, Sent Items, archives...).
+ * Pass conversationId, or a messageId to look it up. Graph rejects $orderby together
+ * with a conversationId filter, so callers sort; drafts are skipped.
+ */
+async function getConversation({ access_token, mailbox, conversationId, messageId, max = 100 }) {
+  const headers = { Authorization: `Bearer ${access_token}`, Prefer: 'outlook.body-content-type="html"' };
+
+  if (!conversationId) {
+    if (!messageId) throw new Error("conversationId or messageId is required");
+    const u = new URL(`${GRAPH}${root(mailbox)}/messages/${encodeURIComponent(messageId)}`);
+    u.searchParams.set("$select", "conversationId");
+    conversationId = (await httpGetWithBackoff(u.toString(), headers)).data?.conversationId;
+  }
+
+  const url = new URL(`${GRAPH}${root(mailbox)}/messages`);
+  url.searchParams.set("$filter", `conversationId eq '${conversationId.replace(/'/g, "''")}'`);
+  url.searchParams.set("$top", "50");
+  url.searchParams.set("$select", [
+    "id", "receivedDateTime", "sentDateTime", "subject", "from", "toRecipients", "ccRecipients",
+    "body", "uniqueBody", "parentFolderId", "isDraft", "hasAttachments", "importance"
+  ].join(","));
+
+  const messages = [];
+  for await (const m of listMessages({ url: url.toString(), headers })) {
+    if (m.isDraft) continue;
+    messages.push({
+      id: m.id,
+      received: m.receivedDateTime,
+      sent: m.sentDateTime,
+      subject: m.subject,
+      from: m.from?.emailAddress?.address,
+      fromName: m.from?.emailAddress?.name,
+      to: recipients(m.toRecipients),
+      cc: recipients(m.ccRecipients),
+      folderId: m.parentFolderId,
+      hasAttachments: !!m.hasAttachments,
+      importance: m.importance,
+      body: { contentType: m.body?.contentType, content: m.body?.content || "" },
+      uniqueBody: { contentType: m.uniqueBody?.contentType, content: m.uniqueBody?.content || "" }
+    });
+    if (messages.length >= max) break;
+  }
+  return { conversationId, messages };
+}
+
+/* -------------------- Attachments -------------------- */
+
+/** Attachment metadata in our compact shape; kind is fileAttachment | itemAttachment | referenceAttachment. */
+function mapAttachment(a) {
+  return {
+    id: a.id,
+    name: a.name,
+    size: a.size,
+    contentType: a.contentType,
+    isInline: !!a.isInline,
+    kind: (a["@odata.type"] || "").replace("#microsoft.graph.", ""),
+    lastModified: a.lastModifiedDateTime
+  };
+}
+
+/** All attachments on a message (metadata only, no content bytes). */
+async function listAttachments({ access_token, mailbox, messageId }) {
+  if (!messageId) throw new Error("messageId is required");
+  const url = new URL(`${GRAPH}${root(mailbox)}/messages/${encodeURIComponent(messageId)}/attachments`);
+  url.searchParams.set("$select", "id,name,size,contentType,isInline,lastModifiedDateTime");
+  const headers = { Authorization: `Bearer ${access_token}` };
+
+  const out = [];
+  for await (const a of listCollection({ url: url.toString(), headers })) out.push(mapAttachment(a));
+  return out;
+}
+
+/** One attachment's metadata (without contentBytes). */
+async function getAttachmentMeta({ access_token, mailbox, messageId, attachmentId }) {
+  const url = new URL(`${GRAPH}${root(mailbox)}/messages/${encodeURIComponent(messageId)}/attachments/${encodeURIComponent(attachmentId)}`);
+  url.searchParams.set("$select", "id,name,size,contentType,isInline,lastModifiedDateTime");
+  const resp = await httpGetWithBackoff(url.toString(), { Authorization: `Bearer ${access_token}` });
+  return mapAttachment(resp.data);
+}
+
+/**
+ * Raw attachment bytes via /$value. File attachments come back as the file itself,
+ * item attachments (embedded emails) as MIME. Refuses bodies larger than maxBytes.
+ */
+async function downloadAttachment({ access_token, mailbox, messageId, attachmentId, maxBytes }) {
+  const url = `${GRAPH}${root(mailbox)}/messages/${encodeURIComponent(messageId)}/attachments/${encodeURIComponent(attachmentId)}/$value`;
+  const resp = await httpGetWithBackoff(url, { Authorization: `Bearer ${access_token}` }, 4, {
+    responseType: "arraybuffer",
+    maxContentLength: maxBytes,
+    timeout: 120000
+  });
+  return Buffer.from(resp.data);
+}
+
+/* -------------------- Drafts & sending -------------------- */
+
+const toGraphRecipients = (list) => (list || []).map(address => ({ emailAddress: { address } }));
+const messageUrl = (mailbox, id, action = "") =>
+  `${GRAPH}${root(mailbox)}/messages/${encodeURIComponent(id)}${action ? `/${action}` : ""}`;
+
+/** New draft in Drafts. Nothing is sent. Returns { id }. */
+async function createDraft({ access_token, mailbox, subject, body, bodyType = "text", to, cc, bcc, importance }) {
+  const resp = await httpWriteWithBackoff("post", `${GRAPH}${root(mailbox)}/messages`, { Authorization: `Bearer ${access_token}` }, {
+    subject: subject || "",
+    body: { contentType: bodyType, content: body || "" },
+    toRecipients: toGraphRecipients(to),
+    ccRecipients: toGraphRecipients(cc),
+    bccRecipients: toGraphRecipients(bcc),
+    ...(importance ? { importance } : {})
+  });
+  return { id: resp.data.id };
+}
+
+/**
+ * Reply / reply-all draft for messageId, with `comment` above the quoted original.
+ * Returns { id } of the new draft; nothing is sent.
+ */
+async function createReply({ access_token, mailbox, messageId, all = false, comment }) {
+  if (!messageId) throw new Error("messageId is required");
+  const resp = await httpWriteWithBackoff("post", messageUrl(mailbox, messageId, all ? "createReplyAll" : "createReply"),
+    { Authorization: `Bearer ${access_token}` }, { comment: comment || "" });
+  return { id: resp.data.id };
+}
+
+/** Forward draft for messageId to `to`. Returns { id }; nothing is sent. */
+async function createForward({ access_token, mailbox, messageId, to, comment }) {
+  if (!messageId) throw new Error("messageId is required");
+  const resp = await httpWriteWithBackoff("post", messageUrl(mailbox, messageId, "createForward"),
+    { Authorization: `Bearer ${access_token}` }, { comment: comment || "", toRecipients: toGraphRecipients(to) });
+  return { id: resp.data.id };
+}
+
+/** Permanently delete a draft (one this server just created and won't offer for sending). */
+async function deleteDraft({ access_token, mailbox, id }) {
+  if (!id) throw new Error("id is required");
+  await httpWriteWithBackoff("delete", messageUrl(mailbox, id), { Authorization: `Bearer ${access_token}` });
+}
+
+/** Send an existing draft (Graph answers 202 with no body). */
+async function sendDraft({ access_token, mailbox, id }) {
+  if (!id) throw new Error("id is required");
+  await httpWriteWithBackoff("post", messageUrl(mailbox, id, "send"), { Authorization: `Bearer ${access_token}` });
+  return { id, sent: true };
+}
+
+/* -------------------- $batch -------------------- */
+
+const BATCH_SIZE = 20; // Graph's limit per $batch call
+
+/**
+ * Run many sub-requests through /$batch, 20 per call.
+ * requests: [{ method, url: "/me/messages/..." (or "/users/{mailbox}/..."), body? }]
+ * Resolves to [{ status, body }] in the same order. Throttled sub-requests (429, or
+ * 503 with Retry-After) are resent together after the longest Retry-After, same
+ * schedule as httpGetWithBackoff; whatever is still throttled afterwards is
+ * returned as-is.
+ */
+async function batchRequests({ access_token, requests, maxRetries = 4 }) {
+  const headers = { Authorization: `Bearer ${access_token}` };
+  const results = new Array(requests.length);
+
+  for (let start = 0; start < requests.length; start += BATCH_SIZE) {
+    let pending = requests.slice(start, start + BATCH_SIZE).map((r, i) => start + i);
+
+    for (let attempt = 0; pending.length; attempt++) {
+      const body = {
+        requests: pending.map(idx => {
+          const r = requests[idx];
+          return {
+            id: String(idx),
+            method: r.method,
+            url: r.url,
+            ...(r.body !== undefined ? { body: r.body, headers: { "Content-Type": "application/json" } } : {})
+          };
+        })
+      };
+      const resp = await httpWriteWithBackoff("post", `${GRAPH}/$batch`, headers, body);
+
+      const throttled = [];
+      let wait = 0;
+      for (const r of resp.data?.responses || []) {
+        const idx = Number(r.id);
+        const retryAfter = Number(r.headers?.["Retry-After"] ?? r.headers?.["retry-after"]);
+        results[idx] = { status: r.status, body: r.body };
+        audit.noteGraph(r.status);
+        if ((r.status === 429 || (r.status === 503 && retryAfter)) && attempt < maxRetries) {
+          audit.noteRetry();
+          throttled.push(idx);
+          wait = Math.max(wait, retryAfter || Math.min(2 ** attempt, 16));
+        }
+      }
+      pending = throttled;
+      if (pending.length) await new Promise(r => setTimeout(r, wait * 1000));
+    }
+  }
+  return results;
+}
+
+/* -------------------- Calendar -------------------- */
+
+const EVENT_SELECT = [
+  "id", "subject", "start", "end", "isAllDay", "location", "organizer", "attendees", "showAs", "isCancelled",
+  "responseStatus", "type", "seriesMasterId", "isOnlineMeeting", "onlineMeetingProvider", "onlineMeeting",
+  "onlineMeetingUrl", "webLink", "bodyPreview", "importance", "sensitivity"
+];
+
+/**
+ * Normalize a Graph event. Times come back in the zone asked for with
+ * Prefer: outlook.timezone, without an offset; we keep them as-is plus the zone.
+ */
+function mapEvent(e) {
+  return {
+    id: e.id,
+    subject: e.subject,
+    start: e.start?.dateTime,
+    end: e.end?.dateTime,
+    timeZone: e.start?.timeZone,
+    isAllDay: !!e.isAllDay,
+    location: e.location?.displayName || null,
+    organizer: e.organizer?.emailAddress?.address,
+    showAs: e.showAs,
+    isCancelled: !!e.isCancelled,
+    myResponse: e.responseStatus?.response,
+    type: e.type, // singleInstance | occurrence | exception | seriesMaster
+    seriesMasterId: e.seriesMasterId || null,
+    attendees: (e.attendees || []).map(a => ({
+      address: a.emailAddress?.address,
+      name: a.emailAddress?.name,
+      type: a.type,
+      response: a.status?.response
+    })),
+    onlineMeetingUrl: e.onlineMeeting?.joinUrl || e.onlineMeetingUrl || null,
+    onlineMeetingProvider: e.isOnlineMeeting ? e.onlineMeetingProvider : null,
+    preview: e.bodyPreview,
+    webLink: e.webLink
+  };
+}
+
+/**
+ * Events overlapping [startIso, endIso] from /me/calendarView, which expands
+ * recurring series into their occurrences. Sorted by start.
+ */
+async function listEvents({ access_token, mailbox, startIso, endIso, tz = "UTC", max = 500 }) {
+  return collect(access_token, listings.events({ mailbox, startIso, endIso, tz }), max);
+}
+
+/** One event with its HTML body (converted by the caller). */
+async function getEvent({ access_token, mailbox, id, tz = "UTC" }) {
+  if (!id) throw new Error("id is required");
+  const url = new URL(`${GRAPH}${root(mailbox)}/events/${encodeURIComponent(id)}`);
+  url.searchParams.set("$select", [...EVENT_SELECT, "body", "recurrence"].join(","));
+  const headers = {
+    Authorization: `Bearer ${access_token}`,
+    Prefer: `outlook.timezone="${tz}", outlook.body-content-type="html"`
+  };
+  const e = (await httpGetWithBackoff(url.toString(), headers)).data;
+  return {
+    ...mapEvent(e),
+    recurrence: e.recurrence || null,
+    body: { contentType: e.body?.contentType, content: e.body?.content || "" }
+  };
+}
+
 /* -------------------- Folders & Search Folders -------------------- */
 
-/** List ALL folders (names & ids). */
-async function listAllFolders(access_token) {
-  let url = new URL("https://graph.microsoft.com/v1.0/me/mailFolders");
+/** Top-level folders (names & ids). See listFolderTree for the nested ones. */
+async function listAllFolders(access_token, mailbox) {
+  let url = new URL(`${GRAPH}${root(mailbox)}/mailFolders`);
   url.searchParams.set("$top", "100");
-  url.searchParams.set("$select", "id,displayName,childFolderCount,totalItemCount,unreadItemCount");
+  url.searchParams.set("$select", "id,displayName,parentFolderId,childFolderCount,totalItemCount,unreadItemCount");
 
   const headers = { Authorization: `Bearer ${access_token}` };
 
@@ -306,22 +770,112 @@ async function listAllFolders(access_token) {
   return out;
 }
 
-/** Read messages from a folder by its opaque ID (recommended). */
-async function readFolderByIdAll({ access_token, folderId, max = 1000 }) {
-  if (!folderId) throw new Error("folderId is required");
-
-  let url = new URL(`https://graph.microsoft.com/v1.0/me/mailFolders/${encodeURIComponent(folderId)}/messages`);
-  url.searchParams.set("$orderby", "receivedDateTime desc");
+/** Direct children of a folder. */
+async function listChildFolders({ access_token, mailbox, folderId }) {
+  const url = new URL(`${GRAPH}${root(mailbox)}/mailFolders/${encodeURIComponent(folderId)}/childFolders`);
   url.searchParams.set("$top", "100");
-  url.searchParams.set("$select", "id,receivedDateTime,sentDateTime,createdDateTime,subject,bodyPreview,from,parentFolderId");
+  url.searchParams.set("$select", "id,displayName,parentFolderId,childFolderCount,totalItemCount,unreadItemCount");
+  const out = [];
+  for await (const f of listCollection({ url: url.toString(), headers: { Authorization: `Bearer ${access_token}` } })) out.push(f);
+  return out;
+}
 
-  const headers = { Authorization: `Bearer ${access_token}`, Prefer: 'outlook.body-content-type="text"' };
+// Well-known folder names Graph accepts in place of an id.
+const WELL_KNOWN_FOLDERS = [
+  "inbox", "drafts", "sentitems", "deleteditems", "junkemail", "archive", "outbox",
+  "conversationhistory", "scheduled", "clutter", "recoverableitemsdeletions"
+];
+
+/**
+ * Every mail folder, children included, as a flat list in tree order:
+ * { id, displayName, parentFolderId, path, depth, wellKnownName, childFolderCount,
+ *   totalItemCount, unreadItemCount }. Paths are display names joined with "/".
+ */
+async function listFolderTree(access_token, mailbox) {
+  // Which ids are the well-known folders? One $batch instead of eleven GETs.
+  const wk = await batchRequests({
+    access_token,
+    requests: WELL_KNOWN_FOLDERS.map(name => ({ method: "GET", url: `${root(mailbox)}/mailFolders/${name}?$select=id` }))
+  });
+  const wellKnownById = new Map();
+  wk.forEach((r, i) => { if (r?.status === 200 && r.body?.id) wellKnownById.set(r.body.id, WELL_KNOWN_FOLDERS[i]); });
 
   const out = [];
-  for await (const m of listMessages({ url: url.toString(), headers })) {
-    out.push(mapMsg(m));
-    if (out.length >= max) break;
+  const visit = async (folders, parentPath, depth) => {
+    folders.sort((a, b) => (a.displayName || "").localeCompare(b.displayName || ""));
+    for (const f of folders) {
+      const path = parentPath ? `${parentPath}/${f.displayName}` : f.displayName;
+      out.push({
+        id: f.id,
+        displayName: f.displayName,
+        parentFolderId: f.parentFolderId,
+        path,
+        depth,
+        wellKnownName: wellKnownById.get(f.id) || null,
+        childFolderCount: f.childFolderCount,
+        totalItemCount: f.totalItemCount,
+        unreadItemCount: f.unreadItemCount
+      });
+      if (f.childFolderCount > 0) await visit(await listChildFolders({ access_token, mailbox, folderId: f.id }), path, depth + 1);
+    }
+  };
+  await visit(await listAllFolders(access_token, mailbox), "", 0);
+  return out;
+}
+
+/* -------------------- Delta sync -------------------- */
+
+const DELTA_SELECT = "id,receivedDateTime,sentDateTime,createdDateTime,subject,bodyPreview,body,from,parentFolderId,hasAttachments,conversationId,isRead,isDraft";
+
+/**
+ * One round of /messages/delta for a folder. Starts from deltaLink when given,
+ * otherwise does the initial full enumeration. Each page of changes is handed to
+ * onPage(items) (removed items carry `@removed`); resolves to the next deltaLink.
+ * A deltaLink the server no longer accepts throws with code "delta_expired".
+ */
+async function syncFolderDelta({ access_token, mailbox, folderId, deltaLink, onPage }) {
+  let url = deltaLink;
+  if (!url) {
+    const u = new URL(`${GRAPH}${root(mailbox)}/mailFolders/${encodeURIComponent(folderId)}/messages/delta`);
+    u.searchParams.set("$select", DELTA_SELECT);
+    url = u.toString();
+  }
+  const headers = {
+    Authorization: `Bearer ${access_token}`,
+    Prefer: 'outlook.body-content-type="text", odata.maxpagesize=100'
+  };
+
+  for (;;) {
+    let resp;
+    try {
+      resp = await httpGetWithBackoff(url, headers);
+    } catch (e) {
+      const code = String(e.response?.data?.error?.code || "");
+      if (deltaLink && (e.response?.status === 410 || /syncState/i.test(code))) {
+        const err = new Error(`Delta token for folder ${folderId} expired`);
+        err.code = "delta_expired";
+        throw err;
+      }
+      throw e;
+    }
+    await onPage(resp.data?.value || []);
+    if (resp.data?.["@odata.deltaLink"]) return resp.data["@odata.deltaLink"];
+    url = resp.data?.["@odata.nextLink"];
+    if (!url) return null;
   }
+}
+
+/** One folder by id or well-known name (inbox, deleteditems, ...). */
+async function getFolder({ access_token, mailbox, folderId }) {
+  const url = new URL(`${GRAPH}${root(mailbox)}/mailFolders/${encodeURIComponent(folderId)}`);
+  url.searchParams.set("$select", "id,displayName,parentFolderId,childFolderCount,totalItemCount,unreadItemCount");
+  return (await httpGetWithBackoff(url.toString(), { Authorization: `Bearer ${access_token}` })).data;
+}
+
+/** Read messages from a folder by its opaque ID (recommended). */
+async function readFolderByIdAll({ access_token, mailbox, folderId, max = 1000 }) {
+  if (!folderId) throw new Error("folderId is required");
+  const out = await collect(access_token, listings.folder({ mailbox, folderId }), max);
   return { results: out, count: out.length, folderId };
 }
 
@@ -329,13 +883,13 @@ async function readFolderByIdAll({ access_token, folderId, max = 1000 }) {
  * List Search Folders (virtual folders). We first try the well-known container,
  * then fall back to a heuristic on displayName.
  */
-async function listSearchFolders(access_token) {
+async function listSearchFolders(access_token, mailbox) {
   const headers = { Authorization: `Bearer ${access_token}` };
   const out = [];
 
   // Try: /me/mailFolders('searchfolders')/childFolders
   try {
-    let url = new URL("https://graph.microsoft.com/v1.0/me/mailFolders('searchfolders')/childFolders");
+    let url = new URL(`${GRAPH}${root(mailbox)}/mailFolders('searchfolders')/childFolders`);
     url.searchParams.set("$top", "100");
     url.searchParams.set("$select", "id,displayName,childFolderCount,totalItemCount,unreadItemCount");
     for await (const f of listCollection({ url: url.toString(), headers })) out.push(f);
@@ -345,7 +899,7 @@ async function listSearchFolders(access_token) {
 
   if (out.length === 0) {
     // Fallback: scan all folders and pick those that look like search folders by name.
-    const all = await listAllFolders(access_token);
+    const all = await listAllFolders(access_token, mailbox);
     const candidates = all.filter(f => {
       const name = (f.displayName || "").toLowerCase();
       return name.includes("search") && name.includes("folder");
@@ -358,12 +912,52 @@ async function listSearchFolders(access_token) {
 }
 
 /** Read messages from a Search Folder by ID (same as normal folder by ID). */
-async function readSearchFolderByIdAll({ access_token, folderId, max = 1000 }) {
-  return readFolderByIdAll({ access_token, folderId, max });
+async function readSearchFolderByIdAll({ access_token, mailbox, folderId, max = 1000 }) {
+  return readFolderByIdAll({ access_token, mailbox, folderId, max });
+}
+
+/* -------------------- Change notifications -------------------- */
+
+const mapSubscription = (s) => ({
+  id: s.id,
+  resource: s.resource,
+  changeType: s.changeType,
+  expiresAt: s.expirationDateTime
+});
+
+/**
+ * Subscribe notificationUrl to changes of a folder's messages. Graph first POSTs
+ * a validationToken to notificationUrl and only creates the subscription once it
+ * is echoed back. changeTypes: "created", "updated", "deleted".
+ */
+async function createSubscription({ access_token, mailbox, folderId, changeTypes = ["created"], notificationUrl, clientState, expiresAt }) {
+  const resource = `${root(mailbox).slice(1)}/mailFolders/${encodeURIComponent(folderId)}/messages`;
+  const resp = await httpWriteWithBackoff("post", `${GRAPH}/subscriptions`, { Authorization: `Bearer ${access_token}` }, {
+    changeType: changeTypes.join(","),
+    notificationUrl,
+    resource,
+    expirationDateTime: expiresAt,
+    clientState
+  });
+  return mapSubscription(resp.data);
+}
+
+/** Push a subscription's expiry out to expiresAt. */
+async function renewSubscription({ access_token, id, expiresAt }) {
+  const resp = await httpWriteWithBackoff("patch", `${GRAPH}/subscriptions/${encodeURIComponent(id)}`,
+    { Authorization: `Bearer ${access_token}` }, { expirationDateTime: expiresAt });
+  return mapSubscription(resp.data);
+}
+
+async function deleteSubscription({ access_token, id }) {
+  await httpWriteWithBackoff("delete", `${GRAPH}/subscriptions/${encodeURIComponent(id)}`, { Authorization: `Bearer ${access_token}` });
 }
 
 
 module.exports = {
+  GRAPH,
+  root,
+
   // Readers
   readLatest,
   readSentLatest,
@@ -374,19 +968,65 @@ module.exports = {
   searchAllMail,
   searchAllMailAllPages,
   filterAllMailByDate,
+  filterSentByDate,
 
   // Sender
   searchBySenderEmail,
   searchSenderByNameBootstrap,
 
+  // Structured query
+  queryMessages,
+
+  // Single message
+  getMessage,
+
+  // Conversations
+  getConversation,
+
+  // Drafts & sending
+  createDraft,
+  createReply,
+  createForward,
+  sendDraft,
+  deleteDraft,
+
+  // Calendar
+  listEvents,
+  getEvent,
+
+  // Bulk
+  batchRequests,
+
+  // Delta sync
+  syncFolderDelta,
+
+  // Attachments
+  listAttachments,
+  getAttachmentMeta,
+  downloadAttachment,
+
   // Folders
   listAllFolders,
+  listChildFolders,
+  listFolderTree,
+  WELL_KNOWN_FOLDERS,
+  getFolder,
   readFolderByIdAll,
   listSearchFolders,
   readSearchFolderByIdAll,
 
+  // Change notifications
+  createSubscription,
+  renewSubscription,
+  deleteSubscription,
+
+  // Listings & cursor pages
+  listings,
+  fetchPage,
+
   // Utilities (exported for reuse if needed)
   httpGetWithBackoff,
+  httpWriteWithBackoff,
   listMessages,
   mapMsg
 };
@@ -0,0 +1,163 @@
+/**
+ * graphTape.js
+ *
+ * Record/replay for Graph HTTP calls, so graph.js can run without the network.
+ * graph.js sends every request through play(); with no tape configured that is
+ * just the real call.
+ *
+ *   record  make the real call and append request + response to the tape
+ *   replay  answer from the tape; nothing leaves the process
+ *
+ * A tape is one JSON file: { "entries": [{ method, path, body, status, headers, data }] }.
+ * Requests are matched on method, path (URL without the Graph base, query
+ * included) and body. The same request recorded several times (a 429, then the
+ * 200) is replayed in that order, and the last answer repeats after that.
+ *
+ * What gets written is scrubbed: request headers (the bearer token) are never
+ * stored, the Graph base URL becomes "{graph}" (in paths and in nextLink /
+ * deltaLink values) so a tape replays against any base, and token- or
+ * secret-looking fields (clientState, *token*, *secret*) become "[scrubbed]".
+ * Binary bodies are stored as { "$base64": ... }.
+ *
+ * Nothing else is scrubbed: a tape recorded against a real mailbox holds its
+ * messages, names and addresses, in responses and in request paths alike. Keep
+ * such tapes out of the repository; tapes meant to be shared are recorded against
+ * fakeGraph.js.
+ *
+ * Env:
+ *   GRAPH_TAPE        tape file (unset = tapes off)
+ *   GRAPH_TAPE_MODE   record | replay (default replay when GRAPH_TAPE is set)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const BASE_TOKEN = "{graph}";
+const SECRET_KEYS = /token|secret|clientstate|password/i;
+const KEEP_HEADERS = ["content-type", "retry-after"];
+
+let tape = null; // { mode, file, entries, served: Map<key, count> }
+
+/** Error with a stable `code`, like the other modules' errors. */
+function tapeError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/* -------------------- Configuration -------------------- */
+
+/**
+ * Switch tapes: { file, mode: "record" | "replay" }, or null to turn them off.
+ * Record mode starts a new tape unless `append` is set.
+ */
+function use(options) {
+  if (!options?.file) {
+    tape = null;
+    return;
+  }
+  const mode = options.mode || "replay";
+  if (!["record", "replay"].includes(mode)) throw tapeError("tape_invalid", `GRAPH_TAPE_MODE must be record or replay, not "${mode}".`);
+
+  let entries = [];
+  if (mode === "replay" || options.append) {
+    if (fs.existsSync(options.file)) entries = JSON.parse(fs.readFileSync(options.file, "utf8")).entries || [];
+    else if (mode === "replay") throw tapeError("tape_missing", `No Graph tape at ${options.file}.`);
+  }
+  tape = { mode, file: options.file, entries, served: new Map() };
+  if (mode === "record") console.warn(`[graphTape] recording to ${options.file}; it will hold mailbox content, don't commit it`);
+}
+
+use({ file: process.env.GRAPH_TAPE, mode: process.env.GRAPH_TAPE_MODE });
+
+/* -------------------- Scrubbing -------------------- */
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/** Absolute Graph URLs anywhere in a string → "{graph}…". */
+const relative = (s, base) => s.replace(new RegExp(escapeRe(base), "g"), BASE_TOKEN);
+const absolute = (s, base) => s.split(BASE_TOKEN).join(base);
+
+/** Deep copy with base URLs made relative and secrets blanked. */
+function scrub(value, base) {
+  if (Buffer.isBuffer(value) || value instanceof ArrayBuffer) return { $base64: Buffer.from(value).toString("base64") };
+  if (Array.isArray(value)) return value.map(v => scrub(v, base));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = SECRET_KEYS.test(k) && typeof v === "string" ? "[scrubbed]" : scrub(v, base);
+    }
+    return out;
+  }
+  return typeof value === "string" ? relative(value, base) : value;
+}
+
+/** The inverse, for replay: "{graph}" back to the current base, binary back to a Buffer. */
+function restore(value, base) {
+  if (Array.isArray(value)) return value.map(v => restore(v, base));
+  if (value && typeof value === "object") {
+    if (typeof value.$base64 === "string" && Object.keys(value).length === 1) return Buffer.from(value.$base64, "base64");
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = restore(v, base);
+    return out;
+  }
+  return typeof value === "string" ? absolute(value, base) : value;
+}
+
+const keyOf = (e) => `${e.method} ${e.path} ${e.body == null ? "" : JSON.stringify(e.body)}`;
+
+/* -------------------- Record / replay -------------------- */
+
+function save(entry) {
+  tape.entries.push(entry);
+  fs.mkdirSync(path.dirname(path.resolve(tape.file)), { recursive: true });
+  fs.writeFileSync(tape.file, JSON.stringify({ entries: tape.entries }, null, 2));
+}
+
+/** What axios hands back: a response, or for 4xx/5xx an error carrying one. */
+function answer(entry, base) {
+  const response = { status: entry.status, headers: { ...entry.headers }, data: restore(entry.data, base) };
+  if (entry.status < 400) return response;
+  const err = new Error(`Request failed with status code ${entry.status}`);
+  err.response = response;
+  throw err;
+}
+
+function replay(request, base) {
+  const key = keyOf(request);
+  const matches = tape.entries.filter(e => keyOf(e) === key);
+  if (!matches.length) throw tapeError("tape_miss", `No recorded answer for ${request.method.toUpperCase()} ${request.path}.`);
+  const n = tape.served.get(key) || 0;
+  tape.served.set(key, n + 1);
+  return answer(matches[Math.min(n, matches.length - 1)], base);
+}
+
+/**
+ * Run one Graph request through the tape.
+ * call: { method, url, data? }; send: () => the real axios promise; base: GRAPH.
+ */
+async function play({ method, url, data }, send, base) {
+  if (!tape) return send();
+  const request = { method: method.toLowerCase(), path: relative(url, base), body: data == null ? null : scrub(data, base) };
+  if (tape.mode === "replay") return replay(request, base);
+
+  const record = (resp) => save({
+    ...request,
+    status: resp.status,
+    headers: Object.fromEntries(KEEP_HEADERS.filter(h => resp.headers?.[h] != null).map(h => [h, String(resp.headers[h])])),
+    data: scrub(resp.data, base)
+  });
+  try {
+    const resp = await send();
+    record(resp);
+    return resp;
+  } catch (e) {
+    if (e.response) record(e.response); // network failures aren't replayable answers
+    throw e;
+  }
+}
+
+/** Current mode: "off" | "record" | "replay". */
+const mode = () => (tape ? tape.mode : "off");
+
+module.exports = { play, use, mode };
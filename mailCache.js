@@ -0,0 +1,326 @@
+/**
+ * mailCache.js
+ *
+ * Optional per-user copy of the mailbox in SQLite, so deep reads, date windows and
+ * keyword searches don't re-crawl Graph on every call.
+ *
+ * - Filled per folder through /messages/delta; the deltaLink of each folder is
+ *   stored, so later syncs only fetch what changed (new, updated, removed).
+ * - cache_fts is an FTS5 index over subject, sender, preview and body, kept in
+ *   step with cache_messages by triggers.
+ * - A user's cache counts as warm once one full sync has finished. Until then the
+ *   actions answer from Graph while the first sync runs in the background.
+ *
+ * Message text is stored as-is (not encrypted like tokens), which is why the
+ * cache is opt-in.
+ *
+ * Env:
+ *   MAIL_CACHE                  "true" to enable (default off)
+ *   MAIL_CACHE_MAX_AGE_SECONDS  re-sync (incrementally) before answering when older (default 120)
+ *   MAIL_CACHE_BODY_CHARS       body text kept per message for search (default 20000)
+ */
+
+const db = require("./db");
+const graph = require("./graph");
+
+const ENABLED = String(process.env.MAIL_CACHE || "").toLowerCase() === "true";
+const MAX_AGE_MS = Number(process.env.MAIL_CACHE_MAX_AGE_SECONDS || 120) * 1000;
+const BODY_CHARS = Number(process.env.MAIL_CACHE_BODY_CHARS || 20000);
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS cache_users (
+  user_id TEXT PRIMARY KEY,
+  synced_at INTEGER,            -- epoch ms of the last completed sync, NULL while the first one runs
+  last_error TEXT
+);
+
+CREATE TABLE IF NOT EXISTS cache_folders (
+  user_id TEXT NOT NULL,
+  folder_id TEXT NOT NULL,
+  display_name TEXT,
+  parent_folder_id TEXT,
+  delta_link TEXT,
+  synced_at INTEGER,
+  PRIMARY KEY (user_id, folder_id)
+);
+
+CREATE TABLE IF NOT EXISTS cache_messages (
+  row_id INTEGER PRIMARY KEY,   -- stable rowid for the FTS index
+  user_id TEXT NOT NULL,
+  id TEXT NOT NULL,
+  folder_id TEXT NOT NULL,
+  received TEXT,
+  sent TEXT,
+  subject TEXT,
+  from_address TEXT,
+  sender TEXT,                  -- "Name <address>", what FTS searches
+  preview TEXT,
+  body TEXT,
+  has_attachments INTEGER NOT NULL DEFAULT 0,
+  conversation_id TEXT,
+  is_read INTEGER,
+  UNIQUE (user_id, id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cache_messages_received ON cache_messages(user_id, received);
+CREATE INDEX IF NOT EXISTS idx_cache_messages_folder ON cache_messages(user_id, folder_id, received);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS cache_fts USING fts5(
+  subject, sender, preview, body,
+  content='cache_messages', content_rowid='row_id',
+  tokenize='unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS cache_messages_ai AFTER INSERT ON cache_messages BEGIN
+  INSERT INTO cache_fts(rowid, subject, sender, preview, body) VALUES (new.row_id, new.subject, new.sender, new.preview, new.body);
+END;
+CREATE TRIGGER IF NOT EXISTS cache_messages_ad AFTER DELETE ON cache_messages BEGIN
+  INSERT INTO cache_fts(cache_fts, rowid, subject, sender, preview, body) VALUES ('delete', old.row_id, old.subject, old.sender, old.preview, old.body);
+END;
+CREATE TRIGGER IF NOT EXISTS cache_messages_au AFTER UPDATE ON cache_messages BEGIN
+  INSERT INTO cache_fts(cache_fts, rowid, subject, sender, preview, body) VALUES ('delete', old.row_id, old.subject, old.sender, old.preview, old.body);
+  INSERT INTO cache_fts(rowid, subject, sender, preview, body) VALUES (new.row_id, new.subject, new.sender, new.preview, new.body);
+END;
+`);
+
+const getUserStmt = db.prepare(`SELECT * FROM cache_users WHERE user_id = ?`);
+const upsertUserStmt = db.prepare(`
+INSERT INTO cache_users (user_id, synced_at, last_error) VALUES (@user_id, @synced_at, @last_error)
+ON CONFLICT(user_id) DO UPDATE SET synced_at = COALESCE(excluded.synced_at, synced_at), last_error = excluded.last_error
+`);
+const foldersStmt = db.prepare(`SELECT * FROM cache_folders WHERE user_id = ?`);
+const upsertFolderStmt = db.prepare(`
+INSERT INTO cache_folders (user_id, folder_id, display_name, parent_folder_id) VALUES (?, ?, ?, ?)
+ON CONFLICT(user_id, folder_id) DO UPDATE SET display_name = excluded.display_name, parent_folder_id = excluded.parent_folder_id
+`);
+const setDeltaStmt = db.prepare(`UPDATE cache_folders SET delta_link = ?, synced_at = ? WHERE user_id = ? AND folder_id = ?`);
+const dropFolderStmt = db.prepare(`DELETE FROM cache_folders WHERE user_id = ? AND folder_id = ?`);
+const dropFolderMessagesStmt = db.prepare(`DELETE FROM cache_messages WHERE user_id = ? AND folder_id = ?`);
+const upsertMessageStmt = db.prepare(`
+INSERT INTO cache_messages (user_id, id, folder_id, received, sent, subject, from_address, sender, preview, body, has_attachments, conversation_id, is_read)
+VALUES (@user_id, @id, @folder_id, @received, @sent, @subject, @from_address, @sender, @preview, @body, @has_attachments, @conversation_id, @is_read)
+ON CONFLICT(user_id, id) DO UPDATE SET
+  folder_id = excluded.folder_id, received = excluded.received, sent = excluded.sent, subject = excluded.subject,
+  from_address = excluded.from_address, sender = excluded.sender, preview = excluded.preview, body = excluded.body,
+  has_attachments = excluded.has_attachments, conversation_id = excluded.conversation_id, is_read = excluded.is_read
+`);
+const removeMessageStmt = db.prepare(`DELETE FROM cache_messages WHERE user_id = ? AND id = ? AND folder_id = ?`);
+const countStmt = db.prepare(`SELECT COUNT(*) AS n FROM cache_messages WHERE user_id = ?`);
+
+/* -------------------- Sync -------------------- */
+
+const applyPage = db.transaction((user_id, folderId, items) => {
+  for (const m of items) {
+    if (m["@removed"]) {
+      removeMessageStmt.run(user_id, m.id, folderId);
+      continue;
+    }
+    if (m.isDraft) continue;
+    const address = m.from?.emailAddress?.address || null;
+    const name = m.from?.emailAddress?.name;
+    upsertMessageStmt.run({
+      user_id,
+      id: m.id,
+      folder_id: m.parentFolderId || folderId,
+      received: m.receivedDateTime || null,
+      sent: m.sentDateTime || m.createdDateTime || null,
+      subject: m.subject || "",
+      from_address: address ? address.toLowerCase() : null,
+      sender: [name, address && `<${address}>`].filter(Boolean).join(" "),
+      preview: m.bodyPreview || "",
+      body: String(m.body?.content || "").slice(0, BODY_CHARS),
+      has_attachments: m.hasAttachments ? 1 : 0,
+      conversation_id: m.conversationId || null,
+      is_read: m.isRead == null ? null : (m.isRead ? 1 : 0)
+    });
+  }
+});
+
+async function syncFolder(user_id, access_token, folderId, deltaLink) {
+  try {
+    const next = await graph.syncFolderDelta({
+      access_token, folderId, deltaLink,
+      onPage: (items) => applyPage(user_id, folderId, items)
+    });
+    setDeltaStmt.run(next, Date.now(), user_id, folderId);
+  } catch (err) {
+    if (err.code !== "delta_expired") throw err;
+    // Server forgot our sync state: start this folder over.
+    dropFolderMessagesStmt.run(user_id, folderId);
+    return syncFolder(user_id, access_token, folderId, null);
+  }
+}
+
+async function runSync(user_id, access_token, { full = false } = {}) {
+  upsertUserStmt.run({ user_id, synced_at: null, last_error: null });
+  try {
+    const folders = await graph.listFolderTree(access_token);
+    const known = new Map(foldersStmt.all(user_id).map(f => [f.folder_id, f]));
+
+    for (const f of folders) upsertFolderStmt.run(user_id, f.id, f.displayName || null, f.parentFolderId || null);
+    for (const id of known.keys()) {
+      if (!folders.some(f => f.id === id)) {
+        dropFolderMessagesStmt.run(user_id, id);
+        dropFolderStmt.run(user_id, id);
+      }
+    }
+
+    for (const f of folders) {
+      if (full) dropFolderMessagesStmt.run(user_id, f.id);
+      await syncFolder(user_id, access_token, f.id, full ? null : known.get(f.id)?.delta_link);
+    }
+    upsertUserStmt.run({ user_id, synced_at: Date.now(), last_error: null });
+  } catch (err) {
+    upsertUserStmt.run({ user_id, synced_at: null, last_error: String(err.response?.data?.error?.message || err.message) });
+    throw err;
+  }
+}
+
+// One sync per user at a time; concurrent callers share it. A full rebuild asked
+// for while an incremental sync runs is queued behind it (and shared in turn),
+// since the incremental one wouldn't rebuild anything.
+const inFlight = new Map(); // user_id → { promise, full, queuedFull }
+
+/** Sync now (incremental unless full=true). Resolves to status(user_id). */
+function sync(user_id, access_token, { full = false } = {}) {
+  const running = inFlight.get(user_id);
+  if (running && (running.full || !full)) return running.promise;
+  if (running) {
+    running.queuedFull = running.queuedFull || running.promise
+      .catch(() => {}) // the rebuild goes ahead whether or not the incremental sync worked
+      .then(() => sync(user_id, access_token, { full: true }));
+    return running.queuedFull;
+  }
+  const entry = { full, queuedFull: null };
+  entry.promise = runSync(user_id, access_token, { full }).finally(() => inFlight.delete(user_id)).then(() => status(user_id));
+  inFlight.set(user_id, entry);
+  return entry.promise;
+}
+
+/**
+ * Can the cache answer for this user right now?
+ * Warm: syncs incrementally first if older than MAX_AGE, then resolves true.
+ * Cold: starts the first sync in the background and resolves false (use Graph).
+ */
+async function ready(user_id, access_token) {
+  if (!ENABLED) return false;
+  const u = getUserStmt.get(user_id);
+  if (!u?.synced_at) {
+    sync(user_id, access_token).catch(err => console.error(`[mailCache] initial sync failed for ${user_id}:`, err.message));
+    return false;
+  }
+  if (Date.now() - u.synced_at > MAX_AGE_MS) {
+    try {
+      await sync(user_id, access_token);
+    } catch (err) {
+      // Slightly stale local answers beat failing the call.
+      console.error(`[mailCache] incremental sync failed for ${user_id}:`, err.message);
+    }
+  }
+  return true;
+}
+
+function status(user_id) {
+  const u = getUserStmt.get(user_id);
+  const folders = foldersStmt.all(user_id);
+  return {
+    enabled: ENABLED,
+    warm: !!u?.synced_at,
+    syncing: inFlight.has(user_id),
+    synced_at: u?.synced_at ? new Date(u.synced_at).toISOString() : null,
+    last_error: u?.last_error || null,
+    folders: folders.length,
+    messages: countStmt.get(user_id).n
+  };
+}
+
+/** Forget everything cached for a user. */
+const clear = db.transaction((user_id) => {
+  db.prepare(`DELETE FROM cache_messages WHERE user_id = ?`).run(user_id);
+  db.prepare(`DELETE FROM cache_folders WHERE user_id = ?`).run(user_id);
+  db.prepare(`DELETE FROM cache_users WHERE user_id = ?`).run(user_id);
+});
+
+/* -------------------- Queries -------------------- */
+
+const COLUMNS = `m.id, m.received, m.sent, m.from_address, m.subject, m.preview, m.folder_id, m.has_attachments, m.conversation_id`;
+
+/** Row → the same compact shape as graph.mapMsg. */
+const toMsg = (r) => ({
+  id: r.id,
+  received: r.received,
+  sent: r.sent,
+  from: r.from_address,
+  subject: r.subject,
+  preview: r.preview,
+  folderId: r.folder_id,
+  hasAttachments: !!r.has_attachments,
+  conversationId: r.conversation_id
+});
+
+// AQS properties we can map onto FTS columns.
+const AQS_COLUMNS = { from: "sender", subject: "subject", body: "body" };
+
+/**
+ * AQS-ish keyword query → FTS5 MATCH expression (terms ANDed, prefix-matched).
+ * Returns null for syntax we can't reproduce locally (other properties, OR/NOT,
+ * parentheses), so the caller falls back to Graph.
+ */
+function toFtsQuery(q) {
+  const parts = [];
+  const re = /(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  let m;
+  while ((m = re.exec(String(q || "")))) {
+    const [, prop, phrase, word] = m;
+    if (!phrase && /^(AND|OR|NOT)$/.test(word)) {
+      if (word === "AND") continue;
+      return null;
+    }
+    if (word && /[()]/.test(word)) return null;
+    const column = prop ? AQS_COLUMNS[prop.toLowerCase()] : null;
+    if (prop && !column) return null;
+
+    const tokens = (phrase ?? word).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (!tokens.length) continue;
+    const term = phrase != null
+      ? `"${tokens.join(" ")}"`
+      : tokens.map(t => `"${t}"*`).join(" ");
+    parts.push(column ? `${column} : (${term})` : `(${term})`);
+  }
+  return parts.length ? parts.join(" AND ") : null;
+}
+
+/** Newest first, optionally within one folder and/or a received window. */
+function list(user_id, { folderId, startIso, endIso, limit = 1000 } = {}) {
+  const where = ["m.user_id = @user_id"];
+  if (folderId) where.push("m.folder_id = @folderId");
+  if (startIso) where.push("m.received >= @startIso");
+  if (endIso) where.push("m.received <= @endIso");
+  const rows = db.prepare(`SELECT ${COLUMNS} FROM cache_messages m WHERE ${where.join(" AND ")} ORDER BY m.received DESC LIMIT @limit`)
+    .all({ user_id, folderId, startIso: normIso(startIso), endIso: normIso(endIso), limit });
+  return rows.map(toMsg);
+}
+
+/**
+ * Full-text search, newest first. Resolves to null when the query uses AQS the
+ * local index can't answer.
+ */
+function search(user_id, query, { limit = 50 } = {}) {
+  const match = toFtsQuery(query);
+  if (!match) return null;
+  const rows = db.prepare(`
+    SELECT ${COLUMNS} FROM cache_fts f JOIN cache_messages m ON m.row_id = f.rowid
+    WHERE cache_fts MATCH @match AND m.user_id = @user_id
+    ORDER BY m.received DESC LIMIT @limit
+  `).all({ match, user_id, limit });
+  return rows.map(toMsg);
+}
+
+// Graph stores "2025-01-02T03:04:05Z"; compare in the same format whatever offset the caller used.
+function normIso(iso) {
+  if (!iso) return iso;
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? iso : d.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+module.exports = { ENABLED, ready, sync, status, clear, list, search, toFtsQuery };
@@ -0,0 +1,72 @@
+/**
+ * mcp-stdio.js
+ *
+ * MCP over stdio (newline-delimited JSON-RPC) for desktop assistants that spawn the
+ * server as a child process. Sign-in still happens in a browser against the HTTP
+ * server (`npm start`), so PUBLIC_BASE_URL must point at it.
+ *
+ * The user_id comes from MCP_USER_ID (a UUID, as the HTTP transports require), or
+ * is minted once and kept in data/mcp-user-id so the same login survives restarts.
+ */
+
+// stdout is the protocol channel: route every log line to stderr.
+console.log = console.error;
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { handlePayload } = require("./mcp");
+const userId = require("./userId");
+
+const PORT     = Number(process.env.PORT || 3001);
+const BASE_URL = process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
+
+function stableUserId() {
+  if (process.env.MCP_USER_ID) {
+    if (!userId.isValid(process.env.MCP_USER_ID)) {
+      console.error("[mcp-stdio] MCP_USER_ID must be a UUID; leave it unset to have one created.");
+      process.exit(1);
+    }
+    return process.env.MCP_USER_ID.trim();
+  }
+  const file = path.join(__dirname, "data", "mcp-user-id");
+  try {
+    return fs.readFileSync(file, "utf8").trim();
+  } catch (_) {
+    const id = userId.mint();
+    fs.writeFileSync(file, id);
+    return id;
+  }
+}
+
+const ctx = { user_id: stableUserId(), baseUrl: BASE_URL };
+console.error(`[mcp-stdio] ready (user_id ${ctx.user_id})`);
+
+const write = (msg) => process.stdout.write(JSON.stringify(msg) + "\n");
+
+const pending = new Set();
+const rl = readline.createInterface({ input: process.stdin });
+rl.on("line", (line) => {
+  const p = handleLine(line);
+  pending.add(p);
+  p.finally(() => pending.delete(p));
+});
+// Let in-flight tool calls answer before exiting when the client closes stdin.
+rl.on("close", () => Promise.allSettled([...pending]).then(() => process.exit(0)));
+
+async function handleLine(line) {
+  if (!line.trim()) return;
+  let payload;
+  try {
+    payload = JSON.parse(line);
+  } catch (_) {
+    return write({ jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } });
+  }
+  try {
+    const out = await handlePayload(payload, ctx);
+    if (out) write(out);
+  } catch (err) {
+    write({ jsonrpc: "2.0", id: payload?.id ?? null, error: { code: -32603, message: err.message } });
+  }
+}
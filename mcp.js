@@ -0,0 +1,214 @@
+/**
+ * mcp.js
+ *
+ * Native Model Context Protocol server (JSON-RPC 2.0) over the same actions as
+ * /execute_tool. Every action is its own MCP tool with a JSON Schema for its inputs.
+ *
+ * Transports:
+ *   - Streamable HTTP: POST/GET/DELETE /mcp (mounted by index.js, same API key)
+ *   - stdio: `npm run mcp:stdio` (see mcp-stdio.js)
+ *
+ * Identity: an MCP session maps to one user_id. Over HTTP it is the `X-User-Id`
+ * header (or `?user_id=`) when the client sends one, otherwise the session id
+ * minted at `initialize`. Login-required results come back as tool errors with
+ * structured { requires_login, user_id, login_url } so the client can show the link.
+ */
+
+const express = require("express");
+const { getValidToken } = require("./auth");
+const tokenStore = require("./tokenStore");
+const oauthState = require("./oauthState");
+const userId = require("./userId");
+const audit = require("./audit");
+const apiKeys = require("./apiKeys");
+const rateLimit = require("./rateLimit");
+const { ACTIONS, getAction, runAction } = require("./actions");
+const pkg = require("./package.json");
+
+const SUPPORTED_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+const SESSION_IDLE_MS = 24 * 60 * 60 * 1000;
+
+/* -------------------- Tool catalog -------------------- */
+
+// One MCP tool per registry action; the registry's JSON Schema is the tool's inputSchema.
+const TOOLS = ACTIONS.map(a => ({ name: a.name, description: a.description, inputSchema: a.inputSchema }));
+
+/* -------------------- JSON-RPC plumbing -------------------- */
+
+const rpcResult = (id, result) => ({ jsonrpc: "2.0", id, result });
+const rpcError = (id, code, message, data) => ({ jsonrpc: "2.0", id: id ?? null, error: { code, message, ...(data ? { data } : {}) } });
+
+function toolError(text, structuredContent) {
+  return { isError: true, content: [{ type: "text", text }], ...(structuredContent ? { structuredContent } : {}) };
+}
+
+/** tools/call → always a tool result (errors included) so the model can read them. */
+async function callTool(name, args, ctx) {
+  const loginUrl = oauthState.loginUrl(ctx.baseUrl, ctx.user_id);
+  const api_key = ctx.apiKey?.name;
+
+  // Key scope (HTTP only; stdio has no key) and rate limits, before anything reaches Graph.
+  try {
+    if (ctx.apiKey) apiKeys.authorize(ctx.apiKey, { action: getAction(name), user_id: ctx.user_id });
+    rateLimit.take({ key: ctx.apiKey, user_id: ctx.user_id });
+  } catch (err) {
+    audit.record({ user_id: ctx.user_id, api_key, transport: "mcp", action: name, error_code: err.code });
+    return toolError(err.message, { error: err.code, details: err.details });
+  }
+
+  let token;
+  try {
+    token = await getValidToken(ctx.user_id);
+  } catch (err) {
+    audit.record({ user_id: ctx.user_id, api_key, transport: "mcp", action: name, error_code: err.code || "token_refresh_failed" });
+    return toolError(`Could not load your Microsoft session: ${err.code || err.response?.data?.error || err.message}`);
+  }
+  if (!token && !getAction(name).allowSignedOut) {
+    audit.record({ user_id: ctx.user_id, api_key, transport: "mcp", action: name, error_code: "login_required" });
+    return toolError(
+      `Sign-in required. Ask the user to open ${loginUrl} in a browser, finish signing in, then retry. ` +
+        "If they can't open it, call start_device_login instead.",
+      { requires_login: true, user_id: ctx.user_id, login_url: loginUrl }
+    );
+  }
+
+  try {
+    const data = await audit.run({ user_id: ctx.user_id, api_key, transport: "mcp", action: name, inputs: args }, () =>
+      runAction(name, args, { token, user_id: ctx.user_id, scopes: tokenStore.scopes(ctx.user_id), baseUrl: ctx.baseUrl }));
+    return { content: [{ type: "text", text: JSON.stringify(data) }], structuredContent: data };
+  } catch (err) {
+    if (err.code === "account_login_required") {
+      const linkUrl = oauthState.loginUrl(ctx.baseUrl, ctx.user_id, { link: true, login_hint: err.details.account });
+      return toolError(
+        `${err.message} Ask the user to open ${linkUrl} in a browser, finish signing in, then retry.`,
+        { requires_login: true, user_id: ctx.user_id, login_url: linkUrl }
+      );
+    }
+    if (err.status) {
+      const details = err.details ? ` ${JSON.stringify(err.details)}` : "";
+      return toolError(`${err.message}${details}`, { error: err.code, details: err.details });
+    }
+    const payload = err?.response?.data || err?.message || "Unknown error";
+    console.error("mcp tool error:", payload);
+    return toolError(typeof payload === "string" ? payload : JSON.stringify(payload));
+  }
+}
+
+/**
+ * Handle one JSON-RPC message for a session context { user_id, baseUrl, apiKey? }.
+ * Resolves to the response object, or null for notifications.
+ */
+async function handleMessage(msg, ctx) {
+  if (!msg || msg.jsonrpc !== "2.0" || typeof msg.method !== "string") {
+    return rpcError(msg?.id, -32600, "Invalid Request");
+  }
+  const isNotification = msg.id === undefined;
+  const params = msg.params || {};
+
+  switch (msg.method) {
+    case "initialize": {
+      const requested = params.protocolVersion;
+      return rpcResult(msg.id, {
+        protocolVersion: SUPPORTED_VERSIONS.includes(requested) ? requested : SUPPORTED_VERSIONS[0],
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: { name: pkg.name, version: pkg.version },
+        instructions: "Microsoft 365 mailbox tools. If a tool returns requires_login, show the login_url to the user and retry after they sign in."
+      });
+    }
+    case "ping":
+      return isNotification ? null : rpcResult(msg.id, {});
+    case "tools/list":
+      // A narrowed API key only sees the tools it may call.
+      return rpcResult(msg.id, { tools: ctx.apiKey ? TOOLS.filter(t => apiKeys.allowsAction(ctx.apiKey, getAction(t.name))) : TOOLS });
+    case "tools/call": {
+      if (!getAction(params.name)) return rpcError(msg.id, -32602, `Unknown tool: ${params.name}`);
+      return rpcResult(msg.id, await callTool(params.name, params.arguments, ctx));
+    }
+    default:
+      if (isNotification) return null; // notifications/initialized, notifications/cancelled, ...
+      return rpcError(msg.id, -32601, `Method not found: ${msg.method}`);
+  }
+}
+
+/** Handle a single message or a batch; resolves to the response body or null. */
+async function handlePayload(payload, ctx) {
+  if (Array.isArray(payload)) {
+    if (payload.length === 0) return rpcError(null, -32600, "Invalid Request");
+    const out = (await Promise.all(payload.map(m => handleMessage(m, ctx)))).filter(Boolean);
+    return out.length ? out : null;
+  }
+  return handleMessage(payload, ctx);
+}
+
+/* -------------------- Streamable HTTP transport -------------------- */
+
+/**
+ * Express router for /mcp.
+ * - authenticate(req): the API key behind the request, or null (apiKeys.authenticate)
+ * - baseUrl: public URL used to build login links
+ */
+function createHttpRouter({ baseUrl, authenticate }) {
+  const router = express.Router();
+  const sessions = new Map(); // Mcp-Session-Id → { user_id, keyId, lastSeen }
+
+  const sweep = () => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const [id, s] of sessions) if (s.lastSeen < cutoff) sessions.delete(id);
+  };
+
+  router.use("/mcp", (req, res, next) => {
+    req.apiKey = authenticate(req);
+    if (!req.apiKey) return res.status(401).json(rpcError(null, -32001, "Invalid API key"));
+    next();
+  });
+
+  router.post("/mcp", async (req, res) => {
+    const body = req.body;
+    const messages = Array.isArray(body) ? body : [body];
+    const isInit = messages.some(m => m?.method === "initialize");
+    let sessionId = req.get("Mcp-Session-Id");
+
+    if (isInit) {
+      const pinned = (req.get("X-User-Id") || req.query.user_id || "").toString().trim();
+      if (pinned && !userId.isValid(pinned)) {
+        return res.status(400).json(rpcError(null, -32602, "X-User-Id must be a user_id this server issued (a UUID); leave it out to get a new one"));
+      }
+      sweep();
+      sessionId = userId.mint();
+      sessions.set(sessionId, { user_id: pinned || sessionId, keyId: req.apiKey.id, lastSeen: Date.now() });
+      res.setHeader("Mcp-Session-Id", sessionId);
+    } else if (!sessionId) {
+      return res.status(400).json(rpcError(null, -32000, "Missing Mcp-Session-Id header; call initialize first"));
+    }
+
+    const session = sessions.get(sessionId);
+    // A session stays with the key that opened it.
+    if (!session || session.keyId !== req.apiKey.id) return res.status(404).json(rpcError(null, -32001, "Unknown or expired session; initialize again"));
+    session.lastSeen = Date.now();
+
+    // Express 4 doesn't catch async errors: answer here rather than leave the client hanging.
+    try {
+      const out = await handlePayload(body, { user_id: session.user_id, baseUrl, apiKey: req.apiKey });
+      if (!out) return res.status(202).end(); // only notifications/responses
+      return res.json(out);
+    } catch (err) {
+      console.error("mcp request error:", err.message);
+      return res.status(500).json(rpcError(null, -32603, "Internal error"));
+    }
+  });
+
+  // We never push server-initiated messages, so there is no standalone SSE stream
+  // (mail notifications have their own: GET /events, see subscriptions.js).
+  router.get("/mcp", (_req, res) => res.status(405).set("Allow", "POST, DELETE").end());
+
+  router.delete("/mcp", (req, res) => {
+    const sessionId = req.get("Mcp-Session-Id");
+    if (!sessionId || sessions.get(sessionId)?.keyId !== req.apiKey.id) return res.status(404).end();
+    sessions.delete(sessionId);
+    return res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { TOOLS, handleMessage, handlePayload, createHttpRouter };
@@ -0,0 +1,177 @@
+/**
+ * oauthState.js
+ *
+ * Server-side OAuth `state` records + PKCE for the /login → /auth/callback round trip.
+ * The state sent to Microsoft is `<id>.<expiresAt>.<hmac>`; only the server knows which
+ * user_id (and code_verifier) it maps to. A state is accepted once, before it expires,
+ * and only if its HMAC checks out, so a callback can't be replayed or pointed at
+ * someone else's user_id.
+ *
+ * Two more bindings stop someone from signing their own account into a user_id
+ * they merely know:
+ * - /login only takes links from loginUrl(), signed for that user_id. The
+ *   transports hand those out after the API key check.
+ * - Each state belongs to the browser that opened /login: auth.js sets a random
+ *   HttpOnly cookie, and consume() wants it back with the callback.
+ *
+ * Env:
+ *   STATE_SECRET            HMAC key for states and login links (random per process if unset)
+ *   STATE_TTL_SECONDS       how long a started sign-in stays usable (default 600)
+ *   LOGIN_LINK_TTL_SECONDS  how long a login_url stays usable (default 3600)
+ */
+
+const crypto = require("crypto");
+const db = require("./db");
+
+const STATE_TTL_MS = Number(process.env.STATE_TTL_SECONDS || 600) * 1000;
+const LOGIN_LINK_TTL_MS = Number(process.env.LOGIN_LINK_TTL_SECONDS || 3600) * 1000;
+const STATE_SECRET = process.env.STATE_SECRET || (() => {
+  console.warn("[oauthState] STATE_SECRET not set; using a random key (pending logins won't survive a restart)");
+  return crypto.randomBytes(32).toString("hex");
+})();
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS oauth_states (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  code_verifier TEXT NOT NULL,
+  expires_at INTEGER NOT NULL,  -- epoch ms
+  used_at INTEGER,              -- epoch ms, NULL until consumed
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_oauth_states_expiry ON oauth_states(expires_at);
+`);
+
+// Added for linking extra accounts to a session (older databases don't have it yet)
+if (!db.prepare(`PRAGMA table_info(oauth_states)`).all().some(c => c.name === "link")) {
+  db.exec(`ALTER TABLE oauth_states ADD COLUMN link INTEGER NOT NULL DEFAULT 0`);
+}
+// Added with per-tenant app registrations (authority.js); NULL = default profile
+if (!db.prepare(`PRAGMA table_info(oauth_states)`).all().some(c => c.name === "profile")) {
+  db.exec(`ALTER TABLE oauth_states ADD COLUMN profile TEXT`);
+}
+// sha256 of the browser cookie the state is bound to
+if (!db.prepare(`PRAGMA table_info(oauth_states)`).all().some(c => c.name === "browser_hash")) {
+  db.exec(`ALTER TABLE oauth_states ADD COLUMN browser_hash TEXT`);
+}
+
+const insertStmt = db.prepare(`
+INSERT INTO oauth_states (id, user_id, code_verifier, link, profile, browser_hash, expires_at, created_at)
+VALUES (@id, @user_id, @code_verifier, @link, @profile, @browser_hash, @expires_at, @ts)
+`);
+const getStmt = db.prepare(`SELECT * FROM oauth_states WHERE id = ?`);
+const markUsedStmt = db.prepare(`UPDATE oauth_states SET used_at = ? WHERE id = ? AND used_at IS NULL`);
+const purgeStmt = db.prepare(`DELETE FROM oauth_states WHERE expires_at <= ?`);
+
+/* -------------------- Helpers -------------------- */
+
+const b64url = (buf) => buf.toString("base64url");
+const sign = (payload) => b64url(crypto.createHmac("sha256", STATE_SECRET).update(payload).digest());
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+function sameSignature(given, payload) {
+  const expected = Buffer.from(sign(payload));
+  const got = Buffer.from(String(given || ""));
+  return got.length === expected.length && crypto.timingSafeEqual(got, expected);
+}
+
+/**
+ * Error with a stable `code` (state_invalid | state_expired | state_replayed |
+ * state_browser_mismatch | login_link_invalid | login_link_expired).
+ */
+function stateError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/* -------------------- API -------------------- */
+
+/**
+ * Start a login for user_id (link=true: sign in an additional account for it;
+ * profile: the authority.js app registration it goes through).
+ * Returns the `state` to send plus the S256 PKCE challenge for the authorize URL,
+ * and `browser`: the value for the cookie the callback must come back with.
+ */
+function create(user_id, { link = false, profile = null } = {}) {
+  const ts = Date.now();
+  purgeStmt.run(ts); // expired records are useless; keep the table small
+
+  const id = b64url(crypto.randomBytes(16));
+  const code_verifier = b64url(crypto.randomBytes(32));
+  const browser = b64url(crypto.randomBytes(32));
+  const expires_at = ts + STATE_TTL_MS;
+  insertStmt.run({ id, user_id, code_verifier, link: link ? 1 : 0, profile, browser_hash: sha256(browser), expires_at, ts });
+
+  const payload = `${id}.${expires_at}`;
+  return {
+    state: `${payload}.${sign(payload)}`,
+    browser,
+    expires_at,
+    code_challenge: b64url(crypto.createHash("sha256").update(code_verifier).digest()),
+    code_challenge_method: "S256"
+  };
+}
+
+/**
+ * Verify and burn a state value from the callback; `browser` is the cookie value
+ * the callback arrived with.
+ * Resolves to { user_id, code_verifier, link, profile }; throws a stateError otherwise.
+ */
+const consume = db.transaction((state, browser) => {
+  const [id, exp, sig] = String(state || "").split(".");
+  if (!id || !exp || !sig) throw stateError("state_invalid", "Malformed OAuth state.");
+
+  if (!sameSignature(sig, `${id}.${exp}`)) {
+    throw stateError("state_invalid", "OAuth state signature mismatch.");
+  }
+
+  const now = Date.now();
+  const rec = getStmt.get(id);
+  if (Number(exp) <= now || (rec && rec.expires_at <= now)) {
+    throw stateError("state_expired", "This sign-in took too long. Open the login link again.");
+  }
+  if (!rec) throw stateError("state_invalid", "Unknown OAuth state.");
+  if (!browser || !rec.browser_hash || sha256(browser) !== rec.browser_hash) {
+    throw stateError("state_browser_mismatch", "This sign-in was started in another browser. Open the login link again in this one.");
+  }
+  if (rec.used_at != null || markUsedStmt.run(now, id).changes !== 1) {
+    throw stateError("state_replayed", "This sign-in was already completed or abandoned. Open the login link again.");
+  }
+
+  return { user_id: rec.user_id, code_verifier: rec.code_verifier, link: rec.link === 1, profile: rec.profile };
+});
+
+/* -------------------- Login links -------------------- */
+
+const linkPayload = (user_id, link, exp) => `login.${user_id}.${link ? 1 : 0}.${exp}`;
+
+/**
+ * /login URL for user_id (link: sign in an additional account; login_hint:
+ * prefill the account), signed so /login knows the server handed it out.
+ */
+function loginUrl(baseUrl, user_id, { link = false, login_hint = null } = {}) {
+  const exp = Date.now() + LOGIN_LINK_TTL_MS;
+  const params = new URLSearchParams({ user_id });
+  if (link) params.set("link", "true");
+  if (login_hint) params.set("login_hint", login_hint);
+  params.set("exp", String(exp));
+  params.set("sig", sign(linkPayload(user_id, link, exp)));
+  return `${baseUrl}/login?${params}`;
+}
+
+/** Throws login_link_invalid / login_link_expired unless the query came from loginUrl(). */
+function checkLoginLink({ user_id, link, exp, sig }) {
+  if (!sameSignature(sig, linkPayload(user_id, link, exp))) {
+    throw stateError("login_link_invalid", "This login link wasn't issued by the server. Ask your assistant for a new one.");
+  }
+  if (!(Number(exp) > Date.now())) throw stateError("login_link_expired", "This login link has expired. Ask your assistant for a new one.");
+}
+
+/** Drop expired states (the sweeper; create() also does this). */
+function purgeExpired() {
+  return purgeStmt.run(Date.now()).changes;
+}
+
+module.exports = { create, consume, loginUrl, checkLoginLink, purgeExpired };
@@ -0,0 +1,249 @@
+/**
+ * openapi.js
+ *
+ * Builds the OpenAPI document from the action registry (actions.js), so the spec
+ * can't drift from what /execute_tool validates. GET /openapi.json serves it live;
+ * `npm run openapi` writes the same document to openapi.json for static consumers.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ACTIONS } = require("./actions");
+const pkg = require("./package.json");
+
+const CLIENT_RULES =
+  "Read/search a user's Microsoft 365 mailbox via delegated auth.\n\n" +
+  "CLIENT RULES (per conversation/session):\n" +
+  "• Always reuse the SAME `user_id` for this entire conversation once it is issued by the server.\n" +
+  "• If a response contains { requires_login: true, user_id, login_url }, open `login_url` in a human browser, complete sign-in, then RETRY with the SAME `user_id`.\n" +
+  "• If the user can't open `login_url` (remote server, chat-only client), call `start_device_login`, show them the `user_code` and `verification_uri`, then call `poll_login` every `retry_after` seconds until it returns `logged_in`.\n" +
+  "• On every success, the response includes `user_id_used`; copy that exact value into `user_id` on your next call.\n" +
+  "• On 429, wait the Retry-After seconds before calling again; don't loop.\n" +
+  "• Never invent placeholders like `current`, `me`, `new`, or `temp`.\n" +
+  "• Each action's inputs are listed in `x-inputs-by-action`; invalid inputs return 422 with per-field `details`.\n" +
+  "• Compose actions only create drafts. Show the returned `preview` to the user and call `send_draft` with the `confirmation_token` ONLY after they approve it.\n" +
+  "• List actions return one page at a time; when `next_cursor` is not null, call the same action with `{ cursor: next_cursor }` for more.\n" +
+  "• To work in another mailbox, pass its address as `inputs.mailbox` (see `list_mailboxes`); keep passing it with cursors from that mailbox.";
+
+const SERVERS = [
+  { url: "http://host.docker.internal:3001", description: "From Docker (OpenWebUI ➜ host)" },
+  { url: "http://localhost:3001", description: "From  local browser ( clicking login link)" }
+];
+
+const jsonContent = (ref) => ({ "application/json": { schema: { $ref: `#/components/schemas/${ref}` } } });
+
+/**
+ * Flat union of every action's input properties (what most tool importers expect),
+ * with defaults dropped since they differ per action.
+ */
+function mergedInputs() {
+  const props = {};
+  const usedBy = {};
+  for (const a of ACTIONS) {
+    for (const [k, schema] of Object.entries(a.inputSchema.properties || {})) {
+      if (!props[k]) {
+        const { default: _def, ...rest } = schema;
+        props[k] = rest;
+      }
+      (usedBy[k] = usedBy[k] || []).push(a.name);
+    }
+  }
+  for (const [k, names] of Object.entries(usedBy)) {
+    props[k] = { ...props[k], description: `${props[k].description || k} (${names.join(", ")})` };
+  }
+  return { type: "object", properties: props, additionalProperties: false };
+}
+
+function buildOpenApi() {
+  const inputSchemas = Object.fromEntries(ACTIONS.map(a => [`Inputs_${a.name}`, a.inputSchema]));
+
+  return {
+    openapi: "3.0.3",
+    info: { title: "Microsoft 365 Mail MCP Tool", version: pkg.version, description: CLIENT_RULES },
+    servers: SERVERS,
+    paths: {
+      "/execute_tool": {
+        post: {
+          summary: "Execute a mailbox action",
+          operationId: "executeTool",
+          description: "Primary RPC for the LLM/client. On success, returns results and `user_id_used`. If auth is needed, returns `{ requires_login: true, user_id, login_url }` — open `login_url` in a browser, finish sign-in, then retry with the SAME `user_id`.",
+          security: [{ ApiKeyAuth: [] }],
+          requestBody: { required: true, content: jsonContent("ExecuteToolRequest") },
+          responses: {
+            200: { description: "Tool result or login instruction", content: jsonContent("ExecuteToolResponse") },
+            400: { description: "Unknown action, missing user_id, invalid cursor, or Graph error", content: jsonContent("ErrorResponse") },
+            401: { description: "Missing/invalid API key", content: jsonContent("ErrorResponse") },
+            403: { description: "Signed-in user has not granted the scopes this action needs (re-login), a recipient is outside SEND_ALLOWED_DOMAINS, or the API key may not run this action / act for this user_id (`key_forbidden`)", content: jsonContent("ErrorResponse") },
+            409: { description: "Send refused: confirmation already used, draft changed since the preview, or not a draft", content: jsonContent("ErrorResponse") },
+            410: { description: "Send confirmation expired (preview the draft again) or cursor expired (start the listing again)", content: jsonContent("ErrorResponse") },
+            422: { description: "Inputs failed validation; `details` lists `{ field, message }`", content: jsonContent("ValidationErrorResponse") },
+            429: {
+              description: "Rate limit for this API key or user_id reached (`rate_limited`); retry after the Retry-After header's seconds",
+              headers: { "Retry-After": { schema: { type: "integer" }, description: "Seconds until a call is allowed again" } },
+              content: jsonContent("ErrorResponse")
+            }
+          }
+        }
+      },
+      "/login": {
+        get: {
+          summary: "Initiate Microsoft OAuth login (human browser)",
+          operationId: "getLoginLink",
+          description: "Redirects the browser to Microsoft sign-in for the provided `user_id` (bound server-side to a signed, single-use OAuth `state` with PKCE, and to this browser by a cookie). Only links the server issued work: use the `login_url` / `link_url` from a response as is. **This route is intended for a human to open in a normal browser tab**, not for the LLM to call directly.",
+          parameters: [
+            { name: "user_id", in: "query", required: true, schema: { type: "string" }, description: "Stable `user_id` that this login should attach tokens to. Obtain it from a prior `/execute_tool` response." },
+            { name: "exp", in: "query", required: true, schema: { type: "integer" }, description: "Link expiry (epoch ms), part of the signed link" },
+            { name: "sig", in: "query", required: true, schema: { type: "string" }, description: "Server signature over user_id, link and exp" },
+            { name: "link", in: "query", required: false, schema: { type: "boolean" }, description: "Sign in an additional account for this session (covered by `sig`)" },
+            { name: "login_hint", in: "query", required: false, schema: { type: "string" }, description: "Account to preselect on the Microsoft page" },
+            { name: "tenant", in: "query", required: false, schema: { type: "string" }, description: "Organization to sign in through, when the server serves several (profile name or tenant id)" }
+          ],
+          responses: {
+            302: { description: "Redirects to Microsoft login" },
+            400: { description: "Missing user_id, or `unknown_tenant`: no sign-in is configured for `tenant`", content: jsonContent("ErrorResponse") },
+            403: { description: "`login_link_invalid` (not signed by this server, or altered) or `login_link_expired`", content: jsonContent("ErrorResponse") }
+          }
+        }
+      },
+      "/auth/callback": {
+        get: {
+          summary: "OAuth callback (server-exchanged tokens)",
+          operationId: "oauthCallback",
+          description: "Microsoft redirects here with `?code=...&state=<signed state>`. The server rejects tampered, expired or already-used state, then exchanges `code`→token, stores it under the `user_id` the state was issued for, and shows a small success page (or JSON if `?format=json`). **Humans land here after signing in.**",
+          parameters: [
+            { name: "code", in: "query", required: true, schema: { type: "string" }, description: "Authorization code from Microsoft" },
+            { name: "state", in: "query", required: true, schema: { type: "string" }, description: "Opaque signed state issued by /login (single-use, expires)" },
+            { name: "format", in: "query", required: false, schema: { type: "string", enum: ["json", "html"] }, description: "Optional: `json` returns `{ status, user_id, expires_in }`" }
+          ],
+          responses: {
+            200: { description: "Success page (HTML) or JSON" },
+            400: { description: "Invalid/expired/replayed state, a browser other than the one that opened /login (`state_browser_mismatch`), or error exchanging the code" },
+            403: { description: "`tenant_not_allowed`: the account's organization may not sign in to this server" },
+            500: { description: "`state_lookup_failed`: the sign-in state could not be checked; start again" }
+          }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: { type: "http", scheme: "bearer", bearerFormat: "API key", description: "Pass `Authorization: Bearer <API_KEY>`" }
+      },
+      schemas: {
+        ExecuteToolRequest: {
+          type: "object",
+          required: ["action", "user_id"],
+          properties: {
+            action: {
+              type: "string",
+              enum: ACTIONS.map(a => a.name),
+              "x-enumDescriptions": Object.fromEntries(ACTIONS.map(a => [a.name, a.description]))
+            },
+            user_id: {
+              type: "string",
+              format: "uuid",
+              description: "Stable ID issued/echoed by the server. MUST be the exact `user_id_used` from your last successful call. Do not invent values like `current`, `me`, `temp`, or `new`."
+            },
+            inputs: mergedInputs()
+          },
+          additionalProperties: false,
+          "x-inputs-by-action": Object.fromEntries(ACTIONS.map(a => [a.name, { $ref: `#/components/schemas/Inputs_${a.name}` }]))
+        },
+        ...inputSchemas,
+        MessageItem: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            received: { type: "string" },
+            sent: { type: "string" },
+            from: { type: "string" },
+            subject: { type: "string" },
+            preview: { type: "string" },
+            folderId: { type: "string" },
+            hasAttachments: { type: "boolean" },
+            conversationId: { type: "string" }
+          }
+        },
+        FolderItem: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            displayName: { type: "string" },
+            parentFolderId: { type: "string" },
+            path: { type: "string", description: "Display names from the root, joined with `/` (usable wherever a folder is taken)" },
+            depth: { type: "integer" },
+            wellKnownName: { type: "string", nullable: true, description: "inbox, sentitems, archive, ... when this is a well-known folder" },
+            childFolderCount: { type: "integer" },
+            totalItemCount: { type: "integer" },
+            unreadItemCount: { type: "integer" }
+          }
+        },
+        GroupItem: {
+          type: "object",
+          description: "One group in mode=aggregate",
+          properties: {
+            key: { type: "string", description: "Sender address, domain, day (YYYY-MM-DD in `tz`) or folder path" },
+            count: { type: "integer" },
+            newestReceived: { type: "string", format: "date-time", nullable: true },
+            newestSubject: { type: "string", nullable: true },
+            folderId: { type: "string", description: "group_by=folder only" }
+          }
+        },
+        RangeMeta: {
+          type: "object",
+          properties: { startIso: { type: "string" }, endIso: { type: "string" }, tz: { type: "string" } }
+        },
+        ExecuteToolResponse: {
+          type: "object",
+          description: "On success, ALWAYS includes `user_id_used` so clients can mirror it. If login is needed, includes `requires_login`, `user_id`, and `login_url`.",
+          properties: {
+            user_id_used: { type: "string", format: "uuid", description: "The exact user_id the server used for this call. Always pass this same value as `user_id` on the next call throughout the conversation/session." },
+            requires_login: { type: "boolean" },
+            login_url: { type: "string" },
+            user_id: { type: "string" },
+            range: { $ref: "#/components/schemas/RangeMeta" },
+            results: { type: "array", items: { $ref: "#/components/schemas/MessageItem" } },
+            count: { type: "integer" },
+            folders: { type: "array", items: { $ref: "#/components/schemas/FolderItem" } },
+            discoveredSenders: { type: "array", items: { type: "string" } },
+            source: { type: "string", enum: ["cache"], description: "Present when the answer came from the local mail cache instead of Graph" },
+            groups: { type: "array", items: { $ref: "#/components/schemas/GroupItem" }, description: "mode=aggregate: groups instead of `results`" },
+            truncated: { type: "boolean", description: "Present when max_response_tokens pushed items to the next page" },
+            next_cursor: { type: "string", nullable: true, description: "Opaque token for the next page (pass as `cursor`); null on the last page. Expires after CURSOR_TTL_SECONDS." }
+          },
+          additionalProperties: true
+        },
+        ErrorResponse: {
+          type: "object",
+          properties: {
+            error: { oneOf: [{ type: "string" }, { type: "object" }] },
+            message: { type: "string" },
+            details: {},
+            requires_login: { type: "boolean" },
+            user_id: { type: "string", format: "uuid" },
+            login_url: { type: "string", format: "uri" }
+          },
+          additionalProperties: true
+        },
+        ValidationErrorResponse: {
+          type: "object",
+          properties: {
+            error: { type: "string", enum: ["validation_failed"] },
+            message: { type: "string" },
+            details: {
+              type: "array",
+              items: { type: "object", properties: { field: { type: "string" }, message: { type: "string" } } }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+// `npm run openapi` → regenerate the static openapi.json
+if (require.main === module) {
+  fs.writeFileSync(path.join(__dirname, "openapi.json"), JSON.stringify(buildOpenApi(), null, 2) + "\n");
+  console.log("openapi.json written");
+}
+
+module.exports = { buildOpenApi };
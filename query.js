@@ -0,0 +1,120 @@
+/**
+ * query.js
+ *
+ * Compiles the `query` action's structured criteria into one Graph request.
+ *
+ * Graph won't mix $search with $filter or $orderby on messages, and several
+ * criteria only exist on one side (to/cc/subject words need $search; isRead,
+ * importance, flag and categories need $filter). So there are two plans:
+ *
+ *   filter mode  nothing needs $search: everything goes into $filter, newest first
+ *                via $orderby. receivedDateTime always leads the filter, because
+ *                Graph rejects an $orderby property that isn't filtered on first.
+ *   search mode  text, to, cc, subject or a sender *name* is involved: those (plus
+ *                the date range and hasAttachments, to narrow things down) become
+ *                KQL in $search, and every criterion is re-checked on our side,
+ *                then results are sorted here.
+ *
+ * Values are always quoted: OData strings double their single quotes, KQL values
+ * are double-quoted with quotes and backslashes removed from inside.
+ */
+
+const { computeRange } = require("./dates");
+
+const isAddress = (s) => /^[^\s@]+@[^\s@]+$/.test(s);
+
+// OData string literal
+const odata = (v) => `'${String(v).replace(/'/g, "''")}'`;
+// KQL value: a quoted phrase with nothing that could close it early
+const kql = (v) => `"${String(v).replace(/["\\]/g, " ").replace(/\s+/g, " ").trim()}"`;
+// Graph wants a UTC literal in $filter; KQL ranges work on whole days
+const utc = (iso) => new Date(iso).toISOString().replace(/\.\d{3}Z$/, "Z");
+const day = (iso) => new Date(iso).toISOString().slice(0, 10);
+
+const anyOf = (clauses) => (clauses.length === 1 ? clauses[0] : `(${clauses.join(" or ")})`);
+const anyOfKql = (clauses) => (clauses.length === 1 ? clauses[0] : `(${clauses.join(" OR ")})`);
+
+const addresses = (list) => (list || []).map(r => String(r.emailAddress?.address || "").toLowerCase());
+
+/** The date window from startIso/endIso or a relative intent; null when neither was given. */
+function dateWindow(c) {
+  if (c.startIso || c.endIso) return { startIso: c.startIso || null, endIso: c.endIso || null, tz: null };
+  if (c.intent) return computeRange(c);
+  return null;
+}
+
+/**
+ * criteria → plan:
+ *   { mode, folder, filter, search, checks: [{ name, test(rawGraphMessage) }], range }
+ * `checks` are the client-side conditions (search mode only).
+ */
+function compileQuery(c) {
+  const range = dateWindow(c);
+  const from = c.from || [];
+  const needsSearch = !!(c.text || c.subject || (c.to || []).length || (c.cc || []).length || from.some(f => !isAddress(f)));
+
+  const checks = [];
+  const check = (name, test) => checks.push({ name, test });
+
+  if (range?.startIso) check("received>=", m => m.receivedDateTime >= utc(range.startIso));
+  if (range?.endIso) check("received<=", m => m.receivedDateTime <= utc(range.endIso));
+  if (c.has_attachments !== undefined) check("hasAttachments", m => !!m.hasAttachments === c.has_attachments);
+  if (c.is_read !== undefined) check("isRead", m => !!m.isRead === c.is_read);
+  if (c.importance) check("importance", m => m.importance === c.importance);
+  if (c.flag_status) check("flagStatus", m => (m.flag?.flagStatus || "notFlagged") === c.flag_status);
+  if (c.categories?.length) {
+    const wanted = c.categories.map(x => x.toLowerCase());
+    check("categories", m => (m.categories || []).some(x => wanted.includes(x.toLowerCase())));
+  }
+
+  if (!needsSearch) {
+    const clauses = [
+      `receivedDateTime ge ${range?.startIso ? utc(range.startIso) : "1900-01-01T00:00:00Z"}`,
+      ...(range?.endIso ? [`receivedDateTime le ${utc(range.endIso)}`] : []),
+      ...(from.length ? [anyOf(from.map(a => `from/emailAddress/address eq ${odata(a)}`))] : []),
+      ...(c.has_attachments !== undefined ? [`hasAttachments eq ${c.has_attachments}`] : []),
+      ...(c.is_read !== undefined ? [`isRead eq ${c.is_read}`] : []),
+      ...(c.importance ? [`importance eq ${odata(c.importance)}`] : []),
+      ...(c.flag_status ? [`flag/flagStatus eq ${odata(c.flag_status)}`] : []),
+      ...(c.categories?.length ? [anyOf(c.categories.map(x => `categories/any(c:c eq ${odata(x)})`))] : [])
+    ];
+    return { mode: "filter", folder: c.folder || null, filter: clauses.join(" and "), search: null, checks: [], range };
+  }
+
+  // Search mode: KQL narrows, the checks make it exact.
+  const terms = [];
+  // Each word is its own phrase, so words like OR, NOT or "subject:" stay words.
+  if (c.text) terms.push(...String(c.text).split(/\s+/).map(kql).filter(t => t !== '""'));
+  if (c.subject) {
+    terms.push(`subject:${kql(c.subject)}`);
+    const needle = c.subject.toLowerCase();
+    check("subject", m => String(m.subject || "").toLowerCase().includes(needle));
+  }
+  if (from.length) {
+    terms.push(anyOfKql(from.map(f => `from:${kql(f)}`)));
+    if (from.every(isAddress)) {
+      const wanted = from.map(f => f.toLowerCase());
+      check("from", m => wanted.includes(String(m.from?.emailAddress?.address || "").toLowerCase()));
+    }
+  }
+  for (const [field, prop] of [["to", "toRecipients"], ["cc", "ccRecipients"]]) {
+    const list = c[field] || [];
+    if (!list.length) continue;
+    terms.push(anyOfKql(list.map(v => `${field}:${kql(v)}`)));
+    const exact = list.filter(isAddress).map(a => a.toLowerCase());
+    // Names are left to KQL; exact addresses are verified.
+    if (exact.length === list.length) check(field, m => addresses(m[prop]).some(a => exact.includes(a)));
+  }
+  if (range?.startIso) terms.push(`received>=${day(range.startIso)}`);
+  if (range?.endIso) terms.push(`received<=${day(range.endIso)}`);
+  if (c.has_attachments !== undefined) terms.push(`hasattachments:${c.has_attachments}`);
+
+  return { mode: "search", folder: c.folder || null, filter: null, search: terms.join(" "), checks, range };
+}
+
+/** Does a raw Graph message pass every client-side check? */
+function passes(plan, m) {
+  return plan.checks.every(ch => ch.test(m));
+}
+
+module.exports = { compileQuery, passes };
@@ -0,0 +1,75 @@
+/**
+ * rateLimit.js
+ *
+ * Token buckets that keep a runaway agent loop from hammering Graph. Every tool
+ * call takes one token from its API key's bucket and one from its user_id's;
+ * an empty bucket means 429 with Retry-After. Buckets hold RATE_LIMIT_BURST
+ * tokens and refill at the per-minute rate, so short bursts pass and sustained
+ * load is held to the rate. They live in memory, per process.
+ *
+ * Env:
+ *   RATE_LIMIT_KEY_PER_MINUTE    per API key, unless the key sets its own (default 120)
+ *   RATE_LIMIT_USER_PER_MINUTE   per user_id, across all keys (default 60)
+ *   RATE_LIMIT_BURST             bucket size (default 20)
+ *   Setting a rate to 0 turns that limit off.
+ */
+
+const KEY_PER_MINUTE = Number(process.env.RATE_LIMIT_KEY_PER_MINUTE ?? 120);
+const USER_PER_MINUTE = Number(process.env.RATE_LIMIT_USER_PER_MINUTE ?? 60);
+const BURST = Number(process.env.RATE_LIMIT_BURST || 20);
+
+const SWEEP_AT = 10000; // bucket count that triggers dropping the full ones
+
+const buckets = new Map(); // "key:<id>" | "user:<id>" → { tokens, at, capacity, perMs }
+
+function bucket(id, perMinute) {
+  let b = buckets.get(id);
+  if (!b) {
+    if (buckets.size >= SWEEP_AT) sweep();
+    const capacity = Math.max(1, Math.min(BURST, perMinute));
+    b = { tokens: capacity, at: Date.now(), capacity, perMs: perMinute / 60000 };
+    buckets.set(id, b);
+  }
+  const now = Date.now();
+  b.tokens = Math.min(b.capacity, b.tokens + (now - b.at) * b.perMs);
+  b.at = now;
+  return b;
+}
+
+/** A full bucket is the same as no bucket. */
+function sweep() {
+  const now = Date.now();
+  for (const [id, b] of buckets) {
+    if (b.tokens + (now - b.at) * b.perMs >= b.capacity) buckets.delete(id);
+  }
+}
+
+/** Error with a stable `code` and HTTP `status`, mapped by the transports. */
+function limitError(scope, retryAfter) {
+  const err = new Error(`Too many calls for this ${scope === "key" ? "API key" : "user_id"}; retry in ${retryAfter}s.`);
+  err.code = "rate_limited";
+  err.status = 429;
+  err.retryAfter = retryAfter;
+  err.details = { scope, retry_after: retryAfter };
+  return err;
+}
+
+/**
+ * Take one call from the key's and the user's buckets, or throw rate_limited
+ * (429, `retryAfter` in whole seconds). Nothing is taken when either is empty.
+ * key: the apiKeys.js key (or null, e.g. stdio); user_id may be null too.
+ */
+function take({ key, user_id }) {
+  const keyRate = key ? key.rate_per_minute || KEY_PER_MINUTE : 0;
+  const checks = [
+    keyRate > 0 && ["key", bucket(`key:${key.id}`, keyRate)],
+    user_id && USER_PER_MINUTE > 0 && ["user", bucket(`user:${user_id}`, USER_PER_MINUTE)]
+  ].filter(Boolean);
+
+  for (const [scope, b] of checks) {
+    if (b.tokens < 1) throw limitError(scope, Math.ceil((1 - b.tokens) / b.perMs / 1000));
+  }
+  for (const [, b] of checks) b.tokens -= 1;
+}
+
+module.exports = { take };
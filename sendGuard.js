@@ -0,0 +1,137 @@
+/**
+ * sendGuard.js
+ *
+ * Nothing leaves the mailbox on a single call. Compose actions only create drafts
+ * and hand back a preview plus a confirmation token; send_draft sends only when it
+ * gets that token back. The token is bound to the user, the draft and a digest of
+ * what was previewed (recipients, subject, body, attachments), expires quickly and
+ * works once. If the draft changed after the preview, the send is refused.
+ *
+ * Optionally, SEND_ALLOWED_DOMAINS restricts every To/Cc/Bcc address to a list of
+ * domains (subdomains included), checked at preview time and again at send time.
+ *
+ * Env:
+ *   SEND_CONFIRM_SECRET       HMAC key for confirmation tokens (random per process if unset)
+ *   SEND_CONFIRM_TTL_SECONDS  how long a preview stays sendable (default 300)
+ *   SEND_ALLOWED_DOMAINS      e.g. "contoso.com,fabrikam.com" (unset = any recipient)
+ */
+
+const crypto = require("crypto");
+const db = require("./db");
+
+const CONFIRM_TTL_MS = Number(process.env.SEND_CONFIRM_TTL_SECONDS || 300) * 1000;
+const CONFIRM_SECRET = process.env.SEND_CONFIRM_SECRET || crypto.randomBytes(32).toString("hex");
+const ALLOWED_DOMAINS = (process.env.SEND_ALLOWED_DOMAINS || "")
+  .split(",").map(d => d.trim().toLowerCase().replace(/^@/, "")).filter(Boolean);
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS send_confirmations (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  draft_id TEXT NOT NULL,
+  digest TEXT NOT NULL,         -- sha256 of the previewed draft
+  expires_at INTEGER NOT NULL,  -- epoch ms
+  used_at INTEGER,              -- epoch ms, NULL until consumed
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_send_confirmations_expiry ON send_confirmations(expires_at);
+`);
+
+const insertStmt = db.prepare(`
+INSERT INTO send_confirmations (id, user_id, draft_id, digest, expires_at, created_at)
+VALUES (@id, @user_id, @draft_id, @digest, @expires_at, @ts)
+`);
+const getStmt = db.prepare(`SELECT * FROM send_confirmations WHERE id = ?`);
+const markUsedStmt = db.prepare(`UPDATE send_confirmations SET used_at = ? WHERE id = ? AND used_at IS NULL`);
+const purgeStmt = db.prepare(`DELETE FROM send_confirmations WHERE expires_at <= ?`);
+
+/* -------------------- Helpers -------------------- */
+
+const sign = (payload) => crypto.createHmac("sha256", CONFIRM_SECRET).update(payload).digest("base64url");
+
+/** Error with a stable `code` and HTTP `status`, like the registry's actionError. */
+function guardError(code, status, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+const addressesOf = (msg) => [...(msg.to || []), ...(msg.cc || []), ...(msg.bcc || [])].map(r => String(r.address || "").toLowerCase());
+
+/** Digest of everything a human approves in the preview (graph.getMessage shape). */
+function draftDigest(msg) {
+  const canonical = JSON.stringify({
+    to: msg.to.map(r => r.address), cc: msg.cc.map(r => r.address), bcc: msg.bcc.map(r => r.address),
+    subject: msg.subject || "",
+    body: msg.body.content,
+    attachments: msg.attachments.map(a => [a.id, a.size])
+  });
+  return crypto.createHash("sha256").update(canonical).digest("hex");
+}
+
+/* -------------------- Recipient policy -------------------- */
+
+/**
+ * Throws recipient_not_allowed (403) if any recipient is outside SEND_ALLOWED_DOMAINS.
+ * msg: anything with to/cc/bcc lists of { address }.
+ */
+function checkRecipients(msg) {
+  const all = addressesOf(msg);
+  if (!all.length) throw guardError("no_recipients", 422, "The draft has no recipients.");
+  if (!ALLOWED_DOMAINS.length) return;
+
+  const blocked = all.filter(addr => {
+    const domain = addr.split("@")[1] || "";
+    return !ALLOWED_DOMAINS.some(d => domain === d || domain.endsWith(`.${d}`));
+  });
+  if (blocked.length) {
+    throw guardError("recipient_not_allowed", 403, `Sending to ${blocked.join(", ")} is not allowed by server policy.`,
+      { blocked, allowed_domains: ALLOWED_DOMAINS });
+  }
+}
+
+/* -------------------- Confirmation tokens -------------------- */
+
+/** Token for sending exactly this previewed draft. */
+function issue(user_id, msg) {
+  const ts = Date.now();
+  purgeStmt.run(ts);
+
+  const id = crypto.randomBytes(12).toString("base64url");
+  const expires_at = ts + CONFIRM_TTL_MS;
+  insertStmt.run({ id, user_id, draft_id: msg.id, digest: draftDigest(msg), expires_at, ts });
+
+  const payload = `${id}.${expires_at}`;
+  return { confirmation_token: `${payload}.${sign(payload)}`, expires_at: new Date(expires_at).toISOString() };
+}
+
+/**
+ * Burn a token for (user_id, current draft). Throws confirm_invalid (400),
+ * confirm_expired (410), confirm_replayed (409) or draft_changed (409).
+ */
+const consume = db.transaction((token, user_id, msg) => {
+  const [id, exp, sig] = String(token || "").split(".");
+  const expected = id && exp ? Buffer.from(sign(`${id}.${exp}`)) : null;
+  const given = Buffer.from(sig || "");
+  if (!expected || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw guardError("confirm_invalid", 400, "Invalid confirmation token; preview the draft again.");
+  }
+
+  const now = Date.now();
+  const rec = getStmt.get(id);
+  if (!rec || rec.user_id !== user_id || rec.draft_id !== msg.id) {
+    throw guardError("confirm_invalid", 400, "This confirmation token was not issued for this draft.");
+  }
+  if (rec.expires_at <= now) throw guardError("confirm_expired", 410, "The confirmation expired; preview the draft again.");
+  if (rec.used_at != null || markUsedStmt.run(now, id).changes !== 1) {
+    throw guardError("confirm_replayed", 409, "This confirmation token was already used.");
+  }
+  if (rec.digest !== draftDigest(msg)) {
+    throw guardError("draft_changed", 409, "The draft changed after it was previewed; preview it again before sending.");
+  }
+});
+
+module.exports = { checkRecipients, issue, consume, ALLOWED_DOMAINS };
@@ -0,0 +1,159 @@
+/**
+ * sessions.js
+ *
+ * Session lifecycle. A session is a user_id: its primary account's token record
+ * plus any linked accounts (accounts.js), and what hangs off them (mail
+ * subscriptions, the local mail cache).
+ *
+ *   POST   /logout                    {user_id} → sign the session out (API key)
+ *   GET    /admin/sessions            every session with expiry and scopes (admin key)
+ *   DELETE /admin/sessions/:user_id   force sign-out (admin key)
+ *
+ * The sweeper (startSweeper) runs every SESSION_SWEEP_MINUTES and purges what
+ * no longer works: expired token rows (refreshable ones stay in SILENT_REFRESH
+ * mode), accounts whose tokens are gone, and expired OAuth states and cursors.
+ *
+ * Env:
+ *   SESSION_SWEEP_MINUTES   sweep interval (default 60; 0 = only once at boot)
+ */
+
+const express = require("express");
+const tokenStore = require("./tokenStore");
+const accounts = require("./accounts");
+const subscriptions = require("./subscriptions");
+const mailCache = require("./mailCache");
+const oauthState = require("./oauthState");
+const cursors = require("./cursors");
+const { SILENT_REFRESH } = require("./auth");
+
+const SWEEP_MS = Number(process.env.SESSION_SWEEP_MINUTES ?? 60) * 60 * 1000;
+
+const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+/** A token record's state, without decrypting it. */
+function tokenState(token_key) {
+  const meta = tokenStore.meta(token_key);
+  if (!meta) return { signed_in: false };
+  return {
+    signed_in: meta.expiry > Date.now() || (SILENT_REFRESH && meta.refreshable),
+    expires_at: iso(meta.expiry),
+    refreshable: meta.refreshable,
+    scopes: String(meta.scopes || "").split(/\s+/).filter(Boolean)
+  };
+}
+
+/* -------------------- Status -------------------- */
+
+/** Primary account and linked ones, each with sign-in state, expiry and scopes. */
+function status(user_id) {
+  const all = accounts.list(user_id);
+  const primary = all.find(a => a.is_primary);
+  return {
+    user_id,
+    ...tokenState(user_id),
+    account: primary?.username || null,
+    name: primary?.display_name || null,
+    linked: all.filter(a => !a.is_primary).map(a => ({ mailbox: a.username, ...tokenState(a.token_key) }))
+  };
+}
+
+/** Every session that has a token record, newest activity first (admin). */
+function list() {
+  const sessions = new Map();
+  for (const row of tokenStore.list()) {
+    const user_id = accounts.get(row.user_id)?.user_id || row.user_id;
+    if (!sessions.has(user_id)) sessions.set(user_id, { user_id, accounts: 0, last_active: null });
+    const s = sessions.get(user_id);
+    s.accounts++;
+    s.last_active = s.last_active || iso(row.updated_at); // rows come newest first
+  }
+  return [...sessions.values()].map(s => ({ ...status(s.user_id), accounts: s.accounts, last_active: s.last_active }));
+}
+
+/* -------------------- Sign-out -------------------- */
+
+/**
+ * Sign a session out everywhere: stop its subscriptions (while a token can still
+ * delete them at Graph), then drop every account's tokens and cached mail.
+ * → { tokens, accounts, subscriptions } removed counts.
+ */
+async function logout(user_id) {
+  const removed = { tokens: 0, accounts: 0, subscriptions: await subscriptions.removeForUser(user_id) };
+  const keys = new Set([user_id, ...accounts.list(user_id).map(a => a.token_key)]);
+  for (const key of keys) {
+    if (tokenStore.delete(key)) removed.tokens++;
+    if (accounts.get(key)) {
+      accounts.remove(key);
+      removed.accounts++;
+    }
+    mailCache.clear(key);
+  }
+  return removed;
+}
+
+/* -------------------- Sweeper -------------------- */
+
+function sweep() {
+  const result = {
+    tokens: tokenStore.deleteExpired({ keepRefreshable: SILENT_REFRESH }),
+    accounts: 0,
+    oauth_states: oauthState.purgeExpired(),
+    cursors: cursors.purgeExpired()
+  };
+  for (const a of accounts.all()) {
+    if (tokenStore.meta(a.token_key)) continue;
+    accounts.remove(a.token_key);
+    result.accounts++;
+  }
+  if (result.tokens || result.accounts) console.log(`[sessions] swept ${result.tokens} expired token(s), ${result.accounts} signed-out account(s)`);
+  return result;
+}
+
+/** Sweep now and then every SWEEP_MS; the timer doesn't keep the process alive. */
+function startSweeper() {
+  const run = () => {
+    try {
+      sweep();
+    } catch (e) {
+      console.warn("[sessions] sweep failed:", e.message);
+    }
+  };
+  run();
+  if (SWEEP_MS > 0) setInterval(run, SWEEP_MS).unref();
+}
+
+/* -------------------- HTTP -------------------- */
+
+/**
+ * Express router for /logout and /admin/sessions.
+ * - isAuthorized(req, user_id, { write }): may this API key act for user_id (and
+ *   make changes, for /logout)
+ * - isAdmin(req): admin key check
+ */
+function createRouter({ isAuthorized, isAdmin }) {
+  const router = express.Router();
+
+  router.post("/logout", async (req, res) => {
+    const user_id = (req.body?.user_id || req.get("X-User-Id") || "").toString().trim();
+    if (!user_id) return res.status(400).json({ error: "user_id_required", message: "Send the user_id to sign out." });
+    if (!isAuthorized(req, user_id, { write: true })) return res.status(401).json({ error: "Invalid API key" });
+    return res.json({ logged_out: true, user_id, removed: await logout(user_id) });
+  });
+
+  router.get("/admin/sessions", (req, res) => {
+    if (!isAdmin(req)) return res.status(401).json({ error: "Invalid admin key" });
+    const sessions = list();
+    return res.json({ sessions, count: sessions.length });
+  });
+
+  router.delete("/admin/sessions/:user_id", async (req, res) => {
+    if (!isAdmin(req)) return res.status(401).json({ error: "Invalid admin key" });
+    const removed = await logout(req.params.user_id);
+    if (!removed.tokens && !removed.accounts && !removed.subscriptions) return res.status(404).json({ error: "session_not_found" });
+    return res.json({ revoked: true, user_id: req.params.user_id, removed });
+  });
+
+  return router;
+}
+
+module.exports = { status, list, logout, sweep, startSweeper, createRouter };
@@ -0,0 +1,99 @@
+/**
+ * shape.js
+ *
+ * Response shaping for list actions, so a page fits an LLM's context budget:
+ *   fields               keep only these item properties (`id` always stays)
+ *   max_chars_per_field  cut longer strings (nested ones too), ending them with "…"
+ *   max_response_tokens  stop adding items once the response would go over; the
+ *                        caller reports `truncated: true` and pages on from there
+ *   aggregate()          group_by sender | domain | day | folder summaries instead
+ *                        of rows
+ * Tokens are estimated, not counted: about four characters of JSON per token,
+ * which is close enough for English mail and errs large for markup.
+ */
+
+const { DateTime } = require("luxon");
+
+const CHARS_PER_TOKEN = 4;
+
+/** Approximate token count of a JSON value. */
+function estimateTokens(value) {
+  return Math.ceil(JSON.stringify(value ?? null).length / CHARS_PER_TOKEN);
+}
+
+function clip(value, max) {
+  if (typeof value === "string") return value.length > max ? `${value.slice(0, max)}…` : value;
+  if (Array.isArray(value)) return value.map(v => clip(v, max));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clip(v, max)]));
+  }
+  return value;
+}
+
+/** One item with { fields, max_chars_per_field } applied. */
+function project(item, { fields, max_chars_per_field } = {}) {
+  let out = item;
+  if (fields?.length) {
+    out = { id: item.id };
+    for (const f of fields) if (f in item) out[f] = item[f];
+  }
+  return max_chars_per_field ? clip(out, max_chars_per_field) : out;
+}
+
+/**
+ * Shape a page. `envelope` is the rest of the response (meta, cursor), counted
+ * against max_response_tokens. At least one item is always kept, so paging
+ * moves forward even when a single item is over budget.
+ *   → { items, kept, truncated }   kept = how many of `items` made it in
+ */
+function fit(items, options = {}, envelope = {}) {
+  const shaped = items.map(i => project(i, options));
+  const budget = options.max_response_tokens;
+  if (!budget) return { items: shaped, kept: shaped.length, truncated: false };
+
+  let used = estimateTokens(envelope) + 16; // + key, count, next_cursor
+  let kept = 0;
+  for (const item of shaped) {
+    used += estimateTokens(item);
+    if (used > budget && kept > 0) break;
+    kept++;
+  }
+  return { items: shaped.slice(0, kept), kept, truncated: kept < shaped.length };
+}
+
+/* -------------------- Aggregation -------------------- */
+
+const GROUP_KEYS = {
+  sender: (m) => String(m.from || "(unknown)").toLowerCase(),
+  domain: (m) => String(m.from || "").toLowerCase().split("@")[1] || "(unknown)",
+  day: (m, { tz }) => (m.received ? DateTime.fromISO(m.received, { zone: tz }).toISODate() : "(unknown)"),
+  folder: (m, { folderPath }) => folderPath(m.folderId) || m.folderId || "(unknown)"
+};
+
+const GROUP_BY = Object.keys(GROUP_KEYS);
+
+/**
+ * Messages → [{ key, count, newestReceived, newestSubject }], biggest group
+ * first (days newest first). Options: { group_by, tz, folderPath(id) }.
+ */
+function aggregate(messages, { group_by, tz = "UTC", folderPath = () => null }) {
+  const keyOf = GROUP_KEYS[group_by];
+  const groups = new Map();
+  for (const m of messages) {
+    const key = keyOf(m, { tz, folderPath });
+    const g = groups.get(key) || { key, count: 0, newestReceived: null, newestSubject: null };
+    g.count++;
+    if (!g.newestReceived || (m.received && m.received > g.newestReceived)) {
+      g.newestReceived = m.received || null;
+      g.newestSubject = m.subject || null;
+    }
+    if (group_by === "folder" && m.folderId) g.folderId = m.folderId;
+    groups.set(key, g);
+  }
+  const list = [...groups.values()];
+  return group_by === "day"
+    ? list.sort((a, b) => (a.key < b.key ? 1 : -1))
+    : list.sort((a, b) => b.count - a.count || (a.newestReceived < b.newestReceived ? 1 : -1));
+}
+
+module.exports = { estimateTokens, project, fit, aggregate, GROUP_BY };
@@ -0,0 +1,313 @@
+/**
+ * subscriptions.js
+ *
+ * New-mail push instead of polling. The `subscribe` action registers a Graph
+ * change-notification subscription for one folder; Graph then POSTs each change
+ * to us and we pass it on to the user's open event streams.
+ *
+ *   POST /graph/notifications           Graph → us. Echoes the validationToken
+ *                                       handshake; otherwise checks each item's
+ *                                       clientState against its subscription and
+ *                                       forwards the good ones
+ *   GET  /events?user_id=<id>           us → client, Server-Sent Events ("mail"),
+ *                                       behind the API key
+ *   POST /graph/notifications/simulate  local harness (NOTIFICATIONS_SIMULATE=true):
+ *                                       builds a notification for one of user_id's
+ *                                       subscriptions and feeds it through the same
+ *                                       path as a real one
+ *
+ * Subscriptions are stored in SQLite so renewals survive a restart: a timer
+ * (startRenewal) extends each one an hour before it lapses, with a token of the
+ * account that created it, and drops those whose account is signed out for good.
+ * Streams live in this process only; there is no replay of missed events.
+ *
+ * Env:
+ *   NOTIFICATION_URL          public HTTPS URL Graph posts to
+ *                             (default PUBLIC_BASE_URL + /graph/notifications)
+ *   SUBSCRIPTION_MINUTES      lifetime asked for on create/renew (default 4200;
+ *                             Graph's limit for mail is a bit over that)
+ *   NOTIFICATIONS_SIMULATE    "true" enables the simulate endpoint
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const db = require("./db");
+const graph = require("./graph");
+
+const BASE_URL = process.env.PUBLIC_BASE_URL || `http://localhost:${Number(process.env.PORT || 3001)}`;
+const NOTIFICATION_URL = process.env.NOTIFICATION_URL || `${BASE_URL}/graph/notifications`;
+const LIFETIME_MS = Number(process.env.SUBSCRIPTION_MINUTES || 4200) * 60 * 1000;
+const SIMULATE = String(process.env.NOTIFICATIONS_SIMULATE || "false").toLowerCase() === "true";
+
+const RENEW_BEFORE_MS = 60 * 60 * 1000;
+const RENEW_CHECK_MS = 10 * 60 * 1000;
+const KEEPALIVE_MS = 25 * 1000;
+
+// auth.js brings token storage (and TOKEN_ENC_KEYS) with it; only renewals and
+// deletes need it, so it is loaded then.
+const getValidToken = (account) => require("./auth").getValidToken(account);
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id TEXT PRIMARY KEY,          -- Graph subscription id
+  user_id TEXT NOT NULL,        -- session whose streams get the notifications
+  account TEXT NOT NULL,        -- token record that created it (renew/delete)
+  mailbox TEXT,                 -- that account's address, echoed in events
+  folder_id TEXT NOT NULL,
+  folder_path TEXT,
+  change_types TEXT NOT NULL,   -- comma-separated
+  client_state TEXT NOT NULL,   -- secret Graph repeats in every notification
+  expires_at INTEGER NOT NULL,  -- epoch ms
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_user ON subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_expiry ON subscriptions(expires_at);
+`);
+
+const insertStmt = db.prepare(`
+INSERT INTO subscriptions (id, user_id, account, mailbox, folder_id, folder_path, change_types, client_state, expires_at, created_at)
+VALUES (@id, @user_id, @account, @mailbox, @folder_id, @folder_path, @change_types, @client_state, @expires_at, @ts)
+`);
+const getStmt = db.prepare(`SELECT * FROM subscriptions WHERE id = ?`);
+const byUserStmt = db.prepare(`SELECT * FROM subscriptions WHERE user_id = ? ORDER BY created_at`);
+const dueStmt = db.prepare(`SELECT * FROM subscriptions WHERE expires_at <= ?`);
+const renewStmt = db.prepare(`UPDATE subscriptions SET expires_at = ? WHERE id = ?`);
+const deleteStmt = db.prepare(`DELETE FROM subscriptions WHERE id = ?`);
+
+/** Error with a stable `code` and HTTP `status`, mapped by the transports. */
+function subscriptionError(code, status, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+/** What clients see of a stored subscription (never the clientState). */
+const publicView = (row) => ({
+  id: row.id,
+  mailbox: row.mailbox,
+  folder: row.folder_path,
+  folderId: row.folder_id,
+  change_types: row.change_types.split(","),
+  expires_at: new Date(row.expires_at).toISOString()
+});
+
+/* -------------------- Subscriptions -------------------- */
+
+/**
+ * Subscribe to a folder. owner: { user_id, account, token, mailbox } — the
+ * session, the token record and token doing the call, and its address.
+ * folder: { id, path } (folderCache.resolve).
+ */
+async function create(owner, folder, changeTypes) {
+  const client_state = crypto.randomBytes(24).toString("base64url");
+  const sub = await graph.createSubscription({
+    access_token: owner.token,
+    folderId: folder.id,
+    changeTypes,
+    notificationUrl: NOTIFICATION_URL,
+    clientState: client_state,
+    expiresAt: new Date(Date.now() + LIFETIME_MS).toISOString()
+  });
+
+  const row = {
+    id: sub.id,
+    user_id: owner.user_id,
+    account: owner.account,
+    mailbox: owner.mailbox || null,
+    folder_id: folder.id,
+    folder_path: folder.path || null,
+    change_types: changeTypes.join(","),
+    client_state,
+    expires_at: Date.parse(sub.expiresAt),
+    ts: Date.now()
+  };
+  insertStmt.run(row);
+  return publicView(row);
+}
+
+function list(user_id) {
+  return byUserStmt.all(user_id).map(publicView);
+}
+
+/** Delete at Graph (best effort once it is already gone there) and locally. */
+async function drop(row) {
+  const access_token = await getValidToken(row.account).catch(() => null);
+  if (access_token) {
+    try {
+      await graph.deleteSubscription({ access_token, id: row.id });
+    } catch (e) {
+      if (e.response?.status !== 404) throw e;
+    }
+  }
+  deleteStmt.run(row.id);
+}
+
+/** Remove one of user_id's subscriptions. Throws subscription_not_found (404). */
+async function remove(user_id, id) {
+  const row = getStmt.get(id);
+  if (!row || row.user_id !== user_id) throw subscriptionError("subscription_not_found", 404, `No subscription "${id}" for this user.`);
+  await drop(row);
+  return publicView(row);
+}
+
+/** Remove all of user_id's subscriptions, e.g. when the session signs out. */
+async function removeForUser(user_id) {
+  let removed = 0;
+  for (const row of byUserStmt.all(user_id)) {
+    try {
+      await drop(row);
+      removed++;
+    } catch (e) {
+      console.warn(`[subscriptions] could not delete ${row.id}:`, e.response?.data?.error?.code || e.message);
+      deleteStmt.run(row.id); // we stop listening either way; Graph lets it lapse
+    }
+  }
+  return removed;
+}
+
+/* -------------------- Renewal -------------------- */
+
+/** Extend everything that lapses within RENEW_BEFORE_MS. */
+async function renewDue() {
+  const now = Date.now();
+  for (const row of dueStmt.all(now + RENEW_BEFORE_MS)) {
+    const access_token = await getValidToken(row.account).catch(() => null);
+    if (!access_token) {
+      // Signed out: nothing can renew it. Keep it while it may still deliver.
+      if (row.expires_at <= now) deleteStmt.run(row.id);
+      continue;
+    }
+    try {
+      const sub = await graph.renewSubscription({ access_token, id: row.id, expiresAt: new Date(now + LIFETIME_MS).toISOString() });
+      renewStmt.run(Date.parse(sub.expiresAt), row.id);
+    } catch (e) {
+      if (e.response?.status === 404) deleteStmt.run(row.id); // gone at Graph (expired or removed)
+      else console.warn(`[subscriptions] renewing ${row.id} failed:`, e.response?.data?.error?.code || e.message);
+    }
+  }
+}
+
+/** Renew now and then every RENEW_CHECK_MS; the timer doesn't keep the process alive. */
+function startRenewal() {
+  const run = () => renewDue().catch(e => console.error("[subscriptions] renewal failed:", e.message));
+  run();
+  setInterval(run, RENEW_CHECK_MS).unref();
+}
+
+/* -------------------- Event streams -------------------- */
+
+const streams = new Map(); // user_id → Set<res>
+let eventId = 0;
+
+function listen(user_id, res) {
+  if (!streams.has(user_id)) streams.set(user_id, new Set());
+  streams.get(user_id).add(res);
+  return () => {
+    const set = streams.get(user_id);
+    set?.delete(res);
+    if (set && !set.size) streams.delete(user_id);
+  };
+}
+
+/** Send one SSE event to every open stream of user_id; returns how many got it. */
+function publish(user_id, event, data) {
+  const set = streams.get(user_id);
+  if (!set) return 0;
+  const frame = `id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of set) res.write(frame);
+  return set.size;
+}
+
+/* -------------------- Notifications -------------------- */
+
+function sameSecret(given, expected) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * A Graph notification body ({ value: [...] }) → { accepted, rejected, delivered }.
+ * Items for unknown subscriptions or with the wrong clientState are dropped.
+ */
+function handleNotifications(body) {
+  const result = { accepted: 0, rejected: 0, delivered: 0 };
+  for (const n of Array.isArray(body?.value) ? body.value : []) {
+    const row = n.subscriptionId ? getStmt.get(n.subscriptionId) : null;
+    if (!row || !sameSecret(n.clientState, row.client_state)) {
+      result.rejected++;
+      continue;
+    }
+    result.accepted++;
+    result.delivered += publish(row.user_id, "mail", {
+      subscription_id: row.id,
+      change_type: n.changeType,
+      message_id: n.resourceData?.id || null,
+      mailbox: row.mailbox,
+      folder: row.folder_path,
+      folderId: row.folder_id
+    });
+  }
+  if (result.rejected) console.warn(`[subscriptions] rejected ${result.rejected} notification(s) with unknown subscription or bad clientState`);
+  return result;
+}
+
+/* -------------------- HTTP -------------------- */
+
+/**
+ * Express router for the notification endpoint and the event streams.
+ * - isAuthorized(req, user_id?): the API key gate (may this key act for user_id?);
+ *   Graph's POSTs are checked by clientState instead
+ */
+function createRouter({ isAuthorized }) {
+  const router = express.Router();
+
+  router.post("/graph/notifications", (req, res) => {
+    // Handshake on create/renew: echo the token as text/plain within 10 seconds.
+    if (req.query.validationToken) return res.type("text/plain").send(String(req.query.validationToken));
+    handleNotifications(req.body);
+    return res.status(202).end(); // Graph retries anything not acknowledged quickly
+  });
+
+  if (SIMULATE) {
+    router.post("/graph/notifications/simulate", (req, res) => {
+      const { user_id, subscription_id, message_id = `simulated-${Date.now()}`, change_type = "created", client_state } = req.body || {};
+      if (!user_id) return res.status(400).json({ error: "user_id_required", message: "Pass the user_id that owns the subscription." });
+      if (!isAuthorized(req, String(user_id))) return res.status(401).json({ error: "Invalid API key" });
+      // Like remove(): another user's subscription looks the same as a missing one.
+      const row = getStmt.get(String(subscription_id || ""));
+      if (!row || row.user_id !== String(user_id)) return res.status(404).json({ error: "subscription_not_found" });
+      const notification = {
+        subscriptionId: row.id,
+        clientState: client_state ?? row.client_state, // pass a wrong one to see it rejected
+        changeType: change_type,
+        resource: `me/mailFolders('${row.folder_id}')/messages('${message_id}')`,
+        resourceData: { "@odata.type": "#Microsoft.Graph.Message", id: message_id }
+      };
+      return res.json(handleNotifications({ value: [notification] }));
+    });
+  }
+
+  router.get("/events", (req, res) => {
+    const user_id = (req.get("X-User-Id") || req.query.user_id || "").toString().trim();
+    if (!user_id) return res.status(400).json({ error: "user_id_required", message: "Pass the same user_id as on /execute_tool." });
+    if (!isAuthorized(req, user_id)) return res.status(401).json({ error: "Invalid API key" });
+
+    res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive", "X-Accel-Buffering": "no" });
+    res.flushHeaders();
+    res.write(`retry: 5000\nevent: ready\ndata: ${JSON.stringify({ user_id, subscriptions: byUserStmt.all(user_id).length })}\n\n`);
+
+    const unlisten = listen(user_id, res);
+    const keepalive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_MS);
+    req.on("close", () => {
+      clearInterval(keepalive);
+      unlisten();
+    });
+  });
+
+  return router;
+}
+
+module.exports = { create, list, remove, removeForUser, startRenewal, handleNotifications, createRouter, NOTIFICATION_URL };
@@ -0,0 +1,49 @@
+/**
+ * dates.js computeRange: relative intents against a fixed clock and zone.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Settings } = require("luxon");
+const { computeRange } = require("../dates");
+
+// Wednesday 2025-03-12, 02:30 UTC: still the 11th in Chicago.
+const NOW = Date.parse("2025-03-12T02:30:00Z");
+const realNow = Settings.now;
+Settings.now = () => NOW;
+after(() => { Settings.now = realNow; });
+
+const tz = "America/Chicago";
+
+test("today is the local calendar day", () => {
+  assert.deepEqual(computeRange({ tz, intent: "today" }), {
+    startIso: "2025-03-11T00:00:00-05:00",
+    endIso: "2025-03-11T23:59:59.999-05:00",
+    tz
+  });
+  const utc = computeRange({ tz: "UTC", intent: "today" });
+  assert.equal(utc.startIso, "2025-03-12T00:00:00Z");
+});
+
+test("last_n_days reaches back n whole days and ends today", () => {
+  const r = computeRange({ tz, intent: "last_n_days", n: 3 });
+  assert.equal(r.startIso, "2025-03-08T00:00:00-06:00"); // before the DST change on the 9th
+  assert.equal(r.endIso, "2025-03-11T23:59:59.999-05:00");
+  assert.equal(computeRange({ tz, intent: "last_n_days" }).startIso, "2025-03-04T00:00:00-06:00"); // n defaults to 7
+});
+
+test("between covers both whole days, whichever order they come in", () => {
+  const expected = { startIso: "2025-03-01T00:00:00-06:00", endIso: "2025-03-10T23:59:59.999-05:00", tz };
+  assert.deepEqual(computeRange({ tz, intent: "between", start: "2025-03-01", end: "2025-03-10" }), expected);
+  assert.deepEqual(computeRange({ tz, intent: "between", start: "2025-03-10", end: "2025-03-01" }), expected);
+  assert.throws(() => computeRange({ tz, intent: "between", start: "2025-03-01", end: "soon" }), /Invalid 'between' dates/);
+});
+
+test("on_date is that day in the given zone", () => {
+  assert.deepEqual(computeRange({ tz: "Asia/Tokyo", intent: "on_date", on: "2025-01-15" }), {
+    startIso: "2025-01-15T00:00:00+09:00",
+    endIso: "2025-01-15T23:59:59.999+09:00",
+    tz: "Asia/Tokyo"
+  });
+  assert.throws(() => computeRange({ tz, intent: "on_date", on: "15/01/2025" }), /Invalid 'on' date/);
+});
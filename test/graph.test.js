@@ -0,0 +1,109 @@
+/**
+ * graph.js against fakeGraph.js: nextLink paging and its limits, result order,
+ * 429 + Retry-After, and the sender-name bootstrap. Run with `npm test`.
+ *
+ * graph.js reads GRAPH_BASE_URL when it loads, so it is required only once the
+ * fake is listening.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeGraph, sampleMessages } = require("../fakeGraph");
+
+const access_token = "test-token";
+
+let fake;
+let server;
+let graph;
+
+before(async () => {
+  const messages = sampleMessages(250);
+  // Graph can hand the same message back twice while paging, and spells one
+  // address several ways; the bootstrap has to collapse both.
+  const ada = messages.find(m => m.from.emailAddress.address === "ada@example.com");
+  messages.push({ ...ada }, {
+    ...ada,
+    id: "msg-upper",
+    receivedDateTime: "2025-02-01T09:00:00Z",
+    from: { emailAddress: { name: "Ada Lovelace", address: "ADA@Example.com" } }
+  });
+
+  fake = createFakeGraph({ messages });
+  server = await fake.listen(0);
+  process.env.GRAPH_BASE_URL = server.url;
+  delete process.env.GRAPH_TAPE;
+  graph = require("../graph");
+});
+
+after(() => server.close());
+
+test("follows @odata.nextLink to the end of the mailbox", async () => {
+  fake.requests.length = 0;
+  const { results, count } = await graph.readAllMailbox({ access_token, max: 5000 });
+
+  assert.equal(count, fake.messages.length);
+  assert.ok(fake.requests.length > 1, "expected more than one page");
+  assert.ok(fake.requests.slice(1).every(r => /(\$|%24)skip=/.test(r.path)), "later pages come from nextLink");
+  const received = results.map(m => m.received);
+  assert.deepEqual(received, [...received].sort().reverse(), "newest first across pages");
+});
+
+test("stops at max without fetching further pages", async () => {
+  fake.requests.length = 0;
+  const { count } = await graph.readLatest(access_token, 10);
+
+  assert.equal(count, 10);
+  assert.equal(fake.requests.length, 1);
+});
+
+test("max cuts a deep read short, mid-page included", async () => {
+  fake.requests.length = 0;
+  const { results, count } = await graph.readAllMailbox({ access_token, max: 150 });
+
+  assert.equal(count, 150);
+  assert.equal(fake.requests.length, 2, "two pages of 100, not the third");
+  const newest = [...fake.messages].sort((a, b) => Date.parse(b.receivedDateTime) - Date.parse(a.receivedDateTime));
+  assert.deepEqual(results.map(m => m.id), newest.slice(0, 150).map(m => m.id));
+});
+
+test("sender and keyword searches come back newest first, whatever order Graph used", async () => {
+  // msg-upper is the newest message but sits last in the fake's (unordered) results.
+  const bySender = await graph.searchBySenderEmail({ access_token, email: "ada@example.com" });
+  const received = bySender.results.map(m => m.received);
+  assert.equal(bySender.results[0].id, "msg-upper");
+  assert.deepEqual(received, [...received].sort().reverse());
+
+  const byWord = await graph.searchAllMail({ access_token, query: "Lovelace", top: 1000 });
+  assert.equal(byWord.results[0].id, "msg-upper");
+  assert.deepEqual(byWord.results.map(m => m.received), [...byWord.results.map(m => m.received)].sort().reverse());
+});
+
+test("retries a 429 after the Retry-After delay", async () => {
+  fake.requests.length = 0;
+  fake.fail({ status: 429, retryAfter: 1 });
+
+  const started = Date.now();
+  const { count } = await graph.readLatest(access_token, 5);
+
+  assert.equal(count, 5);
+  assert.deepEqual(fake.requests.map(r => r.status), [429, 200]);
+  assert.ok(Date.now() - started >= 900, "waited for Retry-After");
+});
+
+test("gives up once the retries are spent", async () => {
+  fake.requests.length = 0;
+  fake.fail({ status: 503, retryAfter: 0.01, times: 5 }); // the first try + maxRetries (4)
+
+  await assert.rejects(graph.searchBySenderEmail({ access_token, email: "alan@example.com" }), (e) => e.response?.status === 503);
+  assert.deepEqual(fake.requests.map(r => r.status), [503, 503, 503, 503, 503]);
+});
+
+test("sender bootstrap dedupes addresses and messages", async () => {
+  const { results, count, discoveredSenders } = await graph.searchSenderByNameBootstrap({ access_token, name: "Ada Lovelace" });
+
+  assert.deepEqual(discoveredSenders, ["ada@example.com"]);
+  const ids = results.map(m => m.id);
+  assert.equal(new Set(ids).size, ids.length, "no message twice");
+  assert.equal(count, fake.messages.filter(m => m.from.emailAddress.address.toLowerCase() === "ada@example.com").length - 1);
+  assert.ok(ids.includes("msg-upper"));
+});
@@ -0,0 +1,78 @@
+/**
+ * graphTape.js: record graph.js calls against fakeGraph.js, replay them with the
+ * fake gone, and check what the tape keeps out.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeGraph } = require("../fakeGraph");
+
+const access_token = "secret-bearer-token";
+const clientState = "secret-client-state";
+
+let dir;
+let server;
+let graph;
+let graphTape;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "graph-tape-"));
+  server = await createFakeGraph().listen(0);
+  process.env.GRAPH_BASE_URL = server.url;
+  delete process.env.GRAPH_TAPE;
+  graph = require("../graph");
+  graphTape = require("../graphTape");
+});
+
+after(async () => {
+  graphTape.use(null);
+  await server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** The calls both runs make: a paged read and a write carrying a clientState. */
+async function calls() {
+  const listed = await graph.readAllMailbox({ access_token, max: 30 });
+  const subscribed = await graph.createSubscription({
+    access_token,
+    folderId: "inbox",
+    notificationUrl: "https://example.com/graph/notifications",
+    clientState,
+    expiresAt: "2025-02-01T00:00:00Z"
+  }).catch(e => e.response?.status); // the fake has no /subscriptions: a recorded 404
+  return { listed, subscribed };
+}
+
+test("replays a recording with the server gone, without its secrets", async () => {
+  const file = path.join(dir, "tape.json");
+
+  graphTape.use({ file, mode: "record" });
+  const recorded = await calls();
+  assert.equal(recorded.listed.count, 30);
+  assert.equal(recorded.subscribed, 404);
+
+  const text = fs.readFileSync(file, "utf8");
+  assert.ok(!text.includes(access_token), "bearer token stored");
+  assert.ok(!text.includes(clientState), "clientState stored");
+  assert.ok(!text.includes(server.url), "absolute Graph URL stored");
+  const entries = JSON.parse(text).entries;
+  assert.equal(entries.find(e => e.method === "post").body.clientState, "[scrubbed]");
+  assert.ok(entries.every(e => !("headers" in e) || !Object.keys(e.headers).some(h => /authorization/i.test(h))));
+
+  await server.close();
+  graphTape.use({ file, mode: "replay" });
+  assert.deepEqual(await calls(), recorded);
+});
+
+test("a request the tape doesn't have fails with tape_miss", async () => {
+  graphTape.use({ file: path.join(dir, "tape.json"), mode: "replay" });
+  await assert.rejects(graph.readLatest(access_token, 3), (e) => e.code === "tape_miss");
+});
+
+test("replaying a tape that doesn't exist fails with tape_missing", () => {
+  assert.throws(() => graphTape.use({ file: path.join(dir, "nope.json"), mode: "replay" }), (e) => e.code === "tape_missing");
+  assert.throws(() => graphTape.use({ file: path.join(dir, "tape.json"), mode: "rewind" }), (e) => e.code === "tape_invalid");
+});
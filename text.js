@@ -0,0 +1,98 @@
+/**
+ * text.js
+ *
+ * Turning email bodies into clean text for the LLM: HTML → text, quoted reply
+ * chains removed, and chunking with a continuation offset. No DOM, just regexes
+ * that are good enough for what Outlook, Gmail and friends actually send.
+ */
+
+const NAMED_ENTITIES = {
+  nbsp: " ", amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", "#39": "'",
+  ndash: "–", mdash: "—", hellip: "…", rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“",
+  bull: "•", middot: "·", copy: "©", reg: "®", trade: "™", euro: "€", pound: "£", zwnj: "", zwj: ""
+};
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z0-9]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    const v = NAMED_ENTITIES[e.toLowerCase()];
+    return v === undefined ? m : v;
+  });
+}
+
+/** HTML → readable plain text (paragraphs, line breaks, list bullets, link targets kept). */
+function htmlToText(html) {
+  let s = String(html || "");
+  s = s.replace(/<!--[\s\S]*?-->/g, "");
+  s = s.replace(/<(head|style|script|title|xml)\b[\s\S]*?<\/\1\s*>/gi, "");
+  s = s.replace(/<a\b[^>]*?href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a\s*>/gi, (_m, href, inner) => {
+    const label = inner.replace(/<[^>]+>/g, "").trim();
+    if (!label || /^mailto:/i.test(href) || decodeEntities(label) === decodeEntities(href)) return inner;
+    return `${inner} (${href})`;
+  });
+  s = s.replace(/<br\s*\/?>/gi, "\n");
+  s = s.replace(/<li\b[^>]*>/gi, "\n- ");
+  s = s.replace(/<\/(td|th)\s*>/gi, " | ");
+  s = s.replace(/<hr\b[^>]*>/gi, "\n________________________________\n");
+  s = s.replace(/<\/?(p|div|tr|table|ul|ol|h[1-6]|blockquote|section|article|header|footer)\b[^>]*>/gi, "\n");
+  s = s.replace(/<[^>]+>/g, "");
+  s = decodeEntities(s);
+  return normalizeWhitespace(s);
+}
+
+function normalizeWhitespace(s) {
+  return s
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t\u00a0]+/g, " ")
+    .split("\n").map(l => l.trim().replace(/\s*\|\s*$/, "")).join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Where a quoted reply/forward chain starts in common clients' plain text.
+const QUOTE_MARKERS = [
+  /^-{2,}\s*Original Message\s*-{2,}/im,                     // Outlook (plain)
+  /^_{10,}\s*\n+\s*(From|De|Von|Van|Da):/im,                 // Outlook (HTML → text)
+  /^(From|De|Von|Van|Da):[^\n]*\n(?:[^\n]*\n){0,3}?(Sent|Date|Envoyé|Gesendet|Verzonden|Inviato):/im,
+  /^On .{1,300}?wrote:\s*$/im,                               // Gmail / Apple Mail
+  /^-{2,}\s*Forwarded message\s*-{2,}/im,
+  /^(>[^\n]*\n?){2,}/m                                       // classic > quoting
+];
+
+/**
+ * Drop the quoted chain below the newest reply.
+ * Returns { text, removed } where removed=true if anything was cut.
+ */
+function stripQuoted(text) {
+  const s = String(text || "");
+  let cut = -1;
+  for (const re of QUOTE_MARKERS) {
+    const m = re.exec(s);
+    if (m && m.index > 0 && (cut < 0 || m.index < cut)) cut = m.index;
+  }
+  if (cut < 0) return { text: s, removed: false };
+  return { text: s.slice(0, cut).trim(), removed: true };
+}
+
+/**
+ * Window of `text` starting at `offset`, at most `maxChars` long.
+ * next_offset is null when the end was reached.
+ */
+function sliceText(text, offset = 0, maxChars = 20000) {
+  const s = String(text || "");
+  const start = Math.min(Math.max(0, offset), s.length);
+  const chunk = s.slice(start, start + maxChars);
+  const end = start + chunk.length;
+  return {
+    text: chunk,
+    offset: start,
+    total_chars: s.length,
+    truncated: end < s.length,
+    next_offset: end < s.length ? end : null
+  };
+}
+
+module.exports = { htmlToText, stripQuoted, sliceText, decodeEntities };
@@ -0,0 +1,94 @@
+/**
+ * thread.js
+ *
+ * Rebuilds a conversation from its messages (graph.getConversation): oldest first,
+ * each body reduced to what that message actually added, plus who took part.
+ *
+ * Quoted history is removed in two passes. Graph's uniqueBody already drops the
+ * part of the body Exchange recognises as quoted; when it is empty we fall back to
+ * stripQuoted(). Whatever is left is split into paragraphs, and paragraphs already
+ * seen earlier in the thread (inline quotes, re-pasted text) are dropped too.
+ */
+
+const { htmlToText, stripQuoted } = require("./text");
+
+// Short paragraphs ("Thanks,", "Hi all") repeat legitimately; only dedupe real content.
+const MIN_DEDUPE_CHARS = 40;
+
+const bodyText = (b) => (b?.contentType === "html" ? htmlToText(b.content) : String(b?.content || "").trim());
+const paragraphKey = (p) => p.toLowerCase().replace(/^[>\s]+/gm, "").replace(/\s+/g, " ").trim();
+
+/** Only the text this message added to the thread. */
+function newText(msg, seen) {
+  let text = bodyText(msg.uniqueBody);
+  let quotedRemoved = false;
+  if (!text) ({ text, removed: quotedRemoved } = stripQuoted(bodyText(msg.body)));
+  else quotedRemoved = text.length < bodyText(msg.body).length;
+
+  const kept = [];
+  for (const para of text.split(/\n\s*\n/)) {
+    const key = paragraphKey(para);
+    if (!key) continue;
+    if (key.length >= MIN_DEDUPE_CHARS) {
+      if (seen.has(key)) { quotedRemoved = true; continue; }
+      seen.add(key);
+    }
+    kept.push(para.trim());
+  }
+  return { text: kept.join("\n\n"), quotedRemoved };
+}
+
+/**
+ * messages: graph.getConversation() items (any order).
+ * Returns { subject, participants, timeline } with the timeline oldest first.
+ */
+function buildThread(messages, { maxCharsPerMessage = 4000, includeBodies = true } = {}) {
+  const sorted = [...messages].sort((a, b) =>
+    String(a.sent || a.received).localeCompare(String(b.sent || b.received)));
+
+  const people = new Map(); // lowercased address → participant
+  const person = (address, name) => {
+    const key = String(address || "").toLowerCase();
+    if (!key) return null;
+    if (!people.has(key)) people.set(key, { address, name: name || null, sent: 0, addressed: 0 });
+    const p = people.get(key);
+    if (!p.name && name) p.name = name;
+    return p;
+  };
+
+  const seen = new Set();
+  const timeline = sorted.map(m => {
+    const sender = person(m.from, m.fromName);
+    if (sender) sender.sent++;
+    for (const r of [...(m.to || []), ...(m.cc || [])]) {
+      const p = person(r.address, r.name);
+      if (p) p.addressed++;
+    }
+
+    const entry = {
+      id: m.id,
+      sent: m.sent,
+      received: m.received,
+      from: m.from,
+      to: (m.to || []).map(r => r.address),
+      cc: (m.cc || []).map(r => r.address),
+      subject: m.subject,
+      folderId: m.folderId,
+      hasAttachments: m.hasAttachments
+    };
+    if (includeBodies) {
+      const { text, quotedRemoved } = newText(m, seen);
+      entry.text = text.length > maxCharsPerMessage ? text.slice(0, maxCharsPerMessage) : text;
+      entry.truncated = text.length > maxCharsPerMessage;
+      entry.quoted_removed = quotedRemoved;
+    }
+    return entry;
+  });
+
+  const participants = [...people.values()].sort((a, b) => b.sent - a.sent || b.addressed - a.addressed);
+  const subject = sorted.length ? String(sorted[0].subject || "").replace(/^((re|fw|fwd|aw|wg|sv|tr)\s*:\s*)+/i, "") : null;
+
+  return { subject, participants, timeline };
+}
+
+module.exports = { buildThread };
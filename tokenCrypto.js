@@ -0,0 +1,114 @@
+/**
+ * tokenCrypto.js
+ *
+ * Envelope encryption for the token columns (AES-256-GCM).
+ * - Every row gets its own random data key (DEK). access_token/refresh_token are
+ *   encrypted with the DEK, bound to the row's user_id as additional data.
+ * - The DEK is wrapped with a key-encryption key (KEK) from the environment, and the
+ *   KEK's id is stored next to the row. Rotating keys only means re-wrapping DEKs.
+ *
+ * Env:
+ *   TOKEN_ENC_KEYS   = "k2:<base64 32 bytes>,k1:<base64 32 bytes>"  (all keys that may still be in use)
+ *   TOKEN_ENC_KEY_ID = "k2"                                          (key for new writes; defaults to the first one)
+ *
+ * Generate a key with: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ */
+
+const crypto = require("crypto");
+
+const ALG = "aes-256-gcm";
+const VERSION = "v1";
+
+function loadKeys() {
+  const keys = new Map();
+  for (const part of (process.env.TOKEN_ENC_KEYS || "").split(",")) {
+    const item = part.trim();
+    if (!item) continue;
+    const sep = item.indexOf(":");
+    if (sep <= 0) throw new Error(`TOKEN_ENC_KEYS entry must look like <id>:<base64 key>, got "${item.slice(0, 12)}…"`);
+    const id = item.slice(0, sep).trim();
+    const key = Buffer.from(item.slice(sep + 1).trim(), "base64");
+    if (key.length !== 32) throw new Error(`TOKEN_ENC_KEYS key "${id}" must decode to 32 bytes (got ${key.length})`);
+    keys.set(id, key);
+  }
+  if (keys.size === 0) {
+    throw new Error("TOKEN_ENC_KEYS is not set. Tokens are encrypted at rest; configure at least one <id>:<base64 32-byte key>.");
+  }
+  const activeId = (process.env.TOKEN_ENC_KEY_ID || keys.keys().next().value).trim();
+  if (!keys.has(activeId)) throw new Error(`TOKEN_ENC_KEY_ID "${activeId}" is not listed in TOKEN_ENC_KEYS`);
+  return { keys, activeId };
+}
+
+const { keys, activeId } = loadKeys();
+
+/** Error thrown for anything we cannot decrypt; carries code "token_decrypt_failed". */
+function decryptError(message, user_id) {
+  const err = new Error(`Cannot decrypt stored tokens for user_id ${user_id}: ${message}`);
+  err.code = "token_decrypt_failed";
+  return err;
+}
+
+/* -------------------- AES-GCM primitives -------------------- */
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALG, key, iv);
+  cipher.setAAD(Buffer.from(aad, "utf8"));
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [VERSION, iv.toString("base64"), cipher.getAuthTag().toString("base64"), ct.toString("base64")].join(":");
+}
+
+function open(key, sealed, aad) {
+  const [version, iv, tag, ct] = String(sealed).split(":");
+  if (version !== VERSION || !iv || !tag || ct === undefined) throw new Error("malformed ciphertext");
+  const decipher = crypto.createDecipheriv(ALG, key, Buffer.from(iv, "base64"));
+  decipher.setAAD(Buffer.from(aad, "utf8"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(ct, "base64")), decipher.final()]);
+}
+
+/* -------------------- Row helpers -------------------- */
+
+function unwrapKey(row) {
+  if (!row.key_id || !row.wrapped_key) throw decryptError("row is not encrypted (run `npm run migrate-tokens`)", row.user_id);
+  const kek = keys.get(row.key_id);
+  if (!kek) throw decryptError(`key "${row.key_id}" is not configured in TOKEN_ENC_KEYS`, row.user_id);
+  try {
+    return open(kek, row.wrapped_key, `dek:${row.user_id}`);
+  } catch (e) {
+    throw decryptError(`data key does not unwrap with key "${row.key_id}" (${e.message})`, row.user_id);
+  }
+}
+
+/** Encrypt plaintext tokens → { access_token, refresh_token, wrapped_key, key_id } for storage. */
+function encryptRow(user_id, { access_token, refresh_token }) {
+  const dek = crypto.randomBytes(32);
+  return {
+    access_token: seal(dek, Buffer.from(access_token, "utf8"), `access:${user_id}`),
+    refresh_token: refresh_token == null ? null : seal(dek, Buffer.from(refresh_token, "utf8"), `refresh:${user_id}`),
+    wrapped_key: seal(keys.get(activeId), dek, `dek:${user_id}`),
+    key_id: activeId
+  };
+}
+
+/** Decrypt a stored row in place of its ciphertext columns. Throws token_decrypt_failed. */
+function decryptRow(row) {
+  const dek = unwrapKey(row);
+  try {
+    return {
+      ...row,
+      access_token: open(dek, row.access_token, `access:${row.user_id}`).toString("utf8"),
+      refresh_token: row.refresh_token == null ? null : open(dek, row.refresh_token, `refresh:${row.user_id}`).toString("utf8")
+    };
+  } catch (e) {
+    throw decryptError(e.message, row.user_id);
+  }
+}
+
+/** Re-wrap a row's data key with the active KEK (token ciphertext stays untouched). */
+function rewrapRow(row) {
+  const dek = unwrapKey(row);
+  return { wrapped_key: seal(keys.get(activeId), dek, `dek:${row.user_id}`), key_id: activeId };
+}
+
+module.exports = { encryptRow, decryptRow, rewrapRow, activeKeyId: activeId };
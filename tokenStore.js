@@ -2,23 +2,18 @@
  * tokenStore.js
  *
  * Tiny SQLite-backed token store. Keeps a strict 1:1 mapping of user_id → tokens.
- * I do NOT auto-refresh tokens here (no offline_access by default). When expired,
- * the API responds with { requires_login: true } and the same user_id so the client
- * can login again. This is simple, safe, and predictable.
+ * I do NOT auto-refresh tokens here. By default (no offline_access) an expired token
+ * means the API responds with { requires_login: true } and the same user_id so the
+ * client can login again. With SILENT_REFRESH=true, auth.js redeems the stored
+ * refresh_token instead and writes the rotated tokens back through set().
+ *
+ * Token columns are envelope-encrypted (see tokenCrypto.js). Rows carry the id of the
+ * key that wraps their data key; on boot I migrate plaintext rows and re-wrap rows
+ * that still use a retired key, so rotation is: add new key, make it active, restart.
  */
 
-const fs = require("fs");
-const path = require("path");
-const Database = require("better-sqlite3");
-
-const DATA_DIR = path.join(__dirname, "data");
-const DB_PATH = path.join(DATA_DIR, "tokens.db");
-
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-
-const db = new Database(DB_PATH);
-db.pragma("journal_mode = WAL");
-
+const db = require("./db");
+const tokenCrypto = require("./tokenCrypto");
 
 db.exec(`
 CREATE TABLE IF NOT EXISTS tokens (
@@ -34,43 +29,132 @@ CREATE TABLE IF NOT EXISTS tokens (
 CREATE INDEX IF NOT EXISTS idx_tokens_expiry ON tokens(expiry);
 `);
 
+// Columns added for encryption at rest (older databases don't have them yet)
+const columns = new Set(db.prepare(`PRAGMA table_info(tokens)`).all().map(c => c.name));
+if (!columns.has("wrapped_key")) db.exec(`ALTER TABLE tokens ADD COLUMN wrapped_key TEXT`);
+if (!columns.has("key_id")) db.exec(`ALTER TABLE tokens ADD COLUMN key_id TEXT`); // NULL = legacy plaintext row
+// App registration profile that issued the tokens (authority.js); NULL = default
+if (!columns.has("profile")) db.exec(`ALTER TABLE tokens ADD COLUMN profile TEXT`);
+
 // Prepared statements
 const upsertStmt = db.prepare(`
-INSERT INTO tokens (user_id, access_token, refresh_token, expiry, scopes, created_at, updated_at)
-VALUES (@user_id, @access_token, @refresh_token, @expiry, @scopes, @ts, @ts)
+INSERT INTO tokens (user_id, access_token, refresh_token, wrapped_key, key_id, expiry, scopes, profile, created_at, updated_at)
+VALUES (@user_id, @access_token, @refresh_token, @wrapped_key, @key_id, @expiry, @scopes, @profile, @ts, @ts)
 ON CONFLICT(user_id) DO UPDATE SET
   access_token = excluded.access_token,
   refresh_token = excluded.refresh_token,
+  wrapped_key = excluded.wrapped_key,
+  key_id = excluded.key_id,
   expiry = excluded.expiry,
   scopes = excluded.scopes,
+  profile = excluded.profile,
   updated_at = excluded.updated_at
 `);
 
 const getStmt = db.prepare(`SELECT * FROM tokens WHERE user_id = ?`);
+const scopesStmt = db.prepare(`SELECT scopes FROM tokens WHERE user_id = ?`);
+const listStmt = db.prepare(`SELECT user_id, expiry, scopes, refresh_token IS NOT NULL AS refreshable, created_at, updated_at FROM tokens ORDER BY updated_at DESC`);
+const metaStmt = db.prepare(`SELECT expiry, scopes, refresh_token IS NOT NULL AS refreshable FROM tokens WHERE user_id = ?`);
 const delStmt = db.prepare(`DELETE FROM tokens WHERE user_id = ?`);
 const delExpiredStmt = db.prepare(`DELETE FROM tokens WHERE expiry <= ?`);
+const delExpiredNoRefreshStmt = db.prepare(`DELETE FROM tokens WHERE expiry <= ? AND refresh_token IS NULL`);
 const countStmt = db.prepare(`SELECT COUNT(*) as c FROM tokens`);
+const staleKeyStmt = db.prepare(`SELECT * FROM tokens WHERE key_id IS NULL OR key_id != ?`);
+const rewrapStmt = db.prepare(`UPDATE tokens SET wrapped_key = @wrapped_key, key_id = @key_id WHERE user_id = @user_id`);
+const reencryptStmt = db.prepare(`
+UPDATE tokens SET access_token = @access_token, refresh_token = @refresh_token,
+  wrapped_key = @wrapped_key, key_id = @key_id WHERE user_id = @user_id
+`);
+
+/**
+ * Bring every row onto the active key:
+ * - legacy plaintext rows (key_id NULL) are encrypted,
+ * - rows wrapped with an older key get their data key re-wrapped.
+ * Rows that cannot be unwrapped (key missing from env) are left alone and reported.
+ */
+const migrateKeys = db.transaction(() => {
+  const result = { encrypted: 0, rewrapped: 0, failed: [] };
+  for (const row of staleKeyStmt.all(tokenCrypto.activeKeyId)) {
+    try {
+      if (row.key_id == null) {
+        reencryptStmt.run({ user_id: row.user_id, ...tokenCrypto.encryptRow(row.user_id, row) });
+        result.encrypted++;
+      } else {
+        rewrapStmt.run({ user_id: row.user_id, ...tokenCrypto.rewrapRow(row) });
+        result.rewrapped++;
+      }
+    } catch (e) {
+      result.failed.push({ user_id: row.user_id, error: e.message });
+    }
+  }
+  return result;
+});
+
+/**
+ * The plaintext a migration replaced still sits in freed pages and in the WAL.
+ * secure_delete zeroes pages as they are freed from now on; VACUUM rebuilds the
+ * file without the old ones and the checkpoint empties the WAL.
+ */
+function purgeFreedPages() {
+  db.pragma("secure_delete = ON");
+  db.exec("VACUUM");
+  db.pragma("wal_checkpoint(TRUNCATE)");
+}
+
+function runMigration() {
+  const m = migrateKeys();
+  if (m.encrypted) purgeFreedPages();
+  if (m.encrypted || m.rewrapped) console.log(`[tokenStore] encrypted ${m.encrypted} legacy row(s), re-wrapped ${m.rewrapped} row(s) to key "${tokenCrypto.activeKeyId}"`);
+  for (const f of m.failed) console.warn(`[tokenStore] could not migrate ${f.user_id}: ${f.error}`);
+  return m;
+}
+const bootMigration = runMigration();
 
 module.exports = {
-  set(user_id, { access_token, refresh_token = null, expiry, scopes }) {
+  set(user_id, { access_token, refresh_token = null, expiry, scopes, profile = null }) {
     const ts = Date.now();
+    const enc = tokenCrypto.encryptRow(user_id, { access_token, refresh_token });
     upsertStmt.run({
-      user_id, access_token, refresh_token, expiry, scopes, ts
+      user_id, ...enc, expiry, scopes, profile, ts
     });
   },
+  /** Throws an Error with code "token_decrypt_failed" if the row can't be decrypted. */
   get(user_id) {
-    return getStmt.get(user_id) || null; // { user_id, access_token, ... }
+    const row = getStmt.get(user_id);
+    if (!row) return null;
+    const { wrapped_key, key_id, ...rec } = tokenCrypto.decryptRow(row);
+    return rec; // { user_id, access_token, ... }
   },
+  /** Granted scope string without decrypting anything (null if no row). */
+  scopes(user_id) {
+    return scopesStmt.get(user_id)?.scopes ?? null;
+  },
+  /** { expiry, scopes, refreshable } without decrypting anything (null if no row). */
+  meta(user_id) {
+    const row = metaStmt.get(user_id);
+    return row ? { expiry: row.expiry, scopes: row.scopes, refreshable: row.refreshable === 1 } : null;
+  },
+  /** Every row as { user_id, expiry, scopes, refreshable, created_at, updated_at }, nothing decrypted. */
+  list() {
+    return listStmt.all().map(r => ({ ...r, refreshable: r.refreshable === 1 }));
+  },
+  /** True if there was a row. */
   delete(user_id) {
-    delStmt.run(user_id);
+    return delStmt.run(user_id).changes > 0;
   },
-  deleteExpired() {
-    return delExpiredStmt.run(Date.now()).changes;
+  /** keepRefreshable: leave expired rows that still carry a refresh_token. */
+  deleteExpired({ keepRefreshable = false } = {}) {
+    const stmt = keepRefreshable ? delExpiredNoRefreshStmt : delExpiredStmt;
+    return stmt.run(Date.now()).changes;
   },
   count() {
     return countStmt.get().c || 0;
   },
+  migrateKeys,
   _db: db // exported for troubleshooting if needed
 };
 
-
+// `npm run migrate-tokens`: the migration already ran on load; just report.
+if (require.main === module) {
+  console.log(`[tokenStore] ${module.exports.count()} row(s), active key "${tokenCrypto.activeKeyId}", ${bootMigration.failed.length} unreadable`);
+}
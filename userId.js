@@ -0,0 +1,23 @@
+/**
+ * userId.js
+ *
+ * What counts as a user_id. Every transport takes one from the client, and it
+ * becomes the token record's key and part of login links, so it has to be an id
+ * the server minted (a UUID) rather than a placeholder a model made up.
+ */
+
+const crypto = require("crypto");
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const BAD_TOKENS = new Set(["", "new", "temp", "current", "me", "self"]);
+
+/** Whether user_id (any type) is a usable id. */
+function isValid(user_id) {
+  const id = typeof user_id === "string" ? user_id.trim() : "";
+  return !BAD_TOKENS.has(id.toLowerCase()) && UUID_RE.test(id);
+}
+
+/** A fresh user_id for a client that has none yet. */
+const mint = () => crypto.randomUUID();
+
+module.exports = { isValid, mint };
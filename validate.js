@@ -0,0 +1,109 @@
+/**
+ * validate.js
+ *
+ * Small JSON Schema (subset) validator for action inputs. Covers what the action
+ * registry uses: type, enum, minimum/maximum, minLength/maxLength, pattern, format,
+ * default, required, properties, additionalProperties:false and array items.
+ *
+ * LLM clients often send "25" for 25 or "true" for true, so integers, numbers and
+ * booleans are coerced from strings before they are checked. Strings are trimmed,
+ * and an empty string counts as "not provided".
+ */
+
+const { DateTime } = require("luxon");
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORMATS = {
+  email: (v) => EMAIL_RE.test(v),
+  "date-time": (v) => DateTime.fromISO(v, { setZone: true }).isValid,
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && DateTime.fromISO(v).isValid,
+  "iana-tz": (v) => DateTime.now().setZone(v).isValid
+};
+
+function coerce(schema, v) {
+  if (typeof v !== "string") return v;
+  const s = v.trim();
+  if ((schema.type === "integer" || schema.type === "number") && s !== "" && !isNaN(Number(s))) return Number(s);
+  if (schema.type === "boolean" && (s === "true" || s === "false")) return s === "true";
+  if (schema.type === "string") return s;
+  return v;
+}
+
+function typeOk(type, v) {
+  switch (type) {
+    case "string": return typeof v === "string";
+    case "integer": return Number.isInteger(v);
+    case "number": return typeof v === "number" && Number.isFinite(v);
+    case "boolean": return typeof v === "boolean";
+    case "array": return Array.isArray(v);
+    case "object": return v !== null && typeof v === "object" && !Array.isArray(v);
+    default: return true;
+  }
+}
+
+/** Validate one value; pushes { field, message } into errors and returns the (coerced) value. */
+function check(schema, value, field, errors) {
+  const v = coerce(schema, value);
+  const at = field || "inputs";
+
+  if (schema.type && !typeOk(schema.type, v)) {
+    errors.push({ field: at, message: `must be of type ${schema.type}` });
+    return v;
+  }
+  if (schema.enum && !schema.enum.includes(v)) {
+    errors.push({ field: at, message: `must be one of: ${schema.enum.join(", ")}` });
+  }
+  if (typeof v === "number") {
+    if (schema.minimum !== undefined && v < schema.minimum) errors.push({ field: at, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && v > schema.maximum) errors.push({ field: at, message: `must be <= ${schema.maximum}` });
+  }
+  if (typeof v === "string") {
+    if (schema.minLength !== undefined && v.length < schema.minLength) errors.push({ field: at, message: `must be at least ${schema.minLength} character(s)` });
+    if (schema.maxLength !== undefined && v.length > schema.maxLength) errors.push({ field: at, message: `must be at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(v)) errors.push({ field: at, message: `must match ${schema.pattern}` });
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](v)) errors.push({ field: at, message: `must be a valid ${schema.format}` });
+  }
+  if (Array.isArray(v)) {
+    if (schema.minItems !== undefined && v.length < schema.minItems) errors.push({ field: at, message: `must have at least ${schema.minItems} item(s)` });
+    if (schema.maxItems !== undefined && v.length > schema.maxItems) errors.push({ field: at, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) return v.map((item, i) => check(schema.items, item, `${field}[${i}]`, errors));
+  }
+  if (schema.type === "object" && schema.properties) return checkObject(schema, v, field, errors);
+  return v;
+}
+
+function checkObject(schema, obj, prefix, errors) {
+  const out = {};
+  const props = schema.properties || {};
+  const name = (k) => (prefix ? `${prefix}.${k}` : k);
+
+  for (const [k, v] of Object.entries(obj)) {
+    if (!props[k]) {
+      if (schema.additionalProperties === false) errors.push({ field: name(k), message: "is not allowed" });
+      else out[k] = v;
+    }
+  }
+  for (const [k, prop] of Object.entries(props)) {
+    const v = typeof obj[k] === "string" ? obj[k].trim() : obj[k];
+    if (v === undefined || v === null || v === "") {
+      if ((schema.required || []).includes(k)) errors.push({ field: name(k), message: "is required" });
+      else if (prop.default !== undefined) out[k] = prop.default;
+      continue;
+    }
+    out[k] = check(prop, v, name(k), errors);
+  }
+  return out;
+}
+
+/**
+ * validate(schema, input) → { value, errors }
+ * `value` has defaults applied and strings coerced; `errors` is [] when valid.
+ */
+function validate(schema, input) {
+  const errors = [];
+  const value = check(schema, input === undefined || input === null ? {} : input, "", errors);
+  return { value, errors };
+}
+
+module.exports = { validate };